@@ -0,0 +1,101 @@
+import crypto from 'node:crypto'
+
+// Mock identity provider for the sign-in flow in src/auth.js, mounted under /auth by mock/server.js.
+// /auth/authorize shows a page to pick one of the users below instead of asking for a password.
+//   MOCK_TOKEN_TTL  access token lifetime in seconds (300); set it low to watch tokens being refreshed
+
+const TOKEN_TTL = Number(process.env.MOCK_TOKEN_TTL) || 300
+
+export const USERS = [
+  { id: 'u-alice', name: 'Alice Owner', email: 'alice@example.com' },
+  { id: 'u-bob', name: 'Bob Editor', email: 'bob@example.com' },
+  { id: 'u-carol', name: 'Carol Viewer', email: 'carol@example.com' },
+]
+
+const codes = new Map()
+const accessTokens = new Map()
+const refreshTokens = new Map()
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`)
+const base64Url = (buf) => buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+function issueTokens(userId) {
+  const access = crypto.randomBytes(24).toString('hex')
+  const refresh = crypto.randomBytes(24).toString('hex')
+  accessTokens.set(access, { userId, expires: Date.now() + TOKEN_TTL * 1000 })
+  refreshTokens.set(refresh, userId)
+  return { access_token: access, refresh_token: refresh, expires_in: TOKEN_TTL, token_type: 'Bearer' }
+}
+
+// Resolves the user behind an Authorization header: undefined without one, null when the token is unknown or expired
+export function userFromRequest(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ')
+  if (scheme !== 'Bearer' || !token) return undefined
+  const entry = accessTokens.get(token)
+  if (!entry || entry.expires < Date.now()) return null
+  return USERS.find((u) => u.id === entry.userId) || null
+}
+
+export function idpRoutes({ send, readBody }) {
+  const html = (res, body) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+    res.end(`<!doctype html><meta charset="utf-8"><title>Mock sign-in</title><body style="font-family:system-ui;max-width:28rem;margin:4rem auto">${body}</body>`)
+  }
+  const redirect = (res, url) => {
+    res.writeHead(302, { Location: url })
+    res.end()
+  }
+
+  return [
+    ['GET', /^\/auth\/authorize$/, async (req, res) => {
+      const params = new URL(req.url, 'http://localhost').searchParams
+      if (params.get('response_type') !== 'code' || !params.get('redirect_uri')) return send(res, 400, { error: 'invalid_request' })
+      const links = USERS.map((u) => {
+        const next = new URLSearchParams(params)
+        next.set('user', u.id)
+        return `<li><a href="/auth/authorize/approve?${escapeHtml(next)}">${escapeHtml(u.name)}</a> &lt;${escapeHtml(u.email)}&gt;</li>`
+      }).join('')
+      html(res, `<h1>Mock sign-in</h1><p>Continue as:</p><ul>${links}</ul>`)
+    }],
+    ['GET', /^\/auth\/authorize\/approve$/, async (req, res) => {
+      const params = new URL(req.url, 'http://localhost').searchParams
+      if (!USERS.some((u) => u.id === params.get('user'))) return send(res, 400, { error: 'invalid_request' })
+      const code = crypto.randomBytes(16).toString('hex')
+      codes.set(code, {
+        userId: params.get('user'),
+        redirectUri: params.get('redirect_uri'),
+        challenge: params.get('code_challenge'),
+        method: params.get('code_challenge_method') || 'plain',
+      })
+      const target = new URL(params.get('redirect_uri'))
+      target.searchParams.set('code', code)
+      if (params.get('state')) target.searchParams.set('state', params.get('state'))
+      redirect(res, target.toString())
+    }],
+    ['POST', /^\/auth\/token$/, async (req, res) => {
+      const form = new URLSearchParams((await readBody(req)).toString())
+      if (form.get('grant_type') === 'authorization_code') {
+        const grant = codes.get(form.get('code'))
+        codes.delete(form.get('code'))
+        if (!grant || grant.redirectUri !== form.get('redirect_uri')) return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown or used authorization code' })
+        const verifier = form.get('code_verifier') || ''
+        const expected = grant.method === 'S256' ? base64Url(crypto.createHash('sha256').update(verifier).digest()) : verifier
+        if (grant.challenge && expected !== grant.challenge) return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' })
+        return send(res, 200, issueTokens(grant.userId))
+      }
+      if (form.get('grant_type') === 'refresh_token') {
+        const userId = refreshTokens.get(form.get('refresh_token'))
+        if (!userId) return send(res, 400, { error: 'invalid_grant', error_description: 'Unknown refresh token' })
+        // refresh tokens are single use
+        refreshTokens.delete(form.get('refresh_token'))
+        return send(res, 200, issueTokens(userId))
+      }
+      send(res, 400, { error: 'unsupported_grant_type' })
+    }],
+    ['GET', /^\/auth\/userinfo$/, async (req, res) => {
+      const user = userFromRequest(req)
+      if (!user) return send(res, 401, { error: 'invalid_token' })
+      send(res, 200, { sub: user.id, name: user.name, email: user.email })
+    }],
+  ]
+}
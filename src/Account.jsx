@@ -0,0 +1,262 @@
+import React, { createContext, useContext, useEffect, useState } from 'react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import { Database, Loader2, LogIn, LogOut, Plus, Trash2, UserCircle, Users, X } from 'lucide-react'
+import ErrorNotice from './ErrorNotice'
+import { AUTH_ENABLED, CALLBACK_PATH, completeLogin, getSession, getWorkspaceId, logout, onSessionChange, setWorkspaceId, startLogin } from './auth'
+import { ROLES, addMember, can, createWorkspace, fetchMe, listMembers, removeMember, updateMember } from './workspaces'
+import { describeError, useUnmountSignal } from './api'
+import { classNames } from './utils'
+import { PROFILE_NAME } from './config'
+
+// What components see while sign-in is off: no user, no workspace, nothing restricted
+const SIGNED_OUT = { enabled: false, user: null, workspaces: [], workspace: null, role: null, can: () => true }
+
+const AuthContext = createContext(SIGNED_OUT)
+
+export function useAuth() {
+  return useContext(AuthContext)
+}
+
+// Gates the app behind sign-in when an identity provider is configured, and finishes its redirect back to /auth/callback
+export function AuthProvider({ children }) {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [signedIn, setSignedIn] = useState(() => !!getSession())
+  const [me, setMe] = useState(null)
+  const [workspaceId, setWorkspace] = useState(getWorkspaceId)
+  const [status, setStatus] = useState(AUTH_ENABLED ? 'loading' : 'disabled')
+  const [error, setError] = useState(null)
+
+  useEffect(() => onSessionChange((s) => setSignedIn(!!s)), [])
+
+  useEffect(() => {
+    if (!AUTH_ENABLED || location.pathname !== CALLBACK_PATH) return
+    completeLogin(location.search)
+      .then((to) => navigate(to, { replace: true }))
+      .catch((e) => {
+        setError(e)
+        setStatus('signed-out')
+        navigate('/', { replace: true })
+      })
+  }, [])
+
+  const loadAccount = async () => {
+    setStatus('loading')
+    setError(null)
+    try {
+      const data = await fetchMe()
+      const list = data?.workspaces || []
+      const chosen = list.find((w) => w.id === getWorkspaceId()) || list[0] || null
+      setWorkspaceId(chosen?.id)
+      setWorkspace(chosen?.id ?? null)
+      setMe(data || { user: null, workspaces: [] })
+      setStatus('signed-in')
+    } catch (e) {
+      // a 401 has already ended the session, which shows the sign-in screen on its own
+      if (e.status !== 401) setError(e)
+      setStatus('error')
+    }
+  }
+
+  useEffect(() => {
+    if (!AUTH_ENABLED) return
+    if (signedIn) {
+      loadAccount()
+    } else {
+      setMe(null)
+      if (location.pathname !== CALLBACK_PATH) setStatus('signed-out')
+    }
+  }, [signedIn])
+
+  if (status === 'disabled') return <AuthContext.Provider value={SIGNED_OUT}>{children}</AuthContext.Provider>
+  if (status === 'loading') return (
+    <div className="min-h-screen grid place-items-center text-slate-500 text-sm">
+      <span className="inline-flex items-center gap-2"><Loader2 className="animate-spin" size={16}/> Signing in…</span>
+    </div>
+  )
+  if (status !== 'signed-in' || !signedIn) return (
+    <SignIn
+      error={error}
+      onSignIn={() => startLogin(location.pathname === CALLBACK_PATH ? '/' : location.pathname + location.search)}
+      onRetry={signedIn ? loadAccount : null}
+    />
+  )
+
+  const workspaces = me.workspaces || []
+  const workspace = workspaces.find((w) => w.id === workspaceId) || null
+  const role = workspace?.role || null
+  const value = {
+    enabled: true,
+    user: me.user,
+    workspaces,
+    workspace,
+    role,
+    can: (action, table) => can(role, action, { table, userId: me.user?.id }),
+    switchWorkspace: (id) => {
+      setWorkspaceId(id)
+      setWorkspace(id)
+    },
+    createWorkspace: async (name) => {
+      const created = await createWorkspace(name)
+      setMe((m) => ({ ...m, workspaces: [...(m.workspaces || []), { role: 'owner', ...created }] }))
+      setWorkspaceId(created.id)
+      setWorkspace(created.id)
+    },
+    logout,
+  }
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+function SignIn({ error, onSignIn, onRetry }) {
+  const [redirecting, setRedirecting] = useState(false)
+  return (
+    <div className="min-h-screen grid place-items-center bg-gradient-to-br from-slate-50 to-indigo-50 dark:from-slate-950 dark:to-indigo-950 text-slate-900 dark:text-slate-100 p-6">
+      <div className="w-full max-w-sm rounded-xl border border-slate-200 dark:border-slate-700 bg-white/80 dark:bg-slate-900/80 backdrop-blur p-6 space-y-4">
+        <div className="inline-flex items-center gap-2 font-semibold"><Database size={18}/> Natural Language Query Service</div>
+        <p className="text-sm text-slate-600 dark:text-slate-300">Sign in to see the tables in your workspaces.</p>
+        {error && <ErrorNotice error={error} title={onRetry ? 'Could not load your account' : 'Sign-in failed'} onRetry={onRetry} />}
+        <button
+          onClick={() => { setRedirecting(true); onSignIn() }}
+          disabled={redirecting}
+          className="w-full inline-flex items-center justify-center gap-2 rounded-md bg-indigo-600 hover:bg-indigo-700 px-4 py-2 text-white font-medium"
+        >
+          {redirecting ? <Loader2 className="animate-spin" size={16}/> : <LogIn size={16}/>} Sign in
+        </button>
+        <div className="text-xs text-slate-500">Connection: {PROFILE_NAME} • <Link to="/settings" className="text-indigo-600 hover:underline">Change</Link></div>
+      </div>
+    </div>
+  )
+}
+
+const NEW_WORKSPACE = '__new__'
+
+// Signed-in user, workspace switcher, members and sign out; renders nothing while sign-in is off
+export function AccountMenu() {
+  const auth = useAuth()
+  const [showMembers, setShowMembers] = useState(false)
+  if (!auth.enabled) return null
+
+  const pickWorkspace = async (id) => {
+    if (id !== NEW_WORKSPACE) return auth.switchWorkspace(id)
+    const name = prompt('Name of the new workspace')?.trim()
+    if (!name) return
+    try {
+      await auth.createWorkspace(name)
+    } catch (e) {
+      alert(`Could not create the workspace: ${describeError(e)}`)
+    }
+  }
+
+  return (
+    <div className="inline-flex items-center gap-2 rounded-full border border-slate-300 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur px-3 py-1 text-sm">
+      <UserCircle size={16}/>
+      <span className="max-w-[10rem] truncate" title={auth.user?.email}>{auth.user?.name || auth.user?.email || 'Signed in'}</span>
+      {auth.workspaces.length > 0 && (
+        <select value={auth.workspace?.id || ''} onChange={(e) => pickWorkspace(e.target.value)} title="Workspace" className="bg-transparent text-sm focus:outline-none">
+          {auth.workspaces.map((w) => <option key={w.id} value={w.id}>{w.name} • {w.role}</option>)}
+          <option value={NEW_WORKSPACE}>New workspace…</option>
+        </select>
+      )}
+      {auth.workspace && (
+        <button onClick={() => setShowMembers(true)} title="Workspace members" className="opacity-70 hover:opacity-100"><Users size={16}/></button>
+      )}
+      <button onClick={auth.logout} title="Sign out" className="opacity-70 hover:opacity-100"><LogOut size={16}/></button>
+      {showMembers && <WorkspaceMembers workspace={auth.workspace} canManage={auth.can('manage_members')} currentUserId={auth.user?.id} onClose={() => setShowMembers(false)} />}
+    </div>
+  )
+}
+
+function WorkspaceMembers({ workspace, canManage, currentUserId, onClose }) {
+  const [members, setMembers] = useState(null)
+  const [error, setError] = useState(null)
+  const [invite, setInvite] = useState({ email: '', role: 'viewer' })
+  const [busy, setBusy] = useState(false)
+  const unmounted = useUnmountSignal()
+
+  const load = async () => {
+    setError(null)
+    try {
+      const list = await listMembers(workspace.id)
+      if (!unmounted().aborted) setMembers(list)
+    } catch (e) {
+      if (!unmounted().aborted) setError(e)
+    }
+  }
+
+  useEffect(() => { load() }, [workspace.id])
+
+  // Every change reloads the list, so what is shown is what the backend accepted
+  const change = async (fn) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await fn()
+      await load()
+    } catch (e) {
+      setError(e)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-sm'
+
+  return (
+    <div className="fixed inset-0 z-50 grid place-items-center bg-slate-900/30 p-4" onClick={onClose}>
+      <div className="w-full max-w-lg rounded-xl bg-white dark:bg-slate-900 text-slate-900 dark:text-slate-100 shadow-xl p-5 space-y-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">{workspace.name} • members</div>
+          <button onClick={onClose} title="Close" className="opacity-60 hover:opacity-100"><X size={18}/></button>
+        </div>
+        {error && <ErrorNotice error={error} title="Workspace members" />}
+        {!members ? (
+          !error && <div className="text-slate-500 text-sm inline-flex items-center gap-2"><Loader2 className="animate-spin" size={16}/> Loading…</div>
+        ) : (
+          <ul className="divide-y divide-slate-100 dark:divide-slate-800 text-sm">
+            {members.map((m) => (
+              <li key={m.user_id} className="flex items-center justify-between gap-3 py-2">
+                <div className="min-w-0">
+                  <div className="font-medium truncate">{m.name || m.email}{m.user_id === currentUserId ? ' (you)' : ''}</div>
+                  {m.name && <div className="text-xs text-slate-500 truncate">{m.email}</div>}
+                </div>
+                {canManage && m.user_id !== currentUserId ? (
+                  <div className="flex items-center gap-2">
+                    <select value={m.role} disabled={busy} onChange={(e) => change(() => updateMember(workspace.id, m.user_id, e.target.value))} className={inputClass}>
+                      {ROLES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    <button onClick={() => change(() => removeMember(workspace.id, m.user_id))} disabled={busy} title="Remove from workspace" className="opacity-60 hover:opacity-100 text-red-600"><Trash2 size={14}/></button>
+                  </div>
+                ) : (
+                  <span className="text-xs text-slate-500">{ROLES.find(([value]) => value === m.role)?.[1] || m.role}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {canManage && (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault()
+              change(async () => {
+                await addMember(workspace.id, invite.email.trim(), invite.role)
+                setInvite({ email: '', role: invite.role })
+              })
+            }}
+            className="flex flex-wrap items-center gap-2"
+          >
+            <input type="email" required value={invite.email} onChange={(e) => setInvite({ ...invite, email: e.target.value })} placeholder="teammate@example.com" className={classNames(inputClass, 'flex-1 min-w-[12rem]')} />
+            <select value={invite.role} onChange={(e) => setInvite({ ...invite, role: e.target.value })} className={inputClass}>
+              {ROLES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+            <button type="submit" disabled={busy} className="inline-flex items-center gap-1 rounded-md bg-indigo-600 hover:bg-indigo-700 px-3 py-1.5 text-sm text-white"><Plus size={14}/> Add</button>
+          </form>
+        )}
+        <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs text-slate-500">
+          {ROLES.map(([value, label, description]) => (
+            <React.Fragment key={value}><dt className="font-medium">{label}</dt><dd>{description}</dd></React.Fragment>
+          ))}
+        </dl>
+      </div>
+    </div>
+  )
+}
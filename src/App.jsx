@@ -1,64 +1,64 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
 import Spline from '@splinetool/react-spline'
-import { Upload, Loader2, Trash2, Database, Play, History, Moon, SunMedium, Download, Table as TableIcon, ChevronRight } from 'lucide-react'
+import { Loader2, Trash2, Database, Play, Moon, SunMedium, Table as TableIcon, ChevronRight, RotateCcw, BarChart3, MessagesSquare, Pin, X, Info, LayoutDashboard, Lightbulb, HardDrive, Server, Activity, Plug, Command, GitCompareArrows } from 'lucide-react'
+import SqlEditor from './SqlEditor'
+import ResultsGrid from './ResultsGrid'
+import ChartView from './ChartView'
+import ExportMenu from './ExportMenu'
+import Pagination, { PAGE_SIZES } from './Pagination'
+import ConversationTimeline from './ConversationTimeline'
+import QueryProgress from './QueryProgress'
+import { isEventStream, readEventStream } from './sse'
+import FileUpload from './FileUpload'
+import TableDetail from './TableDetail'
+import Toast, { useToasts } from './Toast'
+import { useDarkMode } from './theme'
+import SavedQueries, { SaveQueryControl } from './SavedQueries'
+import { PinToDashboard } from './Dashboard'
+import QueryHistory from './QueryHistory'
+import ExplainPanel, { ClarificationPrompt } from './Explanation'
+import ErrorNotice from './ErrorNotice'
+import TemplatePicker from './TemplatePicker'
+import CommandPalette, { ShortcutHelp } from './CommandPalette'
+import ResultCompare from './ResultCompare'
+import { AccountMenu, useAuth } from './Account'
+import * as api from './api'
+import { BASE_URL, PROFILE_ID, PROFILE_NAME } from './config'
+import { appendTurn, branchThread, buildContext, createThread, loadThreads, makeTurn, replaceLastTurn, saveThreads } from './conversation'
+import { resolveColumnKinds, schemaTypeMap } from './columnTypes'
+import { errorRange } from './sql'
+import { tableMeta } from './tableCatalog'
+import { createSavedQuery, deleteSavedQuery, getSavedQuery, isLocalOnly, listSavedQueries, normalizeFolder, savedQueryLink, updateSavedQuery } from './savedQueryStore'
+import { needsClarification } from './explain'
+import { suggestQuestions } from './questionTemplates'
+import { dropLocalTable, listLocalTables, referencedTables, runLocalQuery, withLocalEngine } from './localEngine'
+import { addHistoryEntry, clearHistory, deleteHistoryEntry, historyScope, listHistory, makeEntry, updateHistoryEntry } from './historyStore'
+import { buildExport, exportFilename } from './exporters'
+import { MAX_KEPT_RUNS, snapshotRun } from './resultDiff'
+import { SHORTCUT_ACTIONS, formatCombo, loadShortcuts, saveShortcuts, useShortcuts } from './shortcuts'
+import { classNames, columnName, columnType, downloadBlob, tableId, tableLabel } from './utils'
 
-const BASE_URL = (import.meta?.env?.VITE_BACKEND_URL) || 'http://localhost:8000'
+// How long a deleted table can still be restored before the DELETE is sent
+const UNDO_WINDOW_MS = 10000
 
-function classNames(...classes) {
-  return classes.filter(Boolean).join(' ')
-}
-
-function useDarkMode() {
-  const [isDark, setIsDark] = useState(() => {
-    if (typeof window === 'undefined') return false
-    const stored = localStorage.getItem('theme')
-    if (stored) return stored === 'dark'
-    return window.matchMedia('(prefers-color-scheme: dark)').matches
-  })
+const DEFAULT_VIZ = { view: 'table', chart: null }
 
-  useEffect(() => {
-    const root = document.documentElement
-    if (isDark) {
-      root.classList.add('dark')
-      localStorage.setItem('theme', 'dark')
-    } else {
-      root.classList.remove('dark')
-      localStorage.setItem('theme', 'light')
-    }
-  }, [isDark])
-
-  return { isDark, setIsDark }
-}
-
-function Toast({ toasts, remove }) {
-  return (
-    <div className="fixed top-4 right-4 z-50 space-y-2">
-      {toasts.map((t) => (
-        <div key={t.id} className={classNames(
-          'rounded-md px-4 py-3 shadow-lg border backdrop-blur transition-all',
-          t.type === 'error' ? 'bg-red-500/10 border-red-500 text-red-600 dark:text-red-300' : 'bg-emerald-500/10 border-emerald-500 text-emerald-700 dark:text-emerald-300'
-        )}>
-          <div className="flex items-start gap-3">
-            <div className="text-sm font-medium">{t.title}</div>
-            <button onClick={() => remove(t.id)} className="text-xs opacity-70 hover:opacity-100">Dismiss</button>
-          </div>
-          {t.message && <div className="text-xs opacity-80 mt-1">{t.message}</div>}
-        </div>
-      ))}
-    </div>
-  )
-}
+const GENERIC_EXAMPLES = [
+  'Show me the top 10 rows',
+  "What's the average cost?",
+  'Total sales by month',
+  'Find rows where status is active',
+]
 
-function useToasts() {
-  const [toasts, setToasts] = useState([])
-  const add = (toast) => {
-    const id = Math.random().toString(36).slice(2)
-    const t = { id, type: 'success', ...toast }
-    setToasts((prev) => [...prev, t])
-    setTimeout(() => remove(id), 6000)
+// Paging contract for /api/query: the request carries { offset, limit, sort: [{ column, direction }] }
+// and the response reports total_rows for the whole result alongside the requested slice
+function pageParams(offset, size, sort) {
+  return {
+    offset,
+    limit: size,
+    ...(sort ? { sort: [{ column: sort.col, direction: sort.dir }] } : {}),
   }
-  const remove = (id) => setToasts((prev) => prev.filter((t) => t.id !== id))
-  return { toasts, add, remove }
 }
 
 function Hero({ onGetStarted }) {
@@ -94,111 +94,91 @@ function Hero({ onGetStarted }) {
   )
 }
 
-function FileUpload({ onUploaded, onTablesRefresh, toasts }) {
-  const [dragOver, setDragOver] = useState(false)
-  const [uploading, setUploading] = useState(false)
-  const [progress, setProgress] = useState(0)
-  const inputRef = useRef(null)
-
-  const handleFiles = (files) => {
-    const file = files?.[0]
-    if (!file) return
-    const allowed = ['text/csv', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
-    if (!allowed.includes(file.type) && !file.name.toLowerCase().endsWith('.csv') && !file.name.toLowerCase().endsWith('.xlsx') && !file.name.toLowerCase().endsWith('.xls')) {
-      toasts.add({ type: 'error', title: 'Unsupported file', message: 'Please upload CSV or Excel files.' })
-      return
-    }
-
-    const form = new FormData()
-    form.append('file', file)
-
-    const xhr = new XMLHttpRequest()
-    xhr.upload.addEventListener('progress', (e) => {
-      if (e.lengthComputable) {
-        setProgress(Math.round((e.loaded / e.total) * 100))
-      }
-    })
-    xhr.onload = () => {
-      setUploading(false)
-      if (xhr.status >= 200 && xhr.status < 300) {
-        try {
-          const res = JSON.parse(xhr.responseText)
-          toasts.add({ title: 'Upload complete', message: res?.table_name ? `${res.table_name} • ${res.row_count ?? '?' } rows` : 'File uploaded' })
-          onUploaded?.(res)
-          onTablesRefresh?.()
-        } catch (e) {
-          toasts.add({ type: 'error', title: 'Unexpected response', message: 'Upload succeeded but response could not be parsed.' })
-        }
-      } else {
-        toasts.add({ type: 'error', title: 'Upload failed', message: `Status ${xhr.status}` })
-      }
-      setProgress(0)
-    }
-    xhr.onerror = () => {
-      setUploading(false)
-      setProgress(0)
-      toasts.add({ type: 'error', title: 'Network error', message: 'Could not upload file.' })
-    }
-    setUploading(true)
-    xhr.open('POST', `${BASE_URL}/api/upload`)
-    xhr.send(form)
+// The list is keyboard navigable: arrows move between tables, Enter selects, P pins, I opens details, Delete deletes
+function TablesSidebar({ tables, error, selectedId, onSelect, onDelete, canDelete = () => true, onRefresh, scopeIds = [], onToggleScope, onOpenDetail }) {
+  const onListKey = (e) => {
+    const rows = [...e.currentTarget.querySelectorAll('[data-table-row]')]
+    const i = rows.indexOf(document.activeElement)
+    if (i < 0 || e.metaKey || e.ctrlKey || e.altKey) return
+    const t = tables[i]
+    if (e.key === 'ArrowDown') rows[Math.min(rows.length - 1, i + 1)].focus()
+    else if (e.key === 'ArrowUp') rows[Math.max(0, i - 1)].focus()
+    else if (e.key === 'Home') rows[0].focus()
+    else if (e.key === 'End') rows[rows.length - 1].focus()
+    else if (e.key.toLowerCase() === 'p') onToggleScope(t)
+    else if (e.key.toLowerCase() === 'i') onOpenDetail(t)
+    else if (e.key === 'Delete' && canDelete(t)) onDelete(t)
+    else return
+    e.preventDefault()
   }
 
   return (
-    <div className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-6">
-      <div
-        onDragOver={(e) => { e.preventDefault(); setDragOver(true) }}
-        onDragLeave={() => setDragOver(false)}
-        onDrop={(e) => { e.preventDefault(); setDragOver(false); handleFiles(e.dataTransfer.files) }}
-        className={classNames(
-          'flex flex-col items-center justify-center rounded-lg border-2 border-dashed p-10 text-center transition',
-          dragOver ? 'border-indigo-500 bg-indigo-50/50 dark:bg-indigo-950/20' : 'border-slate-300 dark:border-slate-600'
-        )}
-      >
-        <Upload className="text-indigo-600" />
-        <p className="mt-3 text-slate-700 dark:text-slate-200">Drag & drop CSV or Excel here</p>
-        <p className="text-xs text-slate-500">or</p>
-        <button
-          onClick={() => inputRef.current?.click()}
-          className="mt-3 inline-flex items-center gap-2 rounded-md bg-indigo-600 px-4 py-2 text-white shadow hover:bg-indigo-700"
-        >
-          Browse files
-        </button>
-        <input ref={inputRef} type="file" accept=".csv,.xlsx,.xls" className="hidden" onChange={(e) => handleFiles(e.target.files)} />
-        {uploading && (
-          <div className="mt-4 w-full">
-            <div className="h-2 w-full rounded bg-slate-200 dark:bg-slate-800 overflow-hidden">
-              <div className="h-full bg-gradient-to-r from-indigo-500 to-blue-500 transition-all" style={{ width: `${progress}%` }} />
+    <div className="h-full flex flex-col">
+      <div className="flex items-center justify-between mb-2">
+        <div className="inline-flex items-center gap-2 text-slate-700 dark:text-slate-200 font-semibold"><TableIcon size={18}/> Tables</div>
+        <button onClick={onRefresh} className="text-xs text-indigo-600 hover:underline">Refresh</button>
+      </div>
+      {error && <div className="mb-2"><ErrorNotice error={error} title="Could not load tables" onRetry={onRefresh} compact /></div>}
+      <div className="overflow-auto space-y-1" onKeyDown={onListKey}>
+        {tables?.length ? tables.map((t) => {
+          const meta = tableMeta(t)
+          return (
+            <div key={t.id} className={classNames('group flex items-center justify-between rounded-md px-2 py-2 text-sm cursor-pointer border', selectedId === t.id ? 'bg-indigo-50 dark:bg-indigo-950/30 border-indigo-200 dark:border-indigo-800' : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-800')}>
+              <button onClick={() => onSelect(t)} data-table-row aria-current={selectedId === t.id || undefined} className="text-left flex-1 truncate rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500">
+                <div className="font-medium truncate">{t.name || t.table_name || t.id}</div>
+                {meta.rows != null && <div className="text-xs text-slate-500">{meta.rows} rows</div>}
+                {meta.tags.length > 0 && (
+                  <div className="mt-0.5 flex flex-wrap gap-1">
+                    {meta.tags.map((tag) => <span key={tag} className="rounded-full bg-slate-100 dark:bg-slate-800 px-1.5 text-[10px] text-slate-600 dark:text-slate-300">{tag}</span>)}
+                  </div>
+                )}
+              </button>
+              <button onClick={() => onOpenDetail(t)} title="Details" className="mr-2 opacity-40 hover:opacity-100">
+                <Info size={16} />
+              </button>
+              <button
+                onClick={() => onToggleScope(t)}
+                title={scopeIds.includes(tableId(t)) ? 'Remove from query scope' : 'Add to query scope'}
+                className={classNames('mr-2', scopeIds.includes(tableId(t)) ? 'text-indigo-600' : 'opacity-40 hover:opacity-100')}
+              >
+                <Pin size={16} />
+              </button>
+              <button
+                onClick={() => onDelete(t)}
+                disabled={!canDelete(t)}
+                title={canDelete(t) ? 'Delete table' : "Only the table's owner or a workspace owner can delete it"}
+                className="text-red-600 opacity-60 hover:opacity-100 disabled:opacity-20 disabled:cursor-not-allowed"
+              >
+                <Trash2 size={16} />
+              </button>
             </div>
-            <p className="mt-2 text-xs text-slate-500">Uploading… {progress}%</p>
-          </div>
+          )
+        }) : !error && (
+          <div className="text-sm text-slate-500">No tables yet. Upload a file to get started.</div>
         )}
       </div>
     </div>
   )
 }
 
-function TablesSidebar({ tables, selectedId, onSelect, onDelete, onRefresh }) {
+// Tables loaded into the in-browser engine; they are queried with hand-written SQL and never reach the server
+function LocalTablesList({ tables, selectedId, onSelect, onDelete }) {
+  if (!tables.length) return null
   return (
-    <div className="h-full flex flex-col">
-      <div className="flex items-center justify-between mb-2">
-        <div className="inline-flex items-center gap-2 text-slate-700 dark:text-slate-200 font-semibold"><TableIcon size={18}/> Tables</div>
-        <button onClick={onRefresh} className="text-xs text-indigo-600 hover:underline">Refresh</button>
-      </div>
-      <div className="overflow-auto space-y-1">
-        {tables?.length ? tables.map((t) => (
-          <div key={t.id} className={classNames('group flex items-center justify-between rounded-md px-2 py-2 text-sm cursor-pointer border', selectedId === t.id ? 'bg-indigo-50 dark:bg-indigo-950/30 border-indigo-200 dark:border-indigo-800' : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-800')}>
-            <button onClick={() => onSelect(t)} className="text-left flex-1 truncate">
-              <div className="font-medium truncate">{t.name || t.table_name || t.id}</div>
-              {t.rows != null && <div className="text-xs text-slate-500">{t.rows} rows</div>}
+    <div className="mt-4">
+      <div className="inline-flex items-center gap-2 text-sm font-semibold mb-2"><HardDrive size={16}/> In this browser</div>
+      <div className="space-y-1">
+        {tables.map((t) => (
+          <div key={t.id} className={classNames('flex items-center justify-between rounded-md px-2 py-2 text-sm border', selectedId === t.id ? 'bg-emerald-50 dark:bg-emerald-950/30 border-emerald-200 dark:border-emerald-800' : 'bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-800')}>
+            <button onClick={() => onSelect(t)} className="text-left flex-1 truncate" title={t.source_file ? `Loaded from ${t.source_file}` : undefined}>
+              <div className="font-medium truncate">{t.name}</div>
+              <div className="text-xs text-slate-500">{t.row_count} rows</div>
             </button>
-            <button onClick={() => onDelete(t)} className="opacity-60 hover:opacity-100 text-red-600">
+            <button onClick={() => onDelete(t)} title="Remove from this browser" className="text-red-600 opacity-60 hover:opacity-100">
               <Trash2 size={16} />
             </button>
           </div>
-        )) : (
-          <div className="text-sm text-slate-500">No tables yet. Upload a file to get started.</div>
-        )}
+        ))}
       </div>
     </div>
   )
@@ -224,12 +204,43 @@ function SchemaView({ schema }) {
   )
 }
 
-function QueryInterface({ onRun, loading, query, setQuery, examples, onKeySubmit }) {
+function QueryInterface({ onRun, loading, query, setQuery, suggestions, onKeySubmit, conversationMode, onToggleConversation, explainMode, onToggleExplain, localMode, onToggleLocal, timeline, scopeTables = [], onRemoveScope, onClearScope }) {
   return (
     <div id="query" className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-6">
       <div className="flex items-center justify-between">
         <div className="text-slate-700 dark:text-slate-200 font-semibold">Ask in plain English</div>
-        <div className="text-xs text-slate-500">Press Enter to run • Shift+Enter for new line</div>
+        <div className="flex items-center gap-4 text-xs text-slate-500">
+          <label className="inline-flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" checked={conversationMode} onChange={(e) => onToggleConversation(e.target.checked)} />
+            <MessagesSquare size={14}/> Conversation mode
+          </label>
+          <label className="inline-flex items-center gap-1 cursor-pointer" title="Show a step-by-step explanation of the generated SQL">
+            <input type="checkbox" checked={explainMode} onChange={(e) => onToggleExplain(e.target.checked)} />
+            <Lightbulb size={14}/> Explain
+          </label>
+          <label className="inline-flex items-center gap-1 cursor-pointer" title="Load CSV and Excel uploads into this browser and run SQL over them locally">
+            <input type="checkbox" checked={localMode} onChange={(e) => onToggleLocal(e.target.checked)} />
+            <HardDrive size={14}/> In-browser engine
+          </label>
+          <span>Press Enter to run • Shift+Enter for new line</span>
+        </div>
+      </div>
+      {conversationMode && <div className="mt-3">{timeline}</div>}
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+        <span className="text-slate-500">Scope:</span>
+        {scopeTables.length ? (
+          <>
+            {scopeTables.map((t) => (
+              <span key={tableId(t)} className="inline-flex items-center gap-1 rounded-full border border-indigo-300 dark:border-indigo-700 bg-indigo-50 dark:bg-indigo-950/40 px-2 py-0.5 text-indigo-700 dark:text-indigo-300">
+                {tableLabel(t)}
+                <button onClick={() => onRemoveScope(t)} title="Remove from scope" className="opacity-70 hover:opacity-100"><X size={12}/></button>
+              </span>
+            ))}
+            <button onClick={onClearScope} className="text-slate-500 hover:underline">Clear</button>
+          </>
+        ) : (
+          <span className="text-slate-500">All tables — pin tables in the sidebar to narrow the question</span>
+        )}
       </div>
       <div className="mt-3">
         <textarea
@@ -237,17 +248,11 @@ function QueryInterface({ onRun, loading, query, setQuery, examples, onKeySubmit
           onChange={(e) => setQuery(e.target.value)}
           onKeyDown={onKeySubmit}
           rows={4}
-          placeholder="e.g., Show me the top 10 rows"
+          placeholder={conversationMode ? 'Ask a follow-up, e.g., now break that down by region' : 'e.g., Show me the top 10 rows'}
           className="w-full resize-y rounded-md border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 p-3 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
         />
       </div>
-      <div className="mt-3 flex flex-wrap gap-2">
-        {examples.map((ex, i) => (
-          <button key={i} onClick={() => setQuery(ex)} className="text-xs rounded-full px-3 py-1 border border-slate-300 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 text-slate-600 dark:text-slate-300">
-            {ex}
-          </button>
-        ))}
-      </div>
+      {suggestions}
       <div className="mt-4">
         <button onClick={onRun} disabled={loading || !query.trim()} className={classNames('inline-flex items-center gap-2 rounded-md px-4 py-2 text-white font-medium shadow', loading || !query.trim() ? 'bg-slate-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700')}>
           {loading ? <Loader2 className="animate-spin" size={16}/> : <Play size={16} />}
@@ -258,12 +263,76 @@ function QueryInterface({ onRun, loading, query, setQuery, examples, onKeySubmit
   )
 }
 
-function Results({ result }) {
-  if (!result) return (
+// error is the failed run ({ error, sql }); its position is underlined while the draft still holds that statement
+function SqlPane({ sql, origin, schemas, onRunSql, running, error }) {
+  const [draft, setDraft] = useState(sql)
+  const range = useMemo(() => (error && draft === error.sql ? errorRange(draft, error.error.position) : null), [error, draft])
+
+  useEffect(() => {
+    setDraft(sql)
+  }, [sql])
+
+  const edited = origin === 'edited'
+  const dirty = draft !== sql
+  const canRun = !running && draft.trim() && onRunSql
+
+  return (
+    <div className="rounded-lg border border-slate-200 dark:border-slate-700">
+      <div className="flex items-center justify-between gap-2 bg-slate-50 dark:bg-slate-800 px-3 py-2 text-xs">
+        <div className="inline-flex items-center gap-2">
+          <span className="font-semibold">{edited ? 'Hand-edited SQL' : 'Generated SQL'}</span>
+          <span className={classNames('rounded-full px-2 py-0.5 border', edited ? 'border-amber-400 text-amber-700 dark:text-amber-300' : 'border-indigo-300 text-indigo-600 dark:text-indigo-300')}>
+            {edited ? 'hand-edited' : 'generated'}
+          </span>
+          {dirty && <span className="text-slate-500">• unsaved edits</span>}
+        </div>
+        <div className="inline-flex items-center gap-2">
+          {dirty && (
+            <button onClick={() => setDraft(sql)} className="inline-flex items-center gap-1 text-slate-500 hover:underline">
+              <RotateCcw size={12}/> Reset
+            </button>
+          )}
+          <button onClick={() => onRunSql(draft)} disabled={!canRun} className={classNames('inline-flex items-center gap-1 rounded px-2 py-1 text-white', canRun ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-slate-400 cursor-not-allowed')}>
+            {running ? <Loader2 className="animate-spin" size={12}/> : <Play size={12}/>} Run SQL
+          </button>
+        </div>
+      </div>
+      <SqlEditor value={draft} onChange={setDraft} schemas={schemas} onRun={() => canRun && onRunSql(draft)} errorRange={range} />
+    </div>
+  )
+}
+
+function EngineBadge({ result }) {
+  if (result.partial) return null
+  const local = result.engine === 'local'
+  return (
+    <span
+      title={result.fallback ? 'The server could not be reached, so the query ran on the copy of the data in this browser' : undefined}
+      className={classNames('ml-4 inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs', local ? 'border-emerald-400 text-emerald-700 dark:text-emerald-300' : 'border-slate-300 dark:border-slate-600 text-slate-600 dark:text-slate-300')}
+    >
+      {local ? <HardDrive size={12}/> : <Server size={12}/>} {local ? 'Ran in browser' : 'Server'}{result.fallback ? ' • server unreachable' : ''}
+    </span>
+  )
+}
+
+function Results({ result, error, schemas, columnTypes, onRunSql, onFetchFull, onPage, paging, running, scopeName, notify, viz, onVizChange, saveControl, explain, onCompare }) {
+  const view = viz.view
+  const setView = (v) => onVizChange({ ...viz, view: v })
+  const rows = useMemo(() => result?.rows || result?.data || [], [result])
+  const cols = useMemo(() => result?.columns || (rows[0] ? Object.keys(rows[0]) : []), [result, rows])
+  const kinds = useMemo(() => resolveColumnKinds(cols, rows, columnTypes), [cols, rows, columnTypes])
+
+  const notice = error && <ErrorNotice error={error.error} title={error.title} sql={error.sql} />
+
+  // A failed run with nothing to show still gets its SQL, so the statement can be fixed in place
+  if (!result) return error ? (
+    <div className="space-y-4">
+      {error.sql && <SqlPane sql={error.sql} origin={error.origin} schemas={schemas} onRunSql={onRunSql} running={running} error={error} />}
+      {notice}
+    </div>
+  ) : (
     <div className="text-sm text-slate-500">Your results will appear here after you run a query.</div>
   )
-  const rows = result.rows || result.data || []
-  const cols = result.columns || (rows[0] ? Object.keys(rows[0]) : [])
   const meta = {
     sql: result.sql || result.generated_sql,
     totalRows: result.total_rows ?? rows.length,
@@ -272,40 +341,57 @@ function Results({ result }) {
     summary: result.summary || result.ai_summary || null,
   }
 
-  const exportCsv = () => {
-    const arr = [cols, ...rows.map((r) => cols.map((c) => r[c]))]
-    const csv = arr.map((r) => r.map((v) => {
-      const s = v == null ? '' : String(v)
-      if (s.includes(',') || s.includes('\n') || s.includes('"')) return `"${s.replace(/"/g, '""')}"`
-      return s
-    }).join(',')).join('\n')
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'results.csv'
-    a.click()
-    URL.revokeObjectURL(url)
-  }
+  const baseName = result.question || scopeName || 'results'
+  const page = result.page || { offset: 0, size: rows.length, sort: null }
+  // Once a page size is in use the pager stays, even when that size covers every row, so a smaller size can be picked
+  // again and sorting stays on the server
+  const paged = !!onPage && !!result.page && (meta.totalRows > rows.length || (page.size > PAGE_SIZES[0] && meta.totalRows > PAGE_SIZES[0]))
 
   return (
     <div className="space-y-4">
       {meta.sql && (
-        <div className="rounded-lg border border-slate-200 dark:border-slate-700 overflow-hidden">
-          <div className="bg-slate-50 dark:bg-slate-800 px-3 py-2 text-xs font-semibold">Generated SQL</div>
-          <pre className="p-3 text-xs overflow-auto"><code>{meta.sql}</code></pre>
-        </div>
+        <SqlPane sql={meta.sql} origin={result.origin} schemas={schemas} onRunSql={onRunSql} running={running} error={error} />
+      )}
+      {notice}
+
+      {meta.sql && !result.partial && (explain || result.explanation) && (
+        <ExplainPanel question={result.question} sql={meta.sql} explanation={result.explanation} schemas={schemas} />
       )}
 
       <div className="flex items-center justify-between">
         <div className="text-sm text-slate-600 dark:text-slate-300">
           <span className="mr-4">Rows: <span className="font-semibold">{meta.totalRows}</span></span>
           {meta.timeMs != null && (<span>Time: <span className="font-semibold">{meta.timeMs} ms</span></span>)}
-          {meta.truncated && (<span className="ml-4 text-amber-600 dark:text-amber-400">Truncated</span>)}
+          <EngineBadge result={result} />
+          {meta.truncated && !paged && (<span className="ml-4 text-amber-600 dark:text-amber-400">Truncated</span>)}
+          {result.partial && (<span className="ml-4 text-indigo-600 dark:text-indigo-300">Streaming…</span>)}
+          {result.cancelled && (<span className="ml-4 text-red-600 dark:text-red-400">Cancelled • partial rows</span>)}
+          {result.interrupted && (<span className="ml-4 text-red-600 dark:text-red-400">Interrupted • partial rows</span>)}
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-md border border-slate-300 dark:border-slate-700 overflow-hidden text-sm">
+            <button onClick={() => setView('table')} className={classNames('inline-flex items-center gap-1 px-3 py-1', view === 'table' ? 'bg-indigo-600 text-white' : 'hover:bg-slate-50 dark:hover:bg-slate-800')}>
+              <TableIcon size={14}/> Table
+            </button>
+            <button onClick={() => setView('chart')} className={classNames('inline-flex items-center gap-1 px-3 py-1', view === 'chart' ? 'bg-indigo-600 text-white' : 'hover:bg-slate-50 dark:hover:bg-slate-800')}>
+              <BarChart3 size={14}/> Chart
+            </button>
+          </div>
+          {meta.sql && saveControl}
+          {onCompare && (
+            <button onClick={onCompare} title="Compare with an earlier run" className="inline-flex items-center gap-2 rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1 text-sm hover:bg-slate-50 dark:hover:bg-slate-800">
+              <GitCompareArrows size={16}/> Compare
+            </button>
+          )}
+          <ExportMenu
+            cols={cols}
+            rows={rows}
+            baseName={baseName}
+            truncated={meta.truncated || meta.totalRows > rows.length}
+            onFetchFull={meta.sql && onFetchFull ? () => onFetchFull(meta.sql) : null}
+            notify={notify}
+          />
         </div>
-        <button onClick={exportCsv} className="inline-flex items-center gap-2 rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1 text-sm hover:bg-slate-50 dark:hover:bg-slate-800">
-          <Download size={16}/> Export CSV
-        </button>
       </div>
 
       {meta.truncated && meta.summary && (
@@ -315,45 +401,21 @@ function Results({ result }) {
         </div>
       )}
 
-      <div className="rounded-lg border border-slate-200 dark:border-slate-700 overflow-auto">
-        <table className="min-w-full text-sm">
-          <thead className="bg-slate-50 dark:bg-slate-800">
-            <tr>
-              {cols.map((c) => (
-                <th key={c} className="px-3 py-2 text-left font-semibold border-b border-slate-200 dark:border-slate-700">{c}</th>
-              ))}
-            </tr>
-          </thead>
-          <tbody>
-            {rows.map((row, i) => (
-              <tr key={i} className="even:bg-slate-50/50 dark:even:bg-slate-800/30">
-                {cols.map((c) => (
-                  <td key={c} className="px-3 py-2 border-b border-slate-100 dark:border-slate-800 whitespace-pre-wrap">{String(row[c] ?? '')}</td>
-                ))}
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-    </div>
-  )
-}
+      {view === 'chart' ? (
+        <ChartView cols={cols} rows={rows} kinds={kinds} baseName={baseName} initialConfig={viz.chart} onConfigChange={(chart) => onVizChange({ ...viz, chart })} />
+      ) : (
+        <ResultsGrid
+          cols={cols}
+          rows={rows}
+          kinds={kinds}
+          sort={page.sort}
+          onSortChange={paged ? (sort) => onPage({ offset: 0, sort }) : undefined}
+        />
+      )}
 
-function QueryHistory({ items, onPick, onClear }) {
-  if (!items.length) return null
-  return (
-    <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-3">
-      <div className="flex items-center justify-between mb-2">
-        <div className="inline-flex items-center gap-2 text-sm font-semibold"><History size={16}/> Recent</div>
-        <button onClick={onClear} className="text-xs text-slate-500 hover:underline">Clear</button>
-      </div>
-      <div className="flex flex-wrap gap-2">
-        {items.map((q, i) => (
-          <button key={i} onClick={() => onPick(q)} className="text-xs rounded-full px-3 py-1 border border-slate-300 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 text-slate-600 dark:text-slate-300">
-            {q}
-          </button>
-        ))}
-      </div>
+      {paged && (
+        <Pagination offset={page.offset} size={page.size} total={meta.totalRows} loading={paging} onChange={onPage} />
+      )}
     </div>
   )
 }
@@ -361,96 +423,563 @@ function QueryHistory({ items, onPick, onClear }) {
 export default function App() {
   const { isDark, setIsDark } = useDarkMode()
   const { toasts, add: addToast, remove: removeToast } = useToasts()
+  const { id: routeSavedId } = useParams()
+  const navigate = useNavigate()
+  const auth = useAuth()
+  const workspaceId = auth.workspace?.id ?? null
+  const loadedWorkspace = useRef(workspaceId)
+  const historyKey = historyScope(PROFILE_ID, workspaceId)
 
   const [tables, setTables] = useState([])
   const [selectedTable, setSelectedTable] = useState(null)
   const [schema, setSchema] = useState(null)
+  const [schemaCache, setSchemaCache] = useState({})
   const [loadingTables, setLoadingTables] = useState(false)
   const [loadingSchema, setLoadingSchema] = useState(false)
+  const [tablesError, setTablesError] = useState(null)
+  const [schemaError, setSchemaError] = useState(null)
+  const [scope, setScope] = useState([])
+  const [detailTable, setDetailTable] = useState(null)
+  const pendingDeletes = useRef({})
 
   const [query, setQuery] = useState('')
   const [running, setRunning] = useState(false)
   const [result, setResult] = useState(null)
+  // the last failed run: { error, sql, question, origin, title }, shown inline with the results
+  const [queryError, setQueryError] = useState(null)
+  const [pageSize, setPageSize] = useState(() => Number(localStorage.getItem('page_size')) || 100)
+  const [paging, setPaging] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [viz, setViz] = useState(DEFAULT_VIZ)
+  const activeRequest = useRef(null)
 
-  const [history, setHistory] = useState(() => {
-    try { return JSON.parse(localStorage.getItem('query_history') || '[]') } catch { return [] }
+  const [savedQueries, setSavedQueries] = useState([])
+  const [savedLocalOnly, setSavedLocalOnly] = useState(false)
+  const openedSavedId = useRef(null)
+
+  const [conversationMode, setConversationMode] = useState(() => localStorage.getItem('conversation_mode') === 'on')
+  const [explainMode, setExplainMode] = useState(() => localStorage.getItem('explain_mode') === 'on')
+  const [clarifying, setClarifying] = useState(null)
+  const [threads, setThreads] = useState(() => {
+    const saved = loadThreads()
+    return saved.length ? saved : [createThread()]
   })
+  const [activeThreadId, setActiveThreadId] = useState(null)
+  const activeThread = threads.find((t) => t.id === activeThreadId) || threads[threads.length - 1]
+
+  const [historyEntries, setHistoryEntries] = useState([])
+
+  const [localMode, setLocalMode] = useState(() => localStorage.getItem('local_engine') === 'on')
+  const [localTables, setLocalTables] = useState([])
 
-  const examples = useMemo(() => [
-    'Show me the top 10 rows',
-    "What's the average cost?",
-    'Total sales by month',
-    'Find rows where status is active',
-  ], [])
+  const [shortcuts, setShortcuts] = useState(loadShortcuts)
+  const [paletteOpen, setPaletteOpen] = useState(false)
+  const [helpOpen, setHelpOpen] = useState(false)
+
+  // completed runs, newest first, for the compare view; kept for this session only
+  const [runs, setRuns] = useState([])
+  const [comparing, setComparing] = useState(false)
 
   const refreshTables = async () => {
     setLoadingTables(true)
+    setTablesError(null)
     try {
-      const res = await fetch(`${BASE_URL}/api/tables`)
-      if (!res.ok) throw new Error(`Status ${res.status}`)
-      const data = await res.json()
-      setTables(Array.isArray(data) ? data : (data.tables || []))
+      // tables waiting out their undo window stay hidden
+      const list = (await api.listTables()).filter((t) => !pendingDeletes.current[tableId(t)])
+      setTables(list)
+      setScope((prev) => prev.filter((id) => list.some((t) => tableId(t) === id)))
     } catch (e) {
-      addToast({ type: 'error', title: 'Failed to load tables', message: e.message })
+      setTablesError(e)
     } finally {
       setLoadingTables(false)
     }
   }
 
+  const refreshLocal = () => listLocalTables().then(setLocalTables, () => setLocalTables([]))
+
+  const removeLocalTable = async (t) => {
+    if (!confirm(`Remove ${t.name} from this browser?`)) return
+    try {
+      await dropLocalTable(t.id)
+      if (selectedTable?.id === t.id) {
+        setSelectedTable(null)
+        setSchema(null)
+      }
+      refreshLocal()
+    } catch (e) {
+      addToast({ type: 'error', title: `Failed to remove ${t.name}`, message: e.message })
+    }
+  }
+
+  const loadSchema = async (id) => {
+    const data = localTables.find((t) => t.id === id) || await api.getTable(id)
+    setSchemaCache((prev) => ({ ...prev, [id]: data }))
+    return data
+  }
+
   const fetchSchema = async (id) => {
     setLoadingSchema(true)
+    setSchemaError(null)
     try {
-      const res = await fetch(`${BASE_URL}/api/tables/${encodeURIComponent(id)}`)
-      if (!res.ok) throw new Error(`Status ${res.status}`)
-      const data = await res.json()
-      setSchema(data)
+      setSchema(await loadSchema(id))
     } catch (e) {
-      addToast({ type: 'error', title: 'Failed to load schema', message: e.message })
+      setSchema(null)
+      setSchemaError(e)
     } finally {
       setLoadingSchema(false)
     }
   }
 
-  const deleteTable = async (tbl) => {
-    if (!confirm(`Delete table ${tbl.name || tbl.table_name || tbl.id}?`)) return
+  // Deleting hides the table right away but only sends the DELETE once the undo window has passed
+  const deleteTable = (tbl) => {
+    const id = tableId(tbl)
+    setTables((prev) => prev.filter((t) => tableId(t) !== id))
+    setScope((prev) => prev.filter((x) => x !== id))
+    if (tableId(detailTable) === id) setDetailTable(null)
+    if (selectedTable && tableId(selectedTable) === id) {
+      setSelectedTable(null)
+      setSchema(null)
+    }
+    pendingDeletes.current[id] = { table: tbl, timer: setTimeout(() => commitDelete(id), UNDO_WINDOW_MS) }
+    addToast({
+      title: `Deleted ${tableLabel(tbl)}`,
+      message: 'The table will be removed in a few seconds.',
+      duration: UNDO_WINDOW_MS,
+      action: { label: 'Undo', onClick: () => undoDelete(id) },
+    })
+  }
+
+  const commitDelete = async (id, keepalive = false) => {
+    const pending = pendingDeletes.current[id]
+    if (!pending) return
+    clearTimeout(pending.timer)
     try {
-      const res = await fetch(`${BASE_URL}/api/tables/${encodeURIComponent(tbl.id || tbl._id || tbl.name)}`, { method: 'DELETE' })
-      if (!res.ok) throw new Error(`Status ${res.status}`)
-      addToast({ title: 'Table deleted' })
-      await refreshTables()
-      if (selectedTable && (selectedTable.id === tbl.id)) {
-        setSelectedTable(null)
-        setSchema(null)
-      }
+      await api.deleteTable(id, { keepalive })
+      delete pendingDeletes.current[id]
     } catch (e) {
-      addToast({ type: 'error', title: 'Failed to delete', message: e.message })
+      delete pendingDeletes.current[id]
+      addToast({ type: 'error', title: `Failed to delete ${tableLabel(pending.table)}`, message: e.message })
+      refreshTables()
     }
   }
 
-  const runQuery = async () => {
-    if (!query.trim()) return
+  const undoDelete = (id) => {
+    const pending = pendingDeletes.current[id]
+    if (!pending) return
+    clearTimeout(pending.timer)
+    delete pendingDeletes.current[id]
+    refreshTables()
+    addToast({ title: `Restored ${tableLabel(pending.table)}` })
+  }
+
+  const tableUpdated = (updated) => {
+    const id = tableId(updated)
+    setTables((prev) => prev.map((t) => (tableId(t) === id ? updated : t)))
+    setDetailTable(updated)
+    if (selectedTable && tableId(selectedTable) === id) setSelectedTable(updated)
+    setSchemaCache((prev) => (prev[id] ? { ...prev, [id]: { ...prev[id], name: updated.name } } : prev))
+  }
+
+  const tableReplaced = (tbl) => {
+    const id = tableId(tbl)
+    refreshTables()
+    loadSchema(id).then((s) => { if (selectedTable && tableId(selectedTable) === id) setSchema(s) }).catch(() => {})
+  }
+
+  const runQuery = () => ask(query)
+
+  // clarification carries the reading picked in a clarification prompt ({ option_id })
+  const ask = async (text, tableIds = scope, clarification = null) => {
+    const question = text.trim()
+    if (!question) return
     setRunning(true)
     setResult(null)
+    setQueryError(null)
+    setClarifying(null)
+    setViz((v) => ({ ...v, chart: null }))
+    if (routeSavedId) navigate('/')
+    const thread = conversationMode ? activeThread : null
+    const tableName = scopeTables.length ? scopeTables.map(tableLabel).join(', ') : tableLabel(selectedTable)
+    const started = performance.now()
     try {
-      const res = await fetch(`${BASE_URL}/api/query`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query: query.trim() }),
-      })
-      if (!res.ok) throw new Error(`Status ${res.status}`)
-      const data = await res.json()
-      setResult(data)
+      const data = await streamQuery({
+        query: question,
+        ...(tableIds.length ? { table_ids: tableIds, schema_context: scopeSchemaContext(tableIds) } : {}),
+        ...(thread ? { context: buildContext(thread, tableName) } : {}),
+        ...(explainMode ? { explain: true } : {}),
+        ...(clarification ? { clarification } : {}),
+        ...pageParams(0, pageSize),
+      }, { origin: 'generated', question })
+      if (needsClarification(data)) {
+        setClarifying({ question, tableIds, clarification: data.clarification })
+        return
+      }
+      let turnId = null
+      if (thread) {
+        const turn = makeTurn({ question, sql: data.sql || data.generated_sql, table: tableName, result: data })
+        turnId = turn.id
+        updateThread(thread.id, (t) => appendTurn(t, turn))
+        setQuery('')
+      }
+      setResult({ ...data, origin: 'generated', question, turnId, page: { offset: 0, size: pageSize, sort: null } })
       addToast({ title: 'Query completed' })
-      const newHist = [query.trim(), ...history.filter((q) => q !== query.trim())].slice(0, 10)
-      setHistory(newHist)
-      localStorage.setItem('query_history', JSON.stringify(newHist))
+      recordRun({ question, tableIds, started, data })
     } catch (e) {
-      addToast({ type: 'error', title: 'Query failed', message: e.message })
+      recordRun({ question, tableIds, started, error: e })
+      if (e.name === 'AbortError') notifyCancelled()
+      else setQueryError({ error: e, sql: e.sql, question, origin: 'generated', title: 'Query failed' })
     } finally {
       setRunning(false)
     }
   }
 
+  // Streaming contract for /api/query/stream (text/event-stream): `started` { query_id }, `stage` { stage },
+  // `sql` { delta } while the SQL is generated, `columns` { columns }, `rows` { rows } in batches,
+  // `done` with the same metadata /api/query returns, and `error` { message }.
+  // Backends without the endpoint (404) or that answer with plain JSON are handled transparently.
+  // An `error` event carries the same fields as an error body (see api.js), e.g. the position of a SQL error.
+  const streamFromServer = async (body, extra) => {
+    const controller = new AbortController()
+    activeRequest.current = { controller, queryId: null }
+    setProgress({ stage: 'connecting', sql: '', rowsReceived: 0 })
+    try {
+      const res = await api.openQueryStream(body, { signal: controller.signal })
+      if (!isEventStream(res)) return await res.json()
+
+      let data = { sql: body.sql || '', rows: [] }
+      let done = false
+      for await (const { event, data: payload } of readEventStream(res)) {
+        if (event === 'started') {
+          activeRequest.current.queryId = payload.query_id
+        } else if (event === 'stage') {
+          setProgress((p) => ({ ...p, stage: payload.stage }))
+        } else if (event === 'sql') {
+          data.sql = payload.sql ?? data.sql + (payload.delta || '')
+          setProgress((p) => ({ ...p, sql: data.sql }))
+        } else if (event === 'columns') {
+          data.columns = payload.columns
+        } else if (event === 'rows') {
+          data.rows = data.rows.concat(payload.rows || [])
+          setProgress((p) => ({ ...p, rowsReceived: data.rows.length }))
+          setResult({ ...data, ...extra, partial: true })
+        } else if (event === 'clarification') {
+          return { status: 'needs_clarification', clarification: payload }
+        } else if (event === 'done') {
+          done = true
+          data = { ...data, ...payload, rows: payload.rows || data.rows }
+        } else if (event === 'error') {
+          throw Object.assign(api.parseErrorBody(0, payload), { sql: data.sql })
+        }
+      }
+      // a stream that ends without `done` was cut off (dropped connection, proxy timeout, server crash); its own code
+      // keeps the local engine from replacing the rows that did arrive
+      if (!done) throw Object.assign(new api.ApiError('The server closed the stream before the query finished', { code: 'stream_interrupted' }), { sql: data.sql })
+      return data
+    } catch (e) {
+      // rows received before a failure stay on screen, marked as partial; a cancel marks them itself
+      if (e.name !== 'AbortError') setResult((prev) => (prev?.partial ? { ...prev, partial: false, interrupted: true } : prev))
+      // errors before any SQL was streamed belong to the statement that was sent, or the one the server generated
+      if (e.sql == null) e.sql = body.sql || e.body?.sql || null
+      throw e
+    } finally {
+      activeRequest.current = null
+      setProgress(null)
+    }
+  }
+
+  // SQL over local tables runs in the browser while the engine is on, and whenever the server is unreachable
+  const streamQuery = (body, extra) => withLocalEngine(body, () => streamFromServer(body, extra), { preferLocal: localMode })
+
+  // Aborting the fetch stops the stream; the cancel call stops the statement on the server
+  const cancelQuery = () => {
+    const req = activeRequest.current
+    if (!req) return
+    req.controller.abort()
+    if (req.queryId) {
+      api.cancelQuery(req.queryId).catch(() => {})
+    }
+  }
+
+  const notifyCancelled = () => {
+    setResult((prev) => (prev ? { ...prev, partial: false, cancelled: true } : prev))
+    addToast({ title: 'Query cancelled', message: 'Rows received before cancelling are kept.' })
+  }
+
+  const toggleScope = (t) => {
+    const id = tableId(t)
+    // column names for scoped tables travel with the question, so make sure they are loaded
+    if (!scope.includes(id) && !schemaCache[id]) loadSchema(id).catch(() => {})
+    setScope((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]))
+  }
+
+  const scopeSchemaContext = (ids = scope) => ids.map((id) => ({
+    table_id: id,
+    table: tableLabel(tables.find((t) => tableId(t) === id)),
+    columns: (schemaCache[id]?.columns || []).map((c) => ({ name: columnName(c), type: columnType(c) })),
+  }))
+
+  const scopeTables = useMemo(() => scope.map((id) => tables.find((t) => tableId(t) === id)).filter(Boolean), [scope, tables])
+
+  // Suggestions and template forms follow the first pinned table, else the selected one
+  const suggestionTable = scopeTables[0] || selectedTable
+  const suggestionColumns = (suggestionTable && schemaCache[tableId(suggestionTable)]?.columns) || []
+  const examples = useMemo(() => (suggestionTable ? suggestQuestions(suggestionTable, suggestionColumns) : GENERIC_EXAMPLES), [suggestionTable, suggestionColumns])
+
+  const updateThread = (id, fn) => setThreads((prev) => prev.map((t) => (t.id === id ? fn(t) : t)))
+
+  const executeSql = (sql) => {
+    const body = { sql, ...pageParams(0, pageSize) }
+    return withLocalEngine(body, () => api.runQuery(body), { preferLocal: localMode })
+  }
+
+  // Executes hand-written SQL as-is, skipping generation; the result stays attributed to the original question
+  const runSql = async (sql) => {
+    if (!sql.trim()) return
+    setRunning(true)
+    setQueryError(null)
+    const question = result ? result.question : queryError?.question
+    const started = performance.now()
+    try {
+      const data = await streamQuery({ sql: sql.trim(), ...pageParams(0, pageSize) }, { sql: sql.trim(), origin: 'edited', question })
+      setResult({ ...data, sql: sql.trim(), origin: 'edited', question, turnId: result?.turnId, savedId: result?.savedId, page: { offset: 0, size: pageSize, sort: null } })
+      // A corrected statement replaces the thread's latest SQL so follow-ups build on the fix
+      if (result?.turnId) {
+        threads.forEach((t) => {
+          const last = t.turns[t.turns.length - 1]
+          if (last?.id !== result.turnId) return
+          updateThread(t.id, (th) => replaceLastTurn(th, { ...makeTurn({ question: last.question, sql: sql.trim(), origin: 'edited', table: last.table, result: data }), id: last.id }))
+        })
+      }
+      addToast({ title: 'SQL executed', message: 'Showing results for hand-edited SQL' })
+      recordRun({ question, sql: sql.trim(), origin: 'edited', tableIds: scope, started, data })
+    } catch (e) {
+      recordRun({ question, sql: sql.trim(), origin: 'edited', tableIds: scope, started, error: e })
+      if (e.name === 'AbortError') notifyCancelled()
+      else setQueryError({ error: e, sql: sql.trim(), question, origin: 'edited', title: 'SQL failed' })
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const openTurn = async (turn) => {
+    setRunning(true)
+    try {
+      const data = await executeSql(turn.sql)
+      setResult({ ...data, sql: turn.sql, origin: turn.origin, question: turn.question, turnId: turn.id, page: { offset: 0, size: pageSize, sort: null } })
+      setQueryError(null)
+    } catch (e) {
+      setQueryError({ error: e, sql: turn.sql, question: turn.question, origin: turn.origin, title: 'Failed to load result' })
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const branchFrom = (turnId) => {
+    const branch = branchThread(activeThread, turnId)
+    setThreads((prev) => [...prev, branch])
+    setActiveThreadId(branch.id)
+  }
+
+  const newThread = () => {
+    if (!activeThread.turns.length) return
+    const thread = createThread()
+    setThreads((prev) => [...prev, thread])
+    setActiveThreadId(thread.id)
+    setResult(null)
+    setQueryError(null)
+  }
+
+  // Fetches another slice of the current result; sorting is applied by the server across the whole result
+  const fetchPage = async ({ offset, size = result?.page?.size ?? pageSize, sort = result?.page?.sort ?? null }) => {
+    const sql = result?.sql || result?.generated_sql
+    if (!sql) return
+    if (size !== pageSize) {
+      setPageSize(size)
+      localStorage.setItem('page_size', String(size))
+    }
+    setPaging(true)
+    try {
+      const body = { sql, ...pageParams(offset, size, sort) }
+      // pages of a local result come from the same engine
+      const data = result.engine === 'local' ? await runLocalQuery(body) : await withLocalEngine(body, () => api.runQuery(body), { preferLocal: localMode })
+      setResult({ ...data, sql, origin: result.origin, question: result.question, turnId: result.turnId, savedId: result.savedId, explanation: result.explanation, page: { offset, size, sort } })
+    } catch (e) {
+      addToast({ type: 'error', title: 'Failed to load page', message: e.message })
+    } finally {
+      setPaging(false)
+    }
+  }
+
+  const refreshSaved = async () => {
+    try {
+      setSavedQueries(await listSavedQueries())
+      setSavedLocalOnly(isLocalOnly())
+    } catch (e) {
+      addToast({ type: 'error', title: 'Failed to load saved queries', message: e.message })
+    }
+  }
+
+  // Runs stored SQL again under its original question and table scope (saved queries, history re-runs)
+  const replaySql = async ({ sql, question, origin = 'generated', tableIds = [], sort = null, savedId = null }) => {
+    setRunning(true)
+    setResult(null)
+    setQueryError(null)
+    setQuery(question || '')
+    setScope(tableIds)
+    tableIds.forEach((t) => { if (!schemaCache[t]) loadSchema(t).catch(() => {}) })
+    document.getElementById('workspace')?.scrollIntoView({ behavior: 'smooth' })
+    const extra = { sql, origin, question, savedId }
+    const started = performance.now()
+    try {
+      const data = await streamQuery({ sql, ...(tableIds.length ? { table_ids: tableIds } : {}), ...pageParams(0, pageSize, sort) }, extra)
+      setResult({ ...data, ...extra, page: { offset: 0, size: pageSize, sort } })
+      recordRun({ question, sql, origin, tableIds, started, data })
+    } catch (e) {
+      recordRun({ question, sql, origin, tableIds, started, error: e })
+      if (e.name === 'AbortError') notifyCancelled()
+      else setQueryError({ error: e, sql, question, origin, title: 'Query failed' })
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  // Restores the question, scope and view of a saved query and re-runs its SQL
+  const openSaved = async (id) => {
+    openedSavedId.current = id
+    let saved
+    try {
+      saved = await getSavedQuery(id)
+    } catch (e) {
+      addToast({ type: 'error', title: 'Failed to open saved query', message: e.message })
+      return
+    }
+    setViz({ view: saved.viz?.view || 'table', chart: saved.viz?.chart || null })
+    await replaySql({ sql: saved.sql, question: saved.question, origin: saved.origin, tableIds: saved.table_ids || [], sort: saved.viz?.sort || null, savedId: saved.id })
+  }
+
+  const savedSnapshot = () => ({
+    question: result.question || '',
+    sql: result.sql || result.generated_sql,
+    origin: result.origin,
+    table_ids: scope,
+    viz: { view: viz.view, chart: viz.chart, sort: result.page?.sort || null },
+  })
+
+  const saveResult = async ({ name, folder }) => {
+    try {
+      const saved = await createSavedQuery({ name, folder, ...savedSnapshot() })
+      setSavedQueries((prev) => [...prev, saved])
+      setSavedLocalOnly(isLocalOnly())
+      setResult((prev) => (prev ? { ...prev, savedId: saved.id } : prev))
+      openedSavedId.current = saved.id
+      navigate(`/q/${encodeURIComponent(saved.id)}`)
+      addToast({ title: 'Query saved', message: folder ? `${folder} / ${name}` : name })
+    } catch (e) {
+      addToast({ type: 'error', title: 'Failed to save query', message: api.describeError(e) })
+      throw e
+    }
+  }
+
+  const editSaved = async (saved, patch) => {
+    try {
+      const updated = await updateSavedQuery(saved.id, patch)
+      setSavedQueries((prev) => prev.map((q) => (q.id === saved.id ? { ...q, ...updated } : q)))
+      return updated
+    } catch (e) {
+      addToast({ type: 'error', title: 'Failed to update saved query', message: api.describeError(e) })
+      throw e
+    }
+  }
+
+  const deleteSaved = async (saved) => {
+    if (!confirm(`Delete the saved query "${saved.name}"?`)) return
+    try {
+      await deleteSavedQuery(saved.id)
+      setSavedQueries((prev) => prev.filter((q) => q.id !== saved.id))
+      if (result?.savedId === saved.id) setResult((prev) => ({ ...prev, savedId: null }))
+      if (routeSavedId === saved.id) navigate('/')
+    } catch (e) {
+      addToast({ type: 'error', title: 'Failed to delete saved query', message: e.message })
+    }
+  }
+
+  const copySavedLink = async (saved) => {
+    try {
+      await navigator.clipboard.writeText(savedQueryLink(saved.id))
+      addToast({ title: 'Link copied', message: saved.name })
+    } catch (e) {
+      addToast({ type: 'error', title: 'Copy failed', message: e.message })
+    }
+  }
+
+  // Every run lands in the history, failures and cancellations included
+  const recordRun = ({ question, sql, origin = 'generated', tableIds = [], started, data, error }) => {
+    const rows = data?.rows || data?.data || []
+    const names = tableIds.length ? tableIds.map((id) => tableLabel(tables.find((t) => tableId(t) === id)) || id) : selectedTable ? [tableLabel(selectedTable)] : []
+    const entry = makeEntry({
+      scope: historyKey,
+      question: question || '',
+      sql: data?.sql || data?.generated_sql || error?.sql || sql || null,
+      origin,
+      tables: names,
+      table_ids: tableIds,
+      status: error ? (error.name === 'AbortError' ? 'cancelled' : 'error') : 'success',
+      row_count: data ? (data.total_rows ?? rows.length) : null,
+      execution_time_ms: data?.execution_time_ms ?? data?.time_ms ?? Math.round(performance.now() - started),
+      error: error && error.name !== 'AbortError' ? error.message : null,
+    })
+    setHistoryEntries((prev) => [entry, ...prev])
+    addHistoryEntry(entry)
+    if (data) setRuns((prev) => [snapshotRun({ question, sql: entry.sql, origin, data }), ...prev].slice(0, MAX_KEPT_RUNS))
+  }
+
+  const rerunHistory = (entry) => {
+    if (!entry.sql) {
+      setQuery(entry.question)
+      setScope(entry.table_ids || [])
+      return ask(entry.question, entry.table_ids || [])
+    }
+    if (routeSavedId) navigate('/')
+    setViz((v) => ({ ...v, chart: null }))
+    return replaySql({ sql: entry.sql, question: entry.question, origin: entry.origin, tableIds: entry.table_ids || [] })
+  }
+
+  const toggleHistoryPin = async (entry) => {
+    setHistoryEntries((prev) => prev.map((e) => (e.id === entry.id ? { ...e, pinned: !e.pinned } : e)))
+    await updateHistoryEntry(entry.id, { pinned: !entry.pinned })
+  }
+
+  const removeHistoryEntry = async (entry) => {
+    setHistoryEntries((prev) => prev.filter((e) => e.id !== entry.id))
+    await deleteHistoryEntry(entry.id)
+  }
+
+  const activeSaved = savedQueries.find((q) => q.id === result?.savedId) || null
+  const savedFolders = useMemo(() => [...new Set(savedQueries.map((q) => normalizeFolder(q.folder)).filter(Boolean))].sort(), [savedQueries])
+
+  // Re-runs the executed SQL without the server's row cap, for exports of truncated results
+  const fetchFullResult = async (sql) => {
+    const data = result?.engine === 'local' ? await runLocalQuery({ sql, full: true }) : await withLocalEngine({ sql, full: true }, () => api.runQuery({ sql, full: true }, { timeout: 0 }), { preferLocal: localMode })
+    const rows = data.rows || data.data || []
+    return { rows, cols: data.columns || (rows[0] ? Object.keys(rows[0]) : []) }
+  }
+
+  const sqlSchemas = useMemo(() => [
+    ...tables.map((t) => ({
+      name: t.table_name || t.name || t.id,
+      columns: schemaCache[tableId(t)]?.columns,
+    })),
+    ...localTables.map((t) => ({ name: t.name, columns: t.columns })),
+  ], [tables, schemaCache, localTables])
+
+  // Column types come from the tables the result's SQL reads, so an `id` elsewhere cannot lend its type
+  const resultSql = result?.sql || result?.generated_sql || ''
+  const columnTypes = useMemo(() => {
+    const read = new Set(referencedTables(resultSql))
+    const ids = tables.filter((t) => read.has(String(t.table_name || t.name || t.id).toLowerCase())).map(tableId)
+    return schemaTypeMap(Object.fromEntries(ids.filter((id) => schemaCache[id]).map((id) => [id, schemaCache[id]])))
+  }, [resultSql, tables, schemaCache])
+
   const handleKeySubmit = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
@@ -458,8 +987,130 @@ export default function App() {
     }
   }
 
+  const changeShortcuts = (next) => {
+    setShortcuts(next)
+    saveShortcuts(next)
+  }
+
+  const focusQuestion = () => {
+    const box = document.querySelector('#query textarea')
+    box?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+    box?.focus()
+  }
+
+  const focusTables = () => (document.querySelector('[data-table-row][aria-current]') || document.querySelector('[data-table-row]'))?.focus()
+
+  const focusResults = () => {
+    const grid = document.querySelector('#results [data-results-grid]')
+    if (!grid) return addToast({ type: 'error', title: 'No results to move to', message: 'Run a query first' })
+    grid.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+    grid.focus()
+  }
+
+  // The loaded rows as CSV; the export menu covers the other formats and the full result
+  const exportCsv = async () => {
+    const rows = result?.rows || result?.data || []
+    if (!result || !rows.length) return addToast({ type: 'error', title: 'Nothing to export', message: 'Run a query first' })
+    try {
+      const cols = result.columns || Object.keys(rows[0])
+      downloadBlob(await buildExport('csv', cols, rows), exportFilename(result.question || tableLabel(selectedTable) || 'results', 'csv'))
+    } catch (e) {
+      addToast({ type: 'error', title: 'Export failed', message: e.message })
+    }
+  }
+
+  const clearAllHistory = () => clearHistory(historyKey).then((kept) => {
+    setHistoryEntries(kept)
+    addToast({ title: 'History cleared', message: kept.length ? `${kept.length} pinned kept` : undefined })
+  })
+
+  const shortcutHandlers = {
+    palette: () => setPaletteOpen((open) => !open),
+    run: runQuery,
+    focus_question: focusQuestion,
+    focus_tables: focusTables,
+    focus_results: focusResults,
+    export: exportCsv,
+    dark_mode: () => setIsDark((dark) => !dark),
+    clear_history: clearAllHistory,
+    help: () => setHelpOpen(true),
+  }
+  useShortcuts(shortcuts, shortcutHandlers)
+
+  const paletteCommands = useMemo(() => !paletteOpen ? [] : [
+    ...SHORTCUT_ACTIONS.filter((a) => a.id !== 'palette').map((a) => ({ id: `action-${a.id}`, group: 'Actions', label: a.label, combo: shortcuts[a.id], run: shortcutHandlers[a.id] })),
+    ...(runs.length > 1 ? [{ id: 'action-compare', group: 'Actions', label: 'Compare the last two runs', run: () => setComparing(true) }] : []),
+    { id: 'action-dashboards', group: 'Actions', label: 'Open dashboards', run: () => navigate('/dashboards') },
+    { id: 'action-diagnostics', group: 'Actions', label: 'Open diagnostics', run: () => navigate('/diagnostics') },
+    { id: 'action-settings', group: 'Actions', label: 'Change connection', detail: PROFILE_NAME, run: () => navigate('/settings') },
+    ...[...tables, ...localTables].map((t) => ({
+      id: `table-${tableId(t)}`,
+      group: 'Tables',
+      label: tableLabel(t),
+      detail: t.local ? 'In this browser' : tableMeta(t).rows != null ? `${tableMeta(t).rows} rows` : null,
+      run: () => setSelectedTable(t),
+    })),
+    ...savedQueries.map((q) => ({
+      id: `saved-${q.id}`,
+      group: 'Saved queries',
+      label: q.name,
+      detail: [q.folder, q.question || q.sql].filter(Boolean).join(' • '),
+      run: () => (routeSavedId === q.id ? openSaved(q.id) : navigate(`/q/${encodeURIComponent(q.id)}`)),
+    })),
+    ...historyEntries.slice(0, 50).map((e) => ({
+      id: `recent-${e.id}`,
+      group: 'Recent queries',
+      label: e.question || e.sql,
+      detail: [new Date(e.created_at).toLocaleString(), e.tables?.join(', ')].filter(Boolean).join(' • '),
+      run: () => rerunHistory(e),
+    })),
+  ], [paletteOpen, shortcuts, tables, localTables, savedQueries, historyEntries, runs])
+
   useEffect(() => {
     refreshTables()
+    refreshSaved()
+    refreshLocal()
+    listHistory(historyKey).then(setHistoryEntries)
+  }, [])
+
+  // /q/:id opens the saved query, unless it is the one already on screen (e.g. right after saving it)
+  useEffect(() => {
+    if (!routeSavedId) openedSavedId.current = null
+    else if (routeSavedId !== openedSavedId.current) openSaved(routeSavedId)
+  }, [routeSavedId])
+
+  // Tables, saved queries, history and kept runs belong to the workspace, so switching starts over with its own
+  useEffect(() => {
+    if (loadedWorkspace.current === workspaceId) return
+    loadedWorkspace.current = workspaceId
+    setScope([])
+    setSelectedTable(null)
+    setSchema(null)
+    setSchemaCache({})
+    setDetailTable(null)
+    setResult(null)
+    setQueryError(null)
+    setClarifying(null)
+    setRuns([])
+    setComparing(false)
+    setHistoryEntries([])
+    if (routeSavedId) navigate('/')
+    refreshTables()
+    refreshSaved()
+    listHistory(historyKey).then(setHistoryEntries)
+  }, [workspaceId])
+
+  useEffect(() => {
+    saveThreads(threads)
+  }, [threads])
+
+  useEffect(() => () => activeRequest.current?.controller.abort(), [])
+
+  // Closing the page ends the undo window early
+  useEffect(() => {
+    const flush = () => Object.keys(pendingDeletes.current).forEach((id) => commitDelete(id, true))
+    window.addEventListener('beforeunload', flush)
+    return () => window.removeEventListener('beforeunload', flush)
   }, [])
 
   useEffect(() => {
@@ -470,11 +1121,24 @@ export default function App() {
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 to-indigo-50 dark:from-slate-950 dark:to-indigo-950 text-slate-900 dark:text-slate-100">
-      <div className="fixed top-4 left-4 z-40">
+      <div className="fixed top-4 left-4 z-40 flex items-center gap-2">
         <button onClick={() => setIsDark(!isDark)} className="inline-flex items-center gap-2 rounded-full border border-slate-300 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur px-3 py-1 text-sm">
           {isDark ? <SunMedium size={16}/> : <Moon size={16}/>}
           {isDark ? 'Light' : 'Dark'} mode
         </button>
+        <Link to="/dashboards" className="inline-flex items-center gap-2 rounded-full border border-slate-300 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur px-3 py-1 text-sm">
+          <LayoutDashboard size={16}/> Dashboards
+        </Link>
+        <Link to="/diagnostics" title="Diagnostics" className="inline-flex items-center gap-2 rounded-full border border-slate-300 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur px-3 py-1 text-sm">
+          <Activity size={16}/>
+        </Link>
+        <button onClick={() => setPaletteOpen(true)} title={`Command palette${shortcuts.palette ? ` (${formatCombo(shortcuts.palette)})` : ''}`} className="inline-flex items-center gap-2 rounded-full border border-slate-300 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur px-3 py-1 text-sm">
+          <Command size={16}/>
+        </button>
+        <Link to="/settings" title={`Connected to ${BASE_URL} • change connection`} className="inline-flex items-center gap-2 rounded-full border border-slate-300 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur px-3 py-1 text-sm">
+          <Plug size={16}/> {PROFILE_NAME}
+        </Link>
+        <AccountMenu />
       </div>
 
       <Hero onGetStarted={() => {
@@ -485,23 +1149,115 @@ export default function App() {
       <main id="workspace" className="relative z-10 container mx-auto px-6 pb-24 -mt-16">
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
           <div className="lg:col-span-3 space-y-6">
-            <FileUpload onUploaded={() => {}} onTablesRefresh={refreshTables} toasts={{ add: addToast }} />
+            <FileUpload
+              onUploaded={() => {}}
+              onTablesRefresh={refreshTables}
+              toasts={{ add: addToast }}
+              tables={tables.filter((t) => auth.can('edit_table', t))}
+              canUpload={auth.can('upload')}
+              localEngine={localMode}
+              onLocalLoaded={refreshLocal}
+              getSchema={(id) => (schemaCache[id] ? Promise.resolve(schemaCache[id]) : loadSchema(id))}
+            />
 
             <QueryInterface
               onRun={runQuery}
               loading={running}
               query={query}
               setQuery={setQuery}
-              examples={examples}
+              suggestions={<TemplatePicker table={suggestionTable} columns={suggestionColumns} examples={examples} onUse={setQuery} notify={addToast} />}
               onKeySubmit={handleKeySubmit}
+              scopeTables={scopeTables}
+              onRemoveScope={toggleScope}
+              onClearScope={() => setScope([])}
+              conversationMode={conversationMode}
+              onToggleConversation={(on) => {
+                setConversationMode(on)
+                localStorage.setItem('conversation_mode', on ? 'on' : 'off')
+              }}
+              explainMode={explainMode}
+              onToggleExplain={(on) => {
+                setExplainMode(on)
+                localStorage.setItem('explain_mode', on ? 'on' : 'off')
+              }}
+              localMode={localMode}
+              onToggleLocal={(on) => {
+                setLocalMode(on)
+                localStorage.setItem('local_engine', on ? 'on' : 'off')
+              }}
+              timeline={(
+                <ConversationTimeline
+                  threads={threads}
+                  activeThread={activeThread}
+                  activeTurnId={result?.turnId}
+                  onSelectThread={setActiveThreadId}
+                  onNewThread={newThread}
+                  onBranch={branchFrom}
+                  onOpenTurn={openTurn}
+                />
+              )}
             />
 
-            <div className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-6">
+            <div id="results" className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-6">
               <div className="text-slate-700 dark:text-slate-200 font-semibold mb-3">Results</div>
-              <Results result={result} />
+              {progress && (
+                <div className="mb-4">
+                  <QueryProgress progress={progress} onCancel={cancelQuery} />
+                </div>
+              )}
+              {clarifying && (
+                <div className="mb-4">
+                  <ClarificationPrompt
+                    key={clarifying.question}
+                    question={clarifying.question}
+                    clarification={clarifying.clarification}
+                    running={running}
+                    onChoose={(option) => ask(clarifying.question, clarifying.tableIds, { option_id: option.id })}
+                    onDismiss={() => setClarifying(null)}
+                  />
+                </div>
+              )}
+              <Results
+                result={result}
+                error={queryError}
+                schemas={sqlSchemas}
+                columnTypes={columnTypes}
+                onRunSql={runSql}
+                onFetchFull={fetchFullResult}
+                onPage={fetchPage}
+                paging={paging}
+                running={running}
+                scopeName={tableLabel(selectedTable)}
+                notify={addToast}
+                viz={viz}
+                onVizChange={setViz}
+                explain={explainMode}
+                onCompare={runs.length > 1 ? () => setComparing(true) : null}
+                saveControl={result && (
+                  <>
+                    <SaveQueryControl
+                      current={activeSaved}
+                      defaultName={result.question || 'Untitled query'}
+                      folders={savedFolders}
+                      onSave={saveResult}
+                      onUpdate={() => editSaved(activeSaved, savedSnapshot()).then(() => addToast({ title: 'Saved query updated', message: activeSaved.name })).catch(() => {})}
+                      onCopyLink={copySavedLink}
+                    />
+                    <PinToDashboard result={result} viz={viz} tableIds={scope} notify={addToast} />
+                  </>
+                )}
+              />
             </div>
 
-            <QueryHistory items={history} onPick={(q) => setQuery(q)} onClear={() => { setHistory([]); localStorage.setItem('query_history', '[]') }} />
+            <QueryHistory
+              entries={historyEntries}
+              running={running}
+              onPick={(e) => setQuery(e.question)}
+              onRerun={rerunHistory}
+              onTogglePin={toggleHistoryPin}
+              onDelete={removeHistoryEntry}
+              onClear={clearAllHistory}
+            />
           </div>
 
           <div className="lg:col-span-1">
@@ -509,10 +1265,32 @@ export default function App() {
               <div className="flex-1 overflow-hidden">
                 <TablesSidebar
                   tables={tables}
+                  error={tablesError}
                   selectedId={selectedTable?.id}
                   onSelect={setSelectedTable}
                   onDelete={deleteTable}
+                  canDelete={(t) => auth.can('delete_table', t)}
                   onRefresh={refreshTables}
+                  scopeIds={scope}
+                  onToggleScope={toggleScope}
+                  onOpenDetail={(t) => {
+                    setDetailTable(t)
+                    const id = tableId(t)
+                    if (!schemaCache[id]) loadSchema(id).catch(() => {})
+                  }}
+                />
+                <LocalTablesList tables={localTables} selectedId={selectedTable?.id} onSelect={setSelectedTable} onDelete={removeLocalTable} />
+              </div>
+
+              <div className="mt-4">
+                <SavedQueries
+                  queries={savedQueries}
+                  activeId={result?.savedId}
+                  localOnly={savedLocalOnly}
+                  onOpen={(q) => (routeSavedId === q.id ? openSaved(q.id) : navigate(`/q/${encodeURIComponent(q.id)}`))}
+                  onEdit={editSaved}
+                  onDelete={deleteSaved}
+                  onCopyLink={copySavedLink}
                 />
               </div>
 
@@ -520,6 +1298,8 @@ export default function App() {
                 <div className="text-sm font-semibold mb-2">Schema</div>
                 {loadingSchema ? (
                   <div className="text-slate-500 text-sm inline-flex items-center gap-2"><Loader2 className="animate-spin" size={16}/> Loading…</div>
+                ) : schemaError ? (
+                  <ErrorNotice error={schemaError} title="Could not load the schema" onRetry={() => fetchSchema(tableId(selectedTable))} compact />
                 ) : (
                   <SchemaView schema={schema} />
                 )}
@@ -529,6 +1309,25 @@ export default function App() {
         </div>
       </main>
 
+      {detailTable && (
+        <TableDetail
+          table={detailTable}
+          schema={schemaCache[tableId(detailTable)]}
+          onClose={() => setDetailTable(null)}
+          onUpdated={tableUpdated}
+          onDelete={deleteTable}
+          onReplaced={tableReplaced}
+          notify={addToast}
+          canEdit={auth.can('edit_table', detailTable)}
+          canDelete={auth.can('delete_table', detailTable)}
+        />
+      )}
+
+      {comparing && <ResultCompare runs={runs} onClose={() => setComparing(false)} />}
+
+      {paletteOpen && <CommandPalette commands={paletteCommands} onClose={() => setPaletteOpen(false)} />}
+      {helpOpen && <ShortcutHelp shortcuts={shortcuts} onChange={changeShortcuts} onClose={() => setHelpOpen(false)} />}
+
       <Toast toasts={toasts} remove={removeToast} />
     </div>
   )
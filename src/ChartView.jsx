@@ -0,0 +1,297 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Download, RotateCcw } from 'lucide-react'
+import { downloadBlob } from './utils'
+import { exportFilename } from './exporters'
+import { CHART_COLORS, CHART_TYPES, buildChartData, extent, niceTicks, suggestChart } from './charts'
+
+const WIDTH = 720
+const HEIGHT = 360
+const PAD = { top: 16, right: 16, bottom: 56, left: 64 }
+const AXIS_COLOR = '#94a3b8'
+const LABEL_COLOR = '#64748b'
+
+const compact = new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 2 })
+
+function truncateLabel(s, n = 14) {
+  return s.length > n ? `${s.slice(0, n - 1)}…` : s
+}
+
+function YAxis({ ticks, scale }) {
+  return (
+    <g>
+      {ticks.map((t) => (
+        <g key={t}>
+          <line x1={PAD.left} x2={WIDTH - PAD.right} y1={scale(t)} y2={scale(t)} stroke={AXIS_COLOR} strokeOpacity={0.25} />
+          <text x={PAD.left - 8} y={scale(t)} dy="0.32em" textAnchor="end" fontSize="11" fill={LABEL_COLOR}>{compact.format(t)}</text>
+        </g>
+      ))}
+    </g>
+  )
+}
+
+function XLabels({ labels, position }) {
+  const every = Math.max(1, Math.ceil(labels.length / 12))
+  return (
+    <g>
+      <line x1={PAD.left} x2={WIDTH - PAD.right} y1={HEIGHT - PAD.bottom} y2={HEIGHT - PAD.bottom} stroke={AXIS_COLOR} />
+      {labels.map((l, i) => (i % every === 0 ? (
+        <text key={i} x={position(i)} y={HEIGHT - PAD.bottom + 14} fontSize="11" fill={LABEL_COLOR} textAnchor="end" transform={`rotate(-30 ${position(i)} ${HEIGHT - PAD.bottom + 14})`}>
+          {truncateLabel(l)}
+        </text>
+      ) : null))}
+    </g>
+  )
+}
+
+function CartesianChart({ type, data }) {
+  const values = data.series.flatMap((s) => s.values).filter((v) => v != null)
+  if (!values.length) return null
+  const [min, max] = extent(values)
+  const ticks = niceTicks(Math.min(0, min), Math.max(0, max))
+  const lo = ticks[0]
+  const hi = ticks[ticks.length - 1]
+  const plotW = WIDTH - PAD.left - PAD.right
+  const plotH = HEIGHT - PAD.top - PAD.bottom
+  const scaleY = (v) => PAD.top + plotH - ((v - lo) / (hi - lo)) * plotH
+  const band = plotW / Math.max(1, data.labels.length)
+  const center = (i) => PAD.left + band * i + band / 2
+
+  return (
+    <g>
+      <YAxis ticks={ticks} scale={scaleY} />
+      <XLabels labels={data.labels} position={center} />
+      {type === 'bar' && data.series.map((s, si) => {
+        const barW = Math.max(1, (band * 0.8) / data.series.length)
+        return s.values.map((v, i) => (v == null ? null : (
+          <rect
+            key={`${si}-${i}`}
+            x={PAD.left + band * i + band * 0.1 + barW * si}
+            y={Math.min(scaleY(v), scaleY(0))}
+            width={barW}
+            height={Math.abs(scaleY(v) - scaleY(0))}
+            fill={CHART_COLORS[si % CHART_COLORS.length]}
+          >
+            <title>{`${s.name} • ${data.labels[i]}: ${v}`}</title>
+          </rect>
+        )))
+      })}
+      {type === 'line' && data.series.map((s, si) => {
+        const color = CHART_COLORS[si % CHART_COLORS.length]
+        const path = s.values.map((v, i) => (v == null ? null : `${center(i)},${scaleY(v)}`)).filter(Boolean).join(' ')
+        return (
+          <g key={si}>
+            <polyline points={path} fill="none" stroke={color} strokeWidth="2" />
+            {data.labels.length <= 60 && s.values.map((v, i) => (v == null ? null : (
+              <circle key={i} cx={center(i)} cy={scaleY(v)} r="3" fill={color}>
+                <title>{`${s.name} • ${data.labels[i]}: ${v}`}</title>
+              </circle>
+            )))}
+          </g>
+        )
+      })}
+    </g>
+  )
+}
+
+function ScatterChart({ data }) {
+  const points = data.series.flatMap((s) => s.points)
+  if (!points.length) return null
+  const xTicks = niceTicks(...extent(points.map((p) => p.x)))
+  const yTicks = niceTicks(...extent(points.map((p) => p.y)))
+  const plotW = WIDTH - PAD.left - PAD.right
+  const plotH = HEIGHT - PAD.top - PAD.bottom
+  const scaleX = (v) => PAD.left + ((v - xTicks[0]) / (xTicks[xTicks.length - 1] - xTicks[0])) * plotW
+  const scaleY = (v) => PAD.top + plotH - ((v - yTicks[0]) / (yTicks[yTicks.length - 1] - yTicks[0])) * plotH
+
+  return (
+    <g>
+      <YAxis ticks={yTicks} scale={scaleY} />
+      <line x1={PAD.left} x2={WIDTH - PAD.right} y1={HEIGHT - PAD.bottom} y2={HEIGHT - PAD.bottom} stroke={AXIS_COLOR} />
+      {xTicks.map((t) => (
+        <text key={t} x={scaleX(t)} y={HEIGHT - PAD.bottom + 16} fontSize="11" fill={LABEL_COLOR} textAnchor="middle">{compact.format(t)}</text>
+      ))}
+      {data.series.map((s, si) => s.points.map((p, i) => (
+        <circle key={`${si}-${i}`} cx={scaleX(p.x)} cy={scaleY(p.y)} r="3.5" fill={CHART_COLORS[si % CHART_COLORS.length]} fillOpacity="0.75">
+          <title>{`${s.name}: (${p.x}, ${p.y})`}</title>
+        </circle>
+      )))}
+    </g>
+  )
+}
+
+function PieChart({ data }) {
+  const total = data.slices.reduce((sum, s) => sum + Math.max(0, s.value), 0)
+  if (!total) return null
+  const r = (HEIGHT - PAD.top * 2) / 2
+  const cx = WIDTH / 2
+  const cy = HEIGHT / 2
+  let angle = -Math.PI / 2
+  return (
+    <g>
+      {data.slices.map((s, i) => {
+        const sweep = (Math.max(0, s.value) / total) * Math.PI * 2
+        const start = angle
+        angle += sweep
+        const color = CHART_COLORS[i % CHART_COLORS.length]
+        const label = `${s.label}: ${s.value} (${Math.round((s.value / total) * 100)}%)`
+        if (sweep >= Math.PI * 2 - 1e-9) return <circle key={i} cx={cx} cy={cy} r={r} fill={color}><title>{label}</title></circle>
+        const x1 = cx + r * Math.cos(start)
+        const y1 = cy + r * Math.sin(start)
+        const x2 = cx + r * Math.cos(angle)
+        const y2 = cy + r * Math.sin(angle)
+        return (
+          <path key={i} d={`M${cx},${cy} L${x1},${y1} A${r},${r} 0 ${sweep > Math.PI ? 1 : 0} 1 ${x2},${y2} Z`} fill={color} stroke="#fff" strokeWidth="1">
+            <title>{label}</title>
+          </path>
+        )
+      })}
+    </g>
+  )
+}
+
+function Legend({ names }) {
+  if (names.length < 2) return null
+  return (
+    <div className="flex flex-wrap gap-3 text-xs text-slate-600 dark:text-slate-300">
+      {names.map((n, i) => (
+        <span key={n} className="inline-flex items-center gap-1">
+          <span className="inline-block h-2.5 w-2.5 rounded-sm" style={{ background: CHART_COLORS[i % CHART_COLORS.length] }} />
+          {n}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+function serializeSvg(svg) {
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+  clone.setAttribute('width', WIDTH)
+  clone.setAttribute('height', HEIGHT)
+  return new XMLSerializer().serializeToString(clone)
+}
+
+function exportPng(svg, filename) {
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml;charset=utf-8' }))
+  const img = new Image()
+  img.onload = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = WIDTH * 2
+    canvas.height = HEIGHT * 2
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.scale(2, 2)
+    ctx.drawImage(img, 0, 0, WIDTH, HEIGHT)
+    URL.revokeObjectURL(url)
+    canvas.toBlob((blob) => blob && downloadBlob(blob, filename))
+  }
+  img.src = url
+}
+
+// A chart config only applies while the columns it names are still in the result
+function fitsColumns(config, cols) {
+  return !!config && cols.includes(config.x) && (config.y || []).every((c) => cols.includes(c)) && (!config.series || cols.includes(config.series))
+}
+
+// initialConfig restores a saved chart; onConfigChange reports edits, with null meaning the suggested chart.
+// compact renders just the chart, for dashboard tiles.
+export default function ChartView({ cols, rows, kinds, baseName, initialConfig, onConfigChange, compact = false }) {
+  const svgRef = useRef(null)
+  const suggested = useMemo(() => suggestChart(cols, rows, kinds), [cols, rows, kinds])
+  const [config, setConfig] = useState(() => (fitsColumns(initialConfig, cols) ? initialConfig : suggested))
+
+  useEffect(() => {
+    setConfig(fitsColumns(initialConfig, cols) ? initialConfig : suggested)
+  }, [suggested])
+
+  const data = useMemo(() => (config ? buildChartData(rows, config, kinds) : null), [rows, config, kinds])
+
+  const numeric = cols.filter((c) => kinds[c] === 'number')
+  const update = (patch) => {
+    const next = { type: 'bar', x: cols[0], y: numeric.slice(0, 1), series: null, ...config, ...patch }
+    setConfig(next)
+    onConfigChange?.(next)
+  }
+  const toggleY = (c) => {
+    const y = config?.y || []
+    update({ y: y.includes(c) ? y.filter((v) => v !== c) : [...y, c] })
+  }
+
+  const legendNames = data ? (data.slices ? data.slices.map((s) => s.label) : data.series.map((s) => s.name)) : []
+  const selectClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+
+  if (compact) {
+    return data ? (
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="xMidYMid meet" className="w-full h-full" fontFamily="Inter, system-ui, sans-serif">
+        {config.type === 'pie' && <PieChart data={data} />}
+        {config.type === 'scatter' && <ScatterChart data={data} />}
+        {(config.type === 'line' || config.type === 'bar') && <CartesianChart type={config.type} data={data} />}
+      </svg>
+    ) : (
+      <div className="text-xs text-slate-500">No chart for these columns.</div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-xs">
+        <label className="inline-flex items-center gap-1">Type
+          <select value={config?.type || ''} onChange={(e) => update({ type: e.target.value })} className={selectClass}>
+            {!config && <option value="">—</option>}
+            {CHART_TYPES.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </label>
+        <label className="inline-flex items-center gap-1">{config?.type === 'pie' ? 'Label' : 'X axis'}
+          <select value={config?.x || ''} onChange={(e) => update({ x: e.target.value })} className={selectClass}>
+            {cols.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+        <div className="inline-flex flex-wrap items-center gap-2">
+          {config?.type === 'pie' ? 'Value' : 'Y axis'}
+          {numeric.map((c) => (
+            <label key={c} className="inline-flex items-center gap-1">
+              <input type="checkbox" checked={config?.y?.includes(c) || false} onChange={() => toggleY(c)} /> {c}
+            </label>
+          ))}
+        </div>
+        {config?.type !== 'pie' && (
+          <label className="inline-flex items-center gap-1">Series
+            <select value={config?.series || ''} onChange={(e) => update({ series: e.target.value || null })} className={selectClass}>
+              <option value="">None</option>
+              {cols.filter((c) => c !== config?.x).map((c) => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+        )}
+        <div className="ml-auto inline-flex items-center gap-2">
+          {suggested && config !== suggested && (
+            <button onClick={() => { setConfig(suggested); onConfigChange?.(null) }} className="inline-flex items-center gap-1 text-slate-500 hover:underline">
+              <RotateCcw size={12}/> Suggested
+            </button>
+          )}
+          <button disabled={!data} onClick={() => downloadBlob(new Blob([serializeSvg(svgRef.current)], { type: 'image/svg+xml' }), exportFilename(baseName, 'svg'))} className="inline-flex items-center gap-1 rounded border border-slate-300 dark:border-slate-700 px-2 py-1 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50">
+            <Download size={12}/> SVG
+          </button>
+          <button disabled={!data} onClick={() => exportPng(svgRef.current, exportFilename(baseName, 'png'))} className="inline-flex items-center gap-1 rounded border border-slate-300 dark:border-slate-700 px-2 py-1 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50">
+            <Download size={12}/> PNG
+          </button>
+        </div>
+      </div>
+
+      {data ? (
+        <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-3 space-y-2">
+          <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" fontFamily="Inter, system-ui, sans-serif">
+            {config.type === 'pie' && <PieChart data={data} />}
+            {config.type === 'scatter' && <ScatterChart data={data} />}
+            {(config.type === 'line' || config.type === 'bar') && <CartesianChart type={config.type} data={data} />}
+          </svg>
+          <Legend names={legendNames} />
+        </div>
+      ) : (
+        <div className="rounded-lg border border-dashed border-slate-300 dark:border-slate-700 p-6 text-sm text-slate-500 text-center">
+          {config ? 'Pick at least one numeric column to plot.' : 'No chart could be inferred from these columns. Choose a type and axes above.'}
+        </div>
+      )}
+    </div>
+  )
+}
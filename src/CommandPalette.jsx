@@ -0,0 +1,185 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Command, Keyboard, Search, X } from 'lucide-react'
+import { classNames } from './utils'
+import { DEFAULT_SHORTCUTS, SHORTCUT_ACTIONS, comboFromEvent, formatCombo, fuzzyFilter, fuzzyMatch } from './shortcuts'
+
+const GROUP_ORDER = ['Actions', 'Tables', 'Saved queries', 'Recent queries']
+const MAX_PER_GROUP = 8
+
+function Highlighted({ text, query }) {
+  const match = query ? fuzzyMatch(query, text) : null
+  if (!match?.indices.length) return text
+  const marks = new Set(match.indices)
+  return [...text].map((ch, i) => (marks.has(i) ? <mark key={i} className="bg-transparent text-indigo-600 dark:text-indigo-300 font-semibold">{ch}</mark> : ch))
+}
+
+export function Kbd({ combo }) {
+  if (!combo) return null
+  return <kbd className="rounded border border-slate-300 dark:border-slate-600 bg-slate-50 dark:bg-slate-800 px-1.5 py-0.5 font-mono text-[11px] text-slate-600 dark:text-slate-300">{formatCombo(combo)}</kbd>
+}
+
+// Commands: [{ id, group, label, detail?, combo?, run }]; the groups come out in GROUP_ORDER
+export default function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState('')
+  const [active, setActive] = useState(0)
+  const listRef = useRef(null)
+
+  const visible = useMemo(() => {
+    const matches = fuzzyFilter(commands, query, (c) => `${c.label} ${c.detail || ''}`)
+    // with a query, the group holding the better matches comes first
+    const groups = query ? [...GROUP_ORDER].sort((a, b) => matches.findIndex((c) => c.group === a) - matches.findIndex((c) => c.group === b)) : GROUP_ORDER
+    return groups.flatMap((g) => matches.filter((c) => c.group === g).slice(0, query ? MAX_PER_GROUP : 5))
+  }, [commands, query])
+
+  useEffect(() => setActive(0), [query])
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: 'nearest' })
+  }, [active])
+
+  const choose = (c) => {
+    onClose()
+    c.run()
+  }
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') setActive((i) => Math.min(visible.length - 1, i + 1))
+    else if (e.key === 'ArrowUp') setActive((i) => Math.max(0, i - 1))
+    else if (e.key === 'Enter' && visible[active]) choose(visible[active])
+    else if (e.key === 'Escape') onClose()
+    else return
+    e.preventDefault()
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-slate-900/40 p-4 pt-[12vh]" onMouseDown={onClose}>
+      <div onMouseDown={(e) => e.stopPropagation()} className="w-full max-w-xl rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 shadow-2xl overflow-hidden">
+        <div className="flex items-center gap-2 border-b border-slate-200 dark:border-slate-700 px-3">
+          <Search size={16} className="text-slate-400"/>
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={onKeyDown}
+            placeholder="Search tables, queries and actions…"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-list"
+            aria-activedescendant={visible[active] ? `command-${visible[active].id}` : undefined}
+            className="flex-1 bg-transparent py-3 text-sm focus:outline-none"
+          />
+          <Kbd combo="Escape"/>
+        </div>
+        <div ref={listRef} id="command-palette-list" role="listbox" className="max-h-[50vh] overflow-auto py-1">
+          {visible.length ? visible.map((c, i) => (
+            <React.Fragment key={c.id}>
+              {(i === 0 || visible[i - 1].group !== c.group) && <div className="px-3 pt-2 pb-1 text-[11px] uppercase tracking-wide text-slate-400">{c.group}</div>}
+              <button
+                id={`command-${c.id}`}
+                data-index={i}
+                role="option"
+                aria-selected={i === active}
+                onMouseMove={() => setActive(i)}
+                onClick={() => choose(c)}
+                className={classNames('w-full flex items-center gap-3 px-3 py-2 text-left text-sm', i === active && 'bg-indigo-50 dark:bg-indigo-950/40')}
+              >
+                <span className="flex-1 min-w-0">
+                  <span className="block truncate"><Highlighted text={c.label} query={query}/></span>
+                  {c.detail && <span className="block truncate text-xs text-slate-500">{c.detail}</span>}
+                </span>
+                <Kbd combo={c.combo}/>
+              </button>
+            </React.Fragment>
+          )) : (
+            <div className="px-3 py-6 text-center text-sm text-slate-500">Nothing matches “{query}”</div>
+          )}
+        </div>
+        <div className="flex items-center gap-3 border-t border-slate-200 dark:border-slate-700 px-3 py-2 text-[11px] text-slate-500">
+          <span className="inline-flex items-center gap-1"><Kbd combo="ArrowUp"/><Kbd combo="ArrowDown"/> move</span>
+          <span className="inline-flex items-center gap-1"><Kbd combo="Enter"/> open</span>
+          <span className="ml-auto inline-flex items-center gap-1"><Command size={12}/> command palette</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const NAVIGATION_KEYS = [
+  ['Tables list', '↑ ↓ move • Enter select • P pin • I details'],
+  ['Result grid', '↑ ↓ ← → move • PgUp PgDn page • Home End row start/end • Mod+C copy cell'],
+  ['Command palette', '↑ ↓ move • Enter open • Esc close'],
+]
+
+// Lists every shortcut and lets each one be re-recorded; saving hands the whole map to onChange
+export function ShortcutHelp({ shortcuts, onChange, onClose }) {
+  const [recording, setRecording] = useState(null)
+  const [conflict, setConflict] = useState(null)
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!recording) {
+        if (e.key === 'Escape') onClose()
+        return
+      }
+      e.preventDefault()
+      e.stopPropagation()
+      if (e.key === 'Escape') return setRecording(null)
+      const combo = comboFromEvent(e)
+      if (!combo) return
+      const taken = Object.keys(shortcuts).find((id) => id !== recording && shortcuts[id] === combo)
+      if (taken) return setConflict({ action: recording, combo, taken })
+      onChange({ ...shortcuts, [recording]: combo })
+      setConflict(null)
+      setRecording(null)
+    }
+    // capture, so the page's own shortcuts do not fire while a key is being recorded
+    window.addEventListener('keydown', onKey, true)
+    return () => window.removeEventListener('keydown', onKey, true)
+  }, [recording, shortcuts])
+
+  const label = (id) => SHORTCUT_ACTIONS.find((a) => a.id === id)?.label
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-slate-900/40 p-4 pt-[10vh]" onMouseDown={onClose}>
+      <div onMouseDown={(e) => e.stopPropagation()} className="w-full max-w-lg rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 shadow-2xl p-5 space-y-4 text-sm">
+        <div className="flex items-center justify-between">
+          <div className="inline-flex items-center gap-2 font-semibold"><Keyboard size={18}/> Keyboard shortcuts</div>
+          <button onClick={onClose} title="Close" className="opacity-60 hover:opacity-100"><X size={16}/></button>
+        </div>
+        <div className="divide-y divide-slate-100 dark:divide-slate-800">
+          {SHORTCUT_ACTIONS.map((a) => (
+            <div key={a.id} className="flex items-center gap-3 py-1.5">
+              <span className="flex-1">{a.label}</span>
+              {recording === a.id ? (
+                <span className="text-xs text-indigo-600 dark:text-indigo-300">Press keys… (Esc to cancel)</span>
+              ) : shortcuts[a.id] ? <Kbd combo={shortcuts[a.id]}/> : <span className="text-xs text-slate-400">none</span>}
+              <button onClick={() => { setConflict(null); setRecording(recording === a.id ? null : a.id) }} className="text-xs text-indigo-600 hover:underline">Change</button>
+              {shortcuts[a.id] && <button onClick={() => onChange({ ...shortcuts, [a.id]: '' })} title="Remove shortcut" className="opacity-50 hover:opacity-100"><X size={12}/></button>}
+            </div>
+          ))}
+        </div>
+        {conflict && (
+          <div className="text-xs text-amber-700 dark:text-amber-300">
+            {formatCombo(conflict.combo)} is already used for “{label(conflict.taken)}”.{' '}
+            <button
+              onClick={() => {
+                onChange({ ...shortcuts, [conflict.taken]: '', [conflict.action]: conflict.combo })
+                setConflict(null)
+                setRecording(null)
+              }}
+              className="font-semibold underline"
+            >
+              Use it here instead
+            </button>
+          </div>
+        )}
+        <div className="space-y-1 text-xs text-slate-500">
+          {NAVIGATION_KEYS.map(([where, keys]) => <div key={where}><span className="font-medium text-slate-600 dark:text-slate-300">{where}:</span> {keys.replace('Mod', formatCombo('Mod'))}</div>)}
+        </div>
+        <div className="flex justify-end">
+          <button onClick={() => onChange({ ...DEFAULT_SHORTCUTS })} className="text-xs text-slate-500 hover:underline">Reset to defaults</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,147 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ArrowLeft, CheckCircle2, Loader2, Pencil, Plug, Plus, Trash2, XCircle } from 'lucide-react'
+import { useDarkMode } from './theme'
+import { classNames } from './utils'
+import { DEFAULT_TIMEOUT_MS, activeProfile, deleteProfile, listProfiles, saveProfile, switchProfile, testProfile, validateProfile } from './connections'
+
+const inputClass = 'w-full rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-sm'
+const EMPTY = { name: '', url: '', auth_url: '', client_id: '', api_key: '', timeout_ms: DEFAULT_TIMEOUT_MS }
+
+const FIELDS = [
+  ['name', 'Name', 'e.g. Staging'],
+  ['url', 'Backend URL', 'https://api.example.com'],
+  ['auth_url', 'Sign-in provider URL', 'Leave empty when the backend has no sign-in'],
+  ['client_id', 'Client ID', 'nlq-web'],
+  ['api_key', 'API key', 'Sent as a bearer token when there is no sign-in'],
+  ['timeout_ms', 'Timeout (ms)', String(DEFAULT_TIMEOUT_MS)],
+]
+
+// A saved API key is never put back into the form: leaving the field empty keeps it, typing replaces it
+function ProfileForm({ initial, others, onSave, onCancel }) {
+  const [draft, setDraft] = useState({ ...initial, api_key: '' })
+  const [keepKey, setKeepKey] = useState(!!initial.api_key)
+  const [errors, setErrors] = useState([])
+  const errorFor = (field) => errors.find((e) => e.field === field)
+
+  const submit = (e) => {
+    e.preventDefault()
+    const found = validateProfile(draft, others)
+    setErrors(found)
+    if (!found.length) onSave({ ...draft, api_key: draft.api_key || (keepKey ? initial.api_key : '') })
+  }
+
+  const placeholderFor = (field, placeholder) => (field === 'api_key' && keepKey ? `Saved key ending in ${initial.api_key.slice(-4)}; type to replace it` : placeholder)
+
+  return (
+    <form onSubmit={submit} className="rounded-lg border border-slate-200 dark:border-slate-700 p-4 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {FIELDS.map(([field, label, placeholder]) => (
+          <label key={field} className="text-xs text-slate-500 space-y-1">
+            <span>{label}</span>
+            <input
+              type={field === 'api_key' ? 'password' : field === 'timeout_ms' ? 'number' : 'text'}
+              value={draft[field] ?? ''}
+              onChange={(e) => setDraft((d) => ({ ...d, [field]: e.target.value }))}
+              placeholder={placeholderFor(field, placeholder)}
+              autoComplete={field === 'api_key' ? 'new-password' : 'off'}
+              className={classNames(inputClass, errorFor(field) && 'border-red-500')}
+            />
+            {errorFor(field) && <span className="text-red-600 dark:text-red-400">{label} {errorFor(field).message}</span>}
+            {field === 'api_key' && (
+              <span className="block text-amber-700 dark:text-amber-300">
+                Stored unencrypted in this browser's local storage; anyone with access to this browser profile can read it.
+                {keepKey && <> <button type="button" onClick={() => setKeepKey(false)} className="underline">Remove the saved key</button></>}
+              </span>
+            )}
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1.5 text-sm">Cancel</button>
+        <button type="submit" className="rounded-md bg-indigo-600 hover:bg-indigo-700 px-3 py-1.5 text-sm text-white">Save profile</button>
+      </div>
+    </form>
+  )
+}
+
+// Connection profiles; lives outside the sign-in gate so a broken profile can always be switched away from
+export default function ConnectionSettings() {
+  useDarkMode()
+  const [profiles, setProfiles] = useState(listProfiles)
+  const [editing, setEditing] = useState(null)
+  const [checks, setChecks] = useState({})
+  const active = activeProfile()
+
+  const save = (draft) => {
+    saveProfile(draft)
+    setProfiles(listProfiles())
+    setEditing(null)
+  }
+
+  const remove = (p) => {
+    if (!confirm(`Delete the connection profile "${p.name}"?`)) return
+    deleteProfile(p.id)
+    if (p.id === active.id) switchProfile('default')
+    else setProfiles(listProfiles())
+  }
+
+  const check = async (p) => {
+    setChecks((c) => ({ ...c, [p.id]: { running: true } }))
+    const outcome = await testProfile(p)
+    setChecks((c) => ({ ...c, [p.id]: outcome }))
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-indigo-50 dark:from-slate-950 dark:to-indigo-950 text-slate-900 dark:text-slate-100">
+      <div className="container mx-auto max-w-3xl px-6 py-8 space-y-4">
+        <div className="flex items-center gap-3">
+          <Link to="/" className="inline-flex items-center gap-1 text-sm text-slate-500 hover:underline"><ArrowLeft size={14}/> Workspace</Link>
+          <h1 className="flex-1 inline-flex items-center gap-2 text-xl font-semibold"><Plug size={20}/> Connections</h1>
+          {!editing && (
+            <button onClick={() => setEditing(EMPTY)} className="inline-flex items-center gap-1 rounded-md bg-indigo-600 hover:bg-indigo-700 px-3 py-1.5 text-sm text-white">
+              <Plus size={14}/> New profile
+            </button>
+          )}
+        </div>
+        <p className="text-sm text-slate-600 dark:text-slate-300">Switching profiles reloads the app against the chosen backend. Each profile keeps its own sign-in.</p>
+
+        {editing && <ProfileForm key={editing.id || 'new'} initial={editing} others={profiles} onSave={save} onCancel={() => setEditing(null)} />}
+
+        <div className="space-y-2">
+          {profiles.map((p) => {
+            const result = checks[p.id]
+            return (
+              <div key={p.id} className={classNames('rounded-xl border bg-white/70 dark:bg-slate-900/70 backdrop-blur p-4', p.id === active.id ? 'border-indigo-400 dark:border-indigo-600' : 'border-slate-200 dark:border-slate-700')}>
+                <div className="flex flex-wrap items-center gap-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="font-medium">
+                      {p.name}
+                      {p.id === active.id && <span className="ml-2 rounded-full border border-indigo-300 px-2 py-0.5 text-xs text-indigo-600 dark:text-indigo-300">active</span>}
+                      {p.builtIn && <span className="ml-2 text-xs text-slate-500">from the build settings</span>}
+                    </div>
+                    <div className="text-xs text-slate-500 truncate">
+                      {p.url}{p.auth_url ? ` • sign-in via ${p.auth_url}` : p.api_key ? ' • API key' : ''} • {Math.round((p.timeout_ms || DEFAULT_TIMEOUT_MS) / 1000)} s timeout
+                    </div>
+                  </div>
+                  <button onClick={() => check(p)} disabled={result?.running} className="text-xs text-indigo-600 hover:underline">Test</button>
+                  {!p.builtIn && <button onClick={() => setEditing(p)} title="Edit" className="opacity-60 hover:opacity-100"><Pencil size={14}/></button>}
+                  {!p.builtIn && <button onClick={() => remove(p)} title="Delete" className="text-red-600 opacity-60 hover:opacity-100"><Trash2 size={14}/></button>}
+                  {p.id !== active.id && (
+                    <button onClick={() => switchProfile(p.id)} className="rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1 text-sm hover:bg-slate-50 dark:hover:bg-slate-800">Use</button>
+                  )}
+                </div>
+                {result && (
+                  <div className={classNames('mt-2 inline-flex items-center gap-1 text-xs', result.running ? 'text-slate-500' : result.ok ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400')}>
+                    {result.running ? <Loader2 className="animate-spin" size={12}/> : result.ok ? <CheckCircle2 size={12}/> : <XCircle size={12}/>}
+                    {result.running ? 'Checking…' : `${result.message}${result.ms != null ? ` • ${result.ms} ms` : ''}`}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,92 @@
+import React from 'react'
+import { Eye, GitBranch, MessageSquarePlus } from 'lucide-react'
+import { classNames } from './utils'
+import { threadTitle } from './conversation'
+
+const PREVIEW_COLS = 4
+
+function TurnCard({ turn, active, onOpen, onBranch, isLast }) {
+  const cols = turn.columns.slice(0, PREVIEW_COLS)
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-end">
+        <div className="max-w-[85%] rounded-2xl rounded-br-sm bg-indigo-600 px-3 py-2 text-sm text-white">{turn.question}</div>
+      </div>
+      <div className={classNames('max-w-[95%] rounded-lg border p-3 text-xs space-y-2', active ? 'border-indigo-400 bg-indigo-50/50 dark:bg-indigo-950/20' : 'border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900')}>
+        {turn.sql && (
+          <div>
+            <div className="mb-1 flex items-center gap-2 text-slate-500">
+              SQL {turn.origin === 'edited' && <span className="rounded-full border border-amber-400 px-1.5 text-amber-700 dark:text-amber-300">hand-edited</span>}
+              {turn.table && <span>• {turn.table}</span>}
+            </div>
+            <pre className="font-mono whitespace-pre-wrap break-words line-clamp-3 text-slate-700 dark:text-slate-200">{turn.sql}</pre>
+          </div>
+        )}
+        <div className="text-slate-600 dark:text-slate-300">
+          <span className="font-semibold">{turn.rowCount}</span> rows{cols.length ? ` • ${turn.columns.length} columns` : ''}
+        </div>
+        {turn.preview.length > 0 && cols.length > 0 && (
+          <table className="w-full table-fixed">
+            <thead>
+              <tr>{cols.map((c) => <th key={c} className="truncate text-left font-medium text-slate-500 pr-2">{c}</th>)}</tr>
+            </thead>
+            <tbody>
+              {turn.preview.slice(0, 3).map((r, i) => (
+                <tr key={i}>{cols.map((c) => <td key={c} className="truncate pr-2">{r[c] == null ? '—' : String(r[c])}</td>)}</tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <div className="flex items-center gap-3 pt-1">
+          {turn.sql && !active && (
+            <button onClick={() => onOpen(turn)} className="inline-flex items-center gap-1 text-indigo-600 hover:underline">
+              <Eye size={12}/> Show result
+            </button>
+          )}
+          {!isLast && (
+            <button onClick={() => onBranch(turn.id)} className="inline-flex items-center gap-1 text-slate-500 hover:underline">
+              <GitBranch size={12}/> Branch from here
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function ConversationTimeline({ threads, activeThread, activeTurnId, onSelectThread, onNewThread, onBranch, onOpenTurn }) {
+  return (
+    <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-3 space-y-3">
+      <div className="flex items-center justify-between gap-2 text-xs">
+        <select
+          value={activeThread?.id || ''}
+          onChange={(e) => onSelectThread(e.target.value)}
+          className="min-w-0 flex-1 truncate rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1"
+        >
+          {threads.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.parentId ? '↳ ' : ''}{threadTitle(t)} ({t.turns.length})
+            </option>
+          ))}
+        </select>
+        <button onClick={onNewThread} className="inline-flex items-center gap-1 rounded border border-slate-300 dark:border-slate-700 px-2 py-1 hover:bg-slate-50 dark:hover:bg-slate-800">
+          <MessageSquarePlus size={12}/> New thread
+        </button>
+      </div>
+      <div className="max-h-[420px] overflow-auto space-y-4 pr-1">
+        {activeThread?.turns.length ? activeThread.turns.map((turn, i) => (
+          <TurnCard
+            key={turn.id}
+            turn={turn}
+            active={turn.id === activeTurnId}
+            isLast={i === activeThread.turns.length - 1}
+            onOpen={onOpenTurn}
+            onBranch={onBranch}
+          />
+        )) : (
+          <div className="text-sm text-slate-500">Ask a question to start this thread. Follow-ups such as “now break that down by region” are sent with the earlier questions and SQL.</div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,441 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom'
+import { ArrowLeft, BarChart3, Filter, GripVertical, LayoutDashboard, Loader2, Maximize2, Minimize2, Plus, RefreshCw, Table as TableIcon, Trash2, X } from 'lucide-react'
+import ResultsGrid from './ResultsGrid'
+import ChartView from './ChartView'
+import Toast, { useToasts } from './Toast'
+import ErrorNotice from './ErrorNotice'
+import { useDarkMode } from './theme'
+import { resolveColumnKinds } from './columnTypes'
+import { classNames } from './utils'
+import {
+  FILTER_TYPES, GRID_COLUMNS, REFRESH_INTERVALS, applyFilters, createDashboard, deleteDashboard, getDashboard, isLocalOnly,
+  listDashboards, makeFilter, makeTile, placeTile, runTileQuery, updateDashboard,
+} from './dashboards'
+
+const ROW_HEIGHT = 72
+const GAP = 12
+const TILE_HEADER = 40
+const GRID_HEADER = 68
+
+const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+
+// Pin button for the results toolbar
+export function PinToDashboard({ result, viz, tableIds, notify }) {
+  const navigate = useNavigate()
+  const [open, setOpen] = useState(false)
+  const [dashboards, setDashboards] = useState(null)
+  const [name, setName] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const toggle = async () => {
+    if (open) return setOpen(false)
+    setOpen(true)
+    try {
+      setDashboards(await listDashboards())
+    } catch (e) {
+      setDashboards([])
+      notify({ type: 'error', title: 'Failed to load dashboards', message: e.message })
+    }
+  }
+
+  const pin = async (dashboard) => {
+    setBusy(true)
+    try {
+      const rows = result.rows || result.data || []
+      const tile = makeTile(dashboard.tiles || [], {
+        title: result.question || 'Untitled query',
+        question: result.question || '',
+        sql: result.sql || result.generated_sql,
+        origin: result.origin,
+        table_ids: tableIds,
+        columns: result.columns || (rows[0] ? Object.keys(rows[0]) : []),
+        viz: { view: viz.view, chart: viz.chart },
+      })
+      await updateDashboard(dashboard.id, { tiles: [...(dashboard.tiles || []), tile] })
+      setOpen(false)
+      notify({ title: `Pinned to ${dashboard.name}`, action: { label: 'Open', onClick: () => navigate(`/dashboards/${encodeURIComponent(dashboard.id)}`) } })
+    } catch (e) {
+      notify({ type: 'error', title: 'Failed to pin result', message: e.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const createAndPin = async (e) => {
+    e.preventDefault()
+    try {
+      await pin(await createDashboard(name.trim()))
+      setName('')
+    } catch (err) {
+      notify({ type: 'error', title: 'Failed to create dashboard', message: err.message })
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button onClick={toggle} className="inline-flex items-center gap-1 rounded-md border border-slate-300 dark:border-slate-700 px-2 py-1 text-sm hover:bg-slate-50 dark:hover:bg-slate-800" title="Pin to a dashboard">
+        <LayoutDashboard size={14}/> Pin
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-20 w-64 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 p-2 shadow-lg text-xs space-y-1">
+          {!dashboards ? (
+            <div className="inline-flex items-center gap-2 text-slate-500 p-1"><Loader2 className="animate-spin" size={12}/> Loading…</div>
+          ) : dashboards.map((d) => (
+            <button key={d.id} disabled={busy} onClick={() => pin(d)} className="block w-full truncate rounded px-2 py-1 text-left hover:bg-slate-50 dark:hover:bg-slate-800">{d.name}</button>
+          ))}
+          <form onSubmit={createAndPin} className="flex gap-1 pt-1 border-t border-slate-100 dark:border-slate-800">
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="New dashboard" className={classNames(inputClass, 'flex-1')} />
+            <button type="submit" disabled={busy || !name.trim()} className="rounded px-2 text-white bg-indigo-600 disabled:bg-slate-400"><Plus size={12}/></button>
+          </form>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function DashboardTile({ tile, filters, height, editable, onChange, onRemove, onDragStart }) {
+  const [state, setState] = useState({ loading: true, data: null, error: null, updatedAt: null })
+  const controller = useRef(null)
+  const latest = useRef(tile)
+  latest.current = tile
+  const sql = applyFilters(tile.sql, filters, tile.columns || [])
+
+  const load = async () => {
+    controller.current?.abort()
+    const current = new AbortController()
+    controller.current = current
+    setState((s) => ({ ...s, loading: true }))
+    try {
+      const data = await runTileQuery(sql, { signal: current.signal })
+      setState({ loading: false, data, error: null, updatedAt: new Date() })
+      const rows = data.rows || data.data || []
+      const cols = data.columns || (rows[0] ? Object.keys(rows[0]) : [])
+      // filters are matched against the columns of the latest run
+      if (cols.join('\u0000') !== (latest.current.columns || []).join('\u0000')) onChange({ columns: cols })
+    } catch (e) {
+      if (e.name !== 'AbortError') setState((s) => ({ ...s, loading: false, error: e }))
+    }
+  }
+
+  useEffect(() => {
+    load()
+    const timer = tile.refresh_seconds ? setInterval(load, tile.refresh_seconds * 1000) : null
+    return () => {
+      clearInterval(timer)
+      controller.current?.abort()
+    }
+  }, [sql, tile.refresh_seconds])
+
+  const rows = useMemo(() => state.data?.rows || state.data?.data || [], [state.data])
+  const cols = useMemo(() => state.data?.columns || (rows[0] ? Object.keys(rows[0]) : []), [state.data, rows])
+  const kinds = useMemo(() => resolveColumnKinds(cols, rows, {}), [cols, rows])
+  const bodyHeight = height - TILE_HEADER
+
+  return (
+    <div className="h-full flex flex-col rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 overflow-hidden">
+      <div className="flex items-center gap-1 px-2 border-b border-slate-100 dark:border-slate-800 text-xs" style={{ height: TILE_HEADER }}>
+        {editable && <span onPointerDown={onDragStart} className="cursor-move touch-none text-slate-400" title="Drag to move"><GripVertical size={14}/></span>}
+        {editable ? (
+          <input value={tile.title} onChange={(e) => onChange({ title: e.target.value })} className="flex-1 min-w-0 bg-transparent font-semibold text-sm focus:outline-none" title={tile.question || tile.sql} />
+        ) : (
+          <div className="flex-1 min-w-0 truncate font-semibold text-sm" title={tile.question || tile.sql}>{tile.title}</div>
+        )}
+        {state.loading ? <Loader2 className="animate-spin text-slate-400" size={12}/> : state.updatedAt && <span className="text-slate-400">{state.updatedAt.toLocaleTimeString()}</span>}
+        {editable && (
+          <>
+            <button onClick={() => onChange({ viz: { ...tile.viz, view: tile.viz?.view === 'chart' ? 'table' : 'chart' } })} title={tile.viz?.view === 'chart' ? 'Show as table' : 'Show as chart'} className="opacity-60 hover:opacity-100">
+              {tile.viz?.view === 'chart' ? <TableIcon size={14}/> : <BarChart3 size={14}/>}
+            </button>
+            <select value={tile.refresh_seconds || 0} onChange={(e) => onChange({ refresh_seconds: Number(e.target.value) })} className="bg-transparent text-slate-500" title="Refresh schedule">
+              {REFRESH_INTERVALS.map(([s, label]) => <option key={s} value={s}>{label}</option>)}
+            </select>
+            <button onClick={load} title="Refresh now" className="opacity-60 hover:opacity-100"><RefreshCw size={14}/></button>
+            <button onClick={onRemove} title="Remove tile" className="opacity-60 hover:opacity-100 text-red-600"><X size={14}/></button>
+          </>
+        )}
+      </div>
+      <div className="flex-1 min-h-0 p-2 overflow-hidden">
+        {state.error ? (
+          <ErrorNotice error={state.error} compact />
+        ) : !state.data ? null : tile.viz?.view === 'chart' ? (
+          <ChartView cols={cols} rows={rows} kinds={kinds} baseName={tile.title} initialConfig={tile.viz?.chart} compact />
+        ) : (
+          <ResultsGrid cols={cols} rows={rows} kinds={kinds} height={Math.max(ROW_HEIGHT, bodyHeight - GRID_HEADER - 16)} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Tiles sit on a GRID_COLUMNS-wide grid of ROW_HEIGHT rows; dragging the grip moves a tile, the corner handle resizes it
+function TileGrid({ tiles, filters, editable, onTilesChange }) {
+  const ref = useRef(null)
+  const [width, setWidth] = useState(0)
+  const [drag, setDrag] = useState(null)
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width))
+    observer.observe(ref.current)
+    return () => observer.disconnect()
+  }, [])
+
+  const colWidth = (width + GAP) / GRID_COLUMNS
+  const layoutOf = (t) => (drag?.id === t.id ? drag.layout : t.layout)
+
+  const start = (e, tile, mode) => {
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    setDrag({ id: tile.id, mode, x: e.clientX, y: e.clientY, origin: tile.layout, layout: tile.layout })
+  }
+
+  const move = (e) => {
+    if (!drag) return
+    const dx = Math.round((e.clientX - drag.x) / colWidth)
+    const dy = Math.round((e.clientY - drag.y) / ROW_HEIGHT)
+    const o = drag.origin
+    const layout = drag.mode === 'move'
+      ? { ...o, x: Math.min(GRID_COLUMNS - o.w, Math.max(0, o.x + dx)), y: Math.max(0, o.y + dy) }
+      : { ...o, w: Math.min(GRID_COLUMNS - o.x, Math.max(2, o.w + dx)), h: Math.max(2, o.h + dy) }
+    setDrag({ ...drag, layout })
+  }
+
+  const end = () => {
+    if (!drag) return
+    const { id, layout, origin } = drag
+    setDrag(null)
+    if (layout !== origin) onTilesChange((current) => placeTile(current, id, layout))
+  }
+
+  const rows = tiles.reduce((max, t) => Math.max(max, layoutOf(t).y + layoutOf(t).h), 0)
+  // updates are functional because tiles report back from timers that outlive a render
+  const update = (id, patch) => onTilesChange((current) => current.map((t) => (t.id === id ? { ...t, ...patch } : t)))
+
+  return (
+    <div ref={ref} className="relative" style={{ height: rows * ROW_HEIGHT }} onPointerMove={move} onPointerUp={end} onPointerCancel={end}>
+      {width > 0 && tiles.map((t) => {
+        const l = layoutOf(t)
+        const height = l.h * ROW_HEIGHT - GAP
+        return (
+          <div
+            key={t.id}
+            className={classNames('absolute', drag?.id === t.id ? 'z-10 opacity-90' : 'transition-all duration-150')}
+            style={{ left: l.x * colWidth, top: l.y * ROW_HEIGHT, width: l.w * colWidth - GAP, height }}
+          >
+            <DashboardTile
+              tile={t}
+              filters={filters}
+              height={height}
+              editable={editable}
+              onChange={(patch) => update(t.id, patch)}
+              onRemove={() => onTilesChange((current) => current.filter((x) => x.id !== t.id))}
+              onDragStart={(e) => start(e, t, 'move')}
+            />
+            {editable && (
+              <span onPointerDown={(e) => start(e, t, 'resize')} className="absolute bottom-0 right-0 h-3 w-3 cursor-se-resize touch-none border-b-2 border-r-2 border-slate-400 rounded-br" title="Drag to resize" />
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function FilterBar({ filters, columns, editable, onChange }) {
+  const update = (id, patch) => onChange(filters.map((f) => (f.id === id ? { ...f, ...patch } : f)))
+  if (!filters.length && !editable) return null
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs">
+      <span className="inline-flex items-center gap-1 text-slate-500"><Filter size={12}/> Filters</span>
+      {filters.map((f) => (
+        <div key={f.id} className="inline-flex items-center gap-1 rounded-md border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 px-2 py-1">
+          {editable ? (
+            <>
+              <select value={f.column} onChange={(e) => update(f.id, { column: e.target.value })} className={inputClass}>
+                {!columns.includes(f.column) && <option value={f.column}>{f.column || '—'}</option>}
+                {columns.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+              <select value={f.type} onChange={(e) => update(f.id, { type: e.target.value })} className={inputClass}>
+                {FILTER_TYPES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </>
+          ) : (
+            <span className="font-medium">{f.column}</span>
+          )}
+          {f.type === 'date_range' ? (
+            <>
+              <input type="date" value={f.from} onChange={(e) => update(f.id, { from: e.target.value })} className={inputClass} />
+              <span>–</span>
+              <input type="date" value={f.to} onChange={(e) => update(f.id, { to: e.target.value })} className={inputClass} />
+            </>
+          ) : (
+            <input value={f.value} onChange={(e) => update(f.id, { value: e.target.value })} placeholder="Value" className={classNames(inputClass, 'w-28')} />
+          )}
+          {editable && <button onClick={() => onChange(filters.filter((x) => x.id !== f.id))} className="opacity-60 hover:opacity-100"><X size={12}/></button>}
+        </div>
+      ))}
+      {editable && (
+        <button onClick={() => onChange([...filters, makeFilter(columns[0] || '')])} disabled={!columns.length} className="inline-flex items-center gap-1 text-slate-500 hover:underline disabled:opacity-50">
+          <Plus size={12}/> Add filter
+        </button>
+      )}
+    </div>
+  )
+}
+
+function DashboardIndex({ notify }) {
+  const navigate = useNavigate()
+  const [dashboards, setDashboards] = useState(null)
+  const [name, setName] = useState('')
+
+  useEffect(() => {
+    listDashboards().then(setDashboards).catch((e) => {
+      setDashboards([])
+      notify({ type: 'error', title: 'Failed to load dashboards', message: e.message })
+    })
+  }, [])
+
+  const create = async (e) => {
+    e.preventDefault()
+    try {
+      const d = await createDashboard(name.trim())
+      navigate(`/dashboards/${encodeURIComponent(d.id)}`)
+    } catch (err) {
+      notify({ type: 'error', title: 'Failed to create dashboard', message: err.message })
+    }
+  }
+
+  const remove = async (d) => {
+    if (!confirm(`Delete the dashboard "${d.name}"?`)) return
+    try {
+      await deleteDashboard(d.id)
+      setDashboards((prev) => prev.filter((x) => x.id !== d.id))
+    } catch (e) {
+      notify({ type: 'error', title: 'Failed to delete dashboard', message: e.message })
+    }
+  }
+
+  return (
+    <div className="max-w-2xl space-y-4">
+      <form onSubmit={create} className="flex gap-2">
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="New dashboard name" className={classNames(inputClass, 'flex-1 text-sm')} />
+        <button type="submit" disabled={!name.trim()} className={classNames('inline-flex items-center gap-1 rounded-md px-3 py-1.5 text-sm text-white', name.trim() ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-slate-400')}><Plus size={14}/> Create</button>
+      </form>
+      {isLocalOnly() && <div className="text-xs text-amber-600 dark:text-amber-400">Dashboards are saved in this browser only.</div>}
+      {!dashboards ? (
+        <div className="text-slate-500 text-sm inline-flex items-center gap-2"><Loader2 className="animate-spin" size={16}/> Loading…</div>
+      ) : !dashboards.length ? (
+        <div className="text-sm text-slate-500">No dashboards yet. Pin a result from the workspace or create one above.</div>
+      ) : (
+        <div className="space-y-2">
+          {dashboards.map((d) => (
+            <div key={d.id} className="group flex items-center gap-3 rounded-lg border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 px-4 py-3">
+              <Link to={`/dashboards/${encodeURIComponent(d.id)}`} className="flex-1 font-medium hover:underline">{d.name}</Link>
+              <span className="text-xs text-slate-500">{(d.tiles || []).length} tiles</span>
+              <button onClick={() => remove(d)} title="Delete" className="opacity-0 group-hover:opacity-60 hover:!opacity-100 text-red-600"><Trash2 size={14}/></button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function Dashboards() {
+  useDarkMode()
+  const { id } = useParams()
+  const { toasts, add: notify, remove } = useToasts()
+  const [dashboard, setDashboard] = useState(null)
+  const [presenting, setPresenting] = useState(false)
+  const pageRef = useRef(null)
+  const dirty = useRef(false)
+
+  useEffect(() => {
+    setDashboard(null)
+    if (!id) return
+    getDashboard(id).then(setDashboard).catch((e) => notify({ type: 'error', title: 'Failed to load dashboard', message: e.message }))
+  }, [id])
+
+  // Edits are saved shortly after the last change
+  useEffect(() => {
+    if (!dirty.current || !dashboard) return
+    const timer = setTimeout(() => {
+      dirty.current = false
+      const { name, tiles, filters } = dashboard
+      updateDashboard(dashboard.id, { name, tiles, filters }).catch((e) => notify({ type: 'error', title: 'Failed to save dashboard', message: e.message }))
+    }, 500)
+    return () => clearTimeout(timer)
+  }, [dashboard])
+
+  const change = (patch) => {
+    dirty.current = true
+    setDashboard((d) => ({ ...d, ...(typeof patch === 'function' ? patch(d) : patch) }))
+  }
+
+  useEffect(() => {
+    const onFullscreen = () => { if (!document.fullscreenElement) setPresenting(false) }
+    const onKey = (e) => { if (e.key === 'Escape') setPresenting(false) }
+    document.addEventListener('fullscreenchange', onFullscreen)
+    window.addEventListener('keydown', onKey)
+    return () => {
+      document.removeEventListener('fullscreenchange', onFullscreen)
+      window.removeEventListener('keydown', onKey)
+    }
+  }, [])
+
+  const togglePresenting = () => {
+    if (presenting) {
+      if (document.fullscreenElement) document.exitFullscreen()
+      setPresenting(false)
+      return
+    }
+    setPresenting(true)
+    pageRef.current?.requestFullscreen?.().catch(() => {})
+  }
+
+  const columns = useMemo(() => [...new Set((dashboard?.tiles || []).flatMap((t) => t.columns || []))].sort(), [dashboard?.tiles])
+
+  return (
+    <div ref={pageRef} className={classNames('min-h-screen text-slate-900 dark:text-slate-100', presenting ? 'bg-slate-100 dark:bg-slate-950 p-4 overflow-auto' : 'bg-gradient-to-br from-slate-50 to-indigo-50 dark:from-slate-950 dark:to-indigo-950')}>
+      <div className={classNames('space-y-4', !presenting && 'container mx-auto px-6 py-8')}>
+        <div className="flex flex-wrap items-center gap-3">
+          {!presenting && (
+            <Link to={id ? '/dashboards' : '/'} className="inline-flex items-center gap-1 text-sm text-slate-500 hover:underline">
+              <ArrowLeft size={14}/> {id ? 'Dashboards' : 'Workspace'}
+            </Link>
+          )}
+          {id && dashboard ? (
+            presenting ? <h1 className="text-xl font-semibold">{dashboard.name}</h1> : (
+              <input value={dashboard.name} onChange={(e) => change({ name: e.target.value })} className="flex-1 min-w-0 bg-transparent text-xl font-semibold focus:outline-none" aria-label="Dashboard name" />
+            )
+          ) : (
+            <h1 className="flex-1 inline-flex items-center gap-2 text-xl font-semibold"><LayoutDashboard size={20}/> Dashboards</h1>
+          )}
+          {id && dashboard && (
+            <button onClick={togglePresenting} className={classNames('inline-flex items-center gap-1 rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1.5 text-sm hover:bg-slate-50 dark:hover:bg-slate-800', presenting && 'ml-auto')}>
+              {presenting ? <Minimize2 size={14}/> : <Maximize2 size={14}/>} {presenting ? 'Exit' : 'Present'}
+            </button>
+          )}
+        </div>
+
+        {!id ? (
+          <DashboardIndex notify={notify} />
+        ) : !dashboard ? (
+          <div className="text-slate-500 text-sm inline-flex items-center gap-2"><Loader2 className="animate-spin" size={16}/> Loading…</div>
+        ) : (
+          <>
+            <FilterBar filters={dashboard.filters || []} columns={columns} editable={!presenting} onChange={(filters) => change({ filters })} />
+            {dashboard.tiles?.length ? (
+              <TileGrid tiles={dashboard.tiles} filters={dashboard.filters || []} editable={!presenting} onTilesChange={(fn) => change((d) => ({ tiles: fn(d.tiles) }))} />
+            ) : (
+              <div className="rounded-lg border border-dashed border-slate-300 dark:border-slate-700 p-8 text-center text-sm text-slate-500">
+                Nothing here yet. Use <span className="font-medium">Pin</span> on a result in the <Link to="/" className="underline">workspace</Link> to add tiles.
+              </div>
+            )}
+          </>
+        )}
+      </div>
+      <Toast toasts={toasts} remove={remove} />
+    </div>
+  )
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Activity, ArrowLeft, Download, Loader2, RefreshCw } from 'lucide-react'
+import ErrorNotice from './ErrorNotice'
+import { useDarkMode } from './theme'
+import { classNames, formatBytes } from './utils'
+import { LATENCY_ENDPOINTS, POLL_INTERVALS, exportReport, fetchDiagnostics } from './diagnosticsReport'
+
+const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+const cardClass = 'rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-4'
+
+const ms = (v) => (v == null ? '—' : `${Math.round(v)} ms`)
+
+function Field({ label, children }) {
+  return (
+    <div className="flex justify-between gap-3 text-sm">
+      <span className="text-slate-500">{label}</span>
+      <span className="min-w-0 truncate text-right font-medium" title={typeof children === 'string' ? children : undefined}>{children ?? '—'}</span>
+    </div>
+  )
+}
+
+function Overview({ report }) {
+  const db = report.database || {}
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className={cardClass}>
+        <div className="font-semibold mb-2">Backend</div>
+        <Field label="Profile">{report.profile}</Field>
+        <Field label="URL">{report.backend_url}</Field>
+        <Field label="Version">{report.version}</Field>
+        <Field label="Round trip">{ms(report.ping_ms)}</Field>
+        {report.source === 'legacy' && <div className="mt-2 text-xs text-amber-600 dark:text-amber-400">No /api/diagnostics on this backend; figures are pieced together from older endpoints and this browser.</div>}
+      </div>
+      <div className={cardClass}>
+        <div className="font-semibold mb-2">Model</div>
+        <Field label="Provider">{report.model?.provider}</Field>
+        <Field label="Model">{report.model?.name}</Field>
+      </div>
+      <div className={cardClass}>
+        <div className="font-semibold mb-2">Database</div>
+        {Object.keys(db).length ? Object.entries(db).filter(([, v]) => v != null).map(([k, v]) => (
+          <Field key={k} label={k.replace(/_/g, ' ')}>{Array.isArray(v) ? v.join(', ') : typeof v === 'object' ? JSON.stringify(v) : String(v)}</Field>
+        )) : <div className="text-sm text-slate-500">Not reported</div>}
+      </div>
+    </div>
+  )
+}
+
+function Latency({ latency }) {
+  return (
+    <div className={cardClass}>
+      <div className="font-semibold mb-2">Latency</div>
+      <table className="w-full text-sm">
+        <thead className="text-left text-xs text-slate-500">
+          <tr><th className="py-1 font-medium">Endpoint</th><th className="font-medium">Requests</th><th className="font-medium">p50</th><th className="font-medium">p95</th><th className="font-medium">p99</th><th className="font-medium">Measured by</th></tr>
+        </thead>
+        <tbody>
+          {LATENCY_ENDPOINTS.map((endpoint) => {
+            const l = latency?.[endpoint] || {}
+            return (
+              <tr key={endpoint} className="border-t border-slate-100 dark:border-slate-800">
+                <td className="py-1 font-mono text-xs">{endpoint}</td>
+                <td>{l.count ?? 0}</td>
+                <td>{ms(l.p50)}</td>
+                <td>{ms(l.p95)}</td>
+                <td>{ms(l.p99)}</td>
+                <td className="text-xs text-slate-500">{l.count ? (l.measured === 'server' ? 'server' : 'this browser') : '—'}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function Storage({ storage }) {
+  const tables = [...(storage?.tables || [])].sort((a, b) => (b.bytes || 0) - (a.bytes || 0))
+  const largest = tables[0]?.bytes || 0
+  return (
+    <div className={cardClass}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="font-semibold">Storage</div>
+        <div className="text-xs text-slate-500">{formatBytes(storage?.total_bytes || 0)} in {tables.length} tables</div>
+      </div>
+      {tables.length ? (
+        <div className="space-y-1 max-h-72 overflow-auto">
+          {tables.map((t) => (
+            <div key={t.table_id || t.name} className="text-sm">
+              <div className="flex justify-between gap-3">
+                <span className="truncate">{t.name}</span>
+                <span className="text-slate-500 shrink-0">{t.bytes != null ? formatBytes(t.bytes) : 'size unknown'}{t.row_count != null ? ` • ${t.row_count} rows` : ''}</span>
+              </div>
+              <div className="h-1 rounded bg-slate-100 dark:bg-slate-800">
+                <div className="h-1 rounded bg-indigo-500" style={{ width: `${largest ? Math.max(1, ((t.bytes || 0) / largest) * 100) : 0}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : <div className="text-sm text-slate-500">No tables</div>}
+    </div>
+  )
+}
+
+function RecentErrors({ errors = [] }) {
+  return (
+    <div className={cardClass}>
+      <div className="font-semibold mb-2">Recent errors</div>
+      {errors.length ? (
+        <ul className="divide-y divide-slate-100 dark:divide-slate-800 text-sm max-h-72 overflow-auto">
+          {errors.slice(0, 50).map((e, i) => (
+            <li key={i} className="py-1.5">
+              <div className="flex justify-between gap-3 text-xs text-slate-500">
+                <span className="font-mono">{e.method} {e.path}</span>
+                <span>{e.at ? new Date(e.at).toLocaleString() : ''}</span>
+              </div>
+              <div className="text-red-600 dark:text-red-400">{e.status ? `${e.status} • ` : 'Unreachable • '}{e.message || 'No message'}</div>
+              {(e.request_id || e.seen_by) && <div className="text-[11px] text-slate-500">{e.request_id ? `request ${e.request_id}` : 'seen by this browser'}</div>}
+            </li>
+          ))}
+        </ul>
+      ) : <div className="text-sm text-slate-500">None recently</div>}
+    </div>
+  )
+}
+
+export default function Diagnostics() {
+  useDarkMode()
+  const [report, setReport] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [pollMs, setPollMs] = useState(() => Number(localStorage.getItem('diagnostics_poll') ?? 15000))
+  const active = useRef(null)
+
+  const refresh = async () => {
+    active.current?.abort()
+    const controller = new AbortController()
+    active.current = controller
+    setLoading(true)
+    try {
+      setReport(await fetchDiagnostics({ signal: controller.signal }))
+      setError(null)
+    } catch (e) {
+      if (e.name !== 'AbortError') setError(e)
+    } finally {
+      if (active.current === controller) {
+        active.current = null
+        setLoading(false)
+      }
+    }
+  }
+
+  useEffect(() => {
+    refresh()
+    return () => active.current?.abort()
+  }, [])
+
+  // Polling pauses while the tab is hidden
+  useEffect(() => {
+    if (!pollMs) return
+    const timer = setInterval(() => { if (!document.hidden && !active.current) refresh() }, pollMs)
+    return () => clearInterval(timer)
+  }, [pollMs])
+
+  const changeInterval = (value) => {
+    setPollMs(value)
+    localStorage.setItem('diagnostics_poll', String(value))
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-indigo-50 dark:from-slate-950 dark:to-indigo-950 text-slate-900 dark:text-slate-100">
+      <div className="container mx-auto px-6 py-8 space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <Link to="/" className="inline-flex items-center gap-1 text-sm text-slate-500 hover:underline"><ArrowLeft size={14}/> Workspace</Link>
+          <h1 className="flex-1 inline-flex items-center gap-2 text-xl font-semibold"><Activity size={20}/> Diagnostics</h1>
+          {report && <span className="text-xs text-slate-500">Updated {new Date(report.generated_at).toLocaleTimeString()}</span>}
+          <label className="inline-flex items-center gap-1 text-xs text-slate-500">
+            Refresh every
+            <select value={pollMs} onChange={(e) => changeInterval(Number(e.target.value))} className={inputClass}>
+              {POLL_INTERVALS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </label>
+          <button onClick={refresh} disabled={loading} className="inline-flex items-center gap-1 rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1.5 text-sm hover:bg-slate-50 dark:hover:bg-slate-800">
+            <RefreshCw size={14} className={classNames(loading && 'animate-spin')}/> Refresh
+          </button>
+          <button onClick={() => exportReport(report)} disabled={!report} title="Download the report, with secrets masked, to attach to a support ticket" className="inline-flex items-center gap-1 rounded-md bg-indigo-600 px-3 py-1.5 text-sm text-white hover:bg-indigo-700 disabled:opacity-50">
+            <Download size={14}/> Export
+          </button>
+        </div>
+
+        {error && <ErrorNotice error={error} title="Could not reach the backend" onRetry={refresh} />}
+        {!report ? (
+          !error && <div className="text-slate-500 text-sm inline-flex items-center gap-2"><Loader2 className="animate-spin" size={16}/> Collecting diagnostics…</div>
+        ) : (
+          <>
+            <Overview report={report} />
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <Latency latency={report.latency} />
+              <Storage storage={report.storage} />
+            </div>
+            <RecentErrors errors={report.errors} />
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
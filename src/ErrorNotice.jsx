@@ -0,0 +1,37 @@
+import React from 'react'
+import { AlertCircle, RotateCcw } from 'lucide-react'
+import { describePosition } from './sql'
+
+// Inline error from the API client: the message, where in the SQL it happened, field-level details and the server's hint
+export default function ErrorNotice({ error, title, sql, onRetry, compact = false }) {
+  if (!error) return null
+  const where = describePosition(sql, error.position)
+  const fields = error.fields || []
+
+  if (compact) return (
+    <div className="text-xs text-red-600 dark:text-red-400">
+      {title ? `${title}: ` : ''}{error.message}
+      {onRetry && <button onClick={onRetry} className="ml-2 underline">Retry</button>}
+    </div>
+  )
+  return (
+    <div role="alert" className="rounded-lg border border-red-300 dark:border-red-800 bg-red-50 dark:bg-red-900/20 p-3 text-sm text-red-700 dark:text-red-300">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="inline-flex items-center gap-2 font-semibold"><AlertCircle size={16}/> {title || 'Request failed'}</div>
+          <div className="mt-1 break-words">{where && <span className="font-medium">{where[0].toUpperCase() + where.slice(1)}: </span>}{error.message}</div>
+          {fields.length > 0 && (
+            <ul className="mt-1 list-disc pl-5 text-xs">
+              {fields.map((f, i) => <li key={i}><code className="font-mono">{f.field}</code> {f.message}</li>)}
+            </ul>
+          )}
+          {error.hint && <div className="mt-1 text-xs text-slate-600 dark:text-slate-300">{error.hint}</div>}
+          {error.code && <div className="mt-1 text-[11px] opacity-70">{error.code}</div>}
+        </div>
+        {onRetry && (
+          <button onClick={onRetry} className="flex-none inline-flex items-center gap-1 text-xs hover:underline"><RotateCcw size={12}/> Retry</button>
+        )}
+      </div>
+    </div>
+  )
+}
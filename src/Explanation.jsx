@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from 'react'
+import { HelpCircle, Lightbulb, Loader2, Play, X } from 'lucide-react'
+import { classNames } from './utils'
+import { explainQuery, highlightSegments } from './explain'
+
+const target = (m) => [m.table, m.column].filter(Boolean).join('.')
+
+// Step-by-step reading of the SQL, plus the question with the words that were mapped to tables and columns highlighted
+export default function ExplainPanel({ question, sql, explanation: provided, schemas }) {
+  const [explanation, setExplanation] = useState(provided || null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setError(null)
+    if (provided) return setExplanation(provided)
+    setExplanation(null)
+    let cancelled = false
+    explainQuery({ sql, question, schemas })
+      .then((e) => { if (!cancelled) setExplanation(e) })
+      .catch((e) => { if (!cancelled) setError(e.message) })
+    return () => { cancelled = true }
+  }, [sql, question, provided, schemas])
+
+  if (error) return <div className="text-xs text-red-600 dark:text-red-400">Could not explain this query: {error}</div>
+  if (!explanation) return <div className="text-xs text-slate-500 inline-flex items-center gap-2"><Loader2 className="animate-spin" size={12}/> Explaining…</div>
+
+  const mappings = explanation.mappings || []
+  return (
+    <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-3 space-y-3 text-sm">
+      <div className="inline-flex items-center gap-2 font-semibold"><Lightbulb size={16}/> How this was answered</div>
+      {question && (
+        <div>
+          <div className="leading-7">
+            {highlightSegments(question, mappings).map((s, i) => (s.mapping ? (
+              <mark key={i} title={target(s.mapping)} className="rounded bg-indigo-100 dark:bg-indigo-900/50 px-0.5 text-inherit">{s.text}</mark>
+            ) : <span key={i}>{s.text}</span>))}
+          </div>
+          {mappings.length > 0 && (
+            <div className="mt-1 flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-500">
+              {mappings.map((m, i) => <span key={i}>“{m.phrase}” → <code className="font-mono text-slate-700 dark:text-slate-200">{target(m)}</code></span>)}
+            </div>
+          )}
+        </div>
+      )}
+      <ol className="space-y-2">
+        {(explanation.steps || []).map((s, i) => (
+          <li key={i} className="flex gap-3">
+            <span className="flex-none h-5 w-5 rounded-full bg-indigo-600 text-white text-xs grid place-items-center">{i + 1}</span>
+            <div className="min-w-0">
+              <div>{s.text}</div>
+              {s.sql && <code className="block mt-0.5 font-mono text-xs text-slate-500 break-all">{s.sql}</code>}
+            </div>
+          </li>
+        ))}
+      </ol>
+      {explanation.local && <div className="text-[11px] text-slate-400">Derived from the SQL in the browser; the backend did not provide an explanation.</div>}
+    </div>
+  )
+}
+
+// Shown instead of results when the backend found more than one reading of the question
+export function ClarificationPrompt({ question, clarification, onChoose, onDismiss, running }) {
+  const options = clarification.options || []
+  const [choice, setChoice] = useState(options[0]?.id ?? null)
+  const chosen = options.find((o) => o.id === choice)
+
+  return (
+    <div className="rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20 p-4 space-y-3 text-sm">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="inline-flex items-center gap-2 font-semibold"><HelpCircle size={16}/> {clarification.prompt || 'Which did you mean?'}</div>
+          <div className="mt-1 text-xs text-slate-600 dark:text-slate-300">
+            “{question}”{clarification.phrase && <> — “{clarification.phrase}” could mean more than one thing.</>}
+          </div>
+        </div>
+        <button onClick={onDismiss} title="Dismiss" className="opacity-60 hover:opacity-100"><X size={16}/></button>
+      </div>
+      <div className="space-y-2">
+        {options.map((o) => (
+          <label key={o.id} className={classNames('flex gap-3 rounded-md border p-3 cursor-pointer', choice === o.id ? 'border-indigo-500 bg-white dark:bg-slate-900' : 'border-slate-200 dark:border-slate-700')}>
+            <input type="radio" name="clarification" checked={choice === o.id} onChange={() => setChoice(o.id)} className="mt-1" />
+            <div className="min-w-0">
+              <div className="font-medium">{o.label}</div>
+              {o.description && <div className="text-xs text-slate-500">{o.description}</div>}
+              {o.sql && <code className="block mt-1 font-mono text-xs text-slate-500 break-all">{o.sql}</code>}
+            </div>
+          </label>
+        ))}
+      </div>
+      <button
+        onClick={() => onChoose(chosen)}
+        disabled={!chosen || running}
+        className={classNames('inline-flex items-center gap-2 rounded-md px-4 py-2 text-white font-medium', !chosen || running ? 'bg-slate-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700')}
+      >
+        {running ? <Loader2 className="animate-spin" size={16}/> : <Play size={16}/>} Run with this meaning
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,127 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { ChevronDown, ClipboardCopy, Download, Loader2 } from 'lucide-react'
+import { classNames, downloadBlob } from './utils'
+import { CSV_ENCODINGS, EXPORT_FORMATS, buildExport, exportFilename, toDelimited } from './exporters'
+
+const DELIMITERS = [
+  { id: ',', label: 'Comma (,)' },
+  { id: ';', label: 'Semicolon (;)' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe (|)' },
+]
+
+export default function ExportMenu({ cols, rows, baseName, truncated, onFetchFull, notify }) {
+  const ref = useRef(null)
+  const [open, setOpen] = useState(false)
+  const [format, setFormat] = useState('csv')
+  const [delimiter, setDelimiter] = useState(',')
+  const [encoding, setEncoding] = useState('utf-8')
+  const [bom, setBom] = useState(false)
+  const [full, setFull] = useState(false)
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    if (!open) return
+    const onDown = (e) => { if (!ref.current?.contains(e.target)) setOpen(false) }
+    document.addEventListener('mousedown', onDown)
+    return () => document.removeEventListener('mousedown', onDown)
+  }, [open])
+
+  const canFetchFull = truncated && !!onFetchFull
+
+  const loadData = async () => {
+    if (full && canFetchFull) return onFetchFull()
+    return { cols, rows }
+  }
+
+  const download = async () => {
+    setBusy(true)
+    try {
+      const data = await loadData()
+      const blob = await buildExport(format, data.cols, data.rows, { delimiter, encoding, bom, sheetName: baseName })
+      const ext = EXPORT_FORMATS.find((f) => f.id === format).ext
+      downloadBlob(blob, exportFilename(baseName, ext))
+      setOpen(false)
+    } catch (e) {
+      notify?.({ type: 'error', title: 'Export failed', message: e.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const copyTsv = async () => {
+    setBusy(true)
+    try {
+      const data = await loadData()
+      await navigator.clipboard.writeText(toDelimited(data.cols, data.rows, '\t'))
+      notify?.({ title: 'Copied to clipboard', message: `${data.rows.length} rows as TSV` })
+      setOpen(false)
+    } catch (e) {
+      notify?.({ type: 'error', title: 'Copy failed', message: e.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const selectClass = 'w-full rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+
+  return (
+    <div ref={ref} className="relative">
+      <button onClick={() => setOpen(!open)} className="inline-flex items-center gap-2 rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1 text-sm hover:bg-slate-50 dark:hover:bg-slate-800">
+        <Download size={16}/> Export <ChevronDown size={14}/>
+      </button>
+      {open && (
+        <div className="absolute right-0 z-30 mt-2 w-72 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 p-3 shadow-lg space-y-3 text-xs">
+          <div>
+            <div className="font-semibold mb-1">Format</div>
+            <div className="grid grid-cols-2 gap-1">
+              {EXPORT_FORMATS.map((f) => (
+                <button key={f.id} onClick={() => setFormat(f.id)} className={classNames('rounded border px-2 py-1 text-left', format === f.id ? 'border-indigo-500 bg-indigo-50 dark:bg-indigo-950/40' : 'border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800')}>
+                  {f.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {format === 'csv' && (
+            <div className="space-y-2">
+              <label className="block">Delimiter
+                <select value={delimiter} onChange={(e) => setDelimiter(e.target.value)} className={selectClass}>
+                  {DELIMITERS.map((d) => <option key={d.label} value={d.id}>{d.label}</option>)}
+                </select>
+              </label>
+              <label className="block">Encoding
+                <select value={encoding} onChange={(e) => setEncoding(e.target.value)} className={selectClass}>
+                  {CSV_ENCODINGS.map((enc) => <option key={enc.id} value={enc.id}>{enc.label}</option>)}
+                </select>
+              </label>
+              <label className="inline-flex items-center gap-2">
+                <input type="checkbox" checked={bom} disabled={encoding === 'iso-8859-1'} onChange={(e) => setBom(e.target.checked)} /> Include byte order mark
+              </label>
+            </div>
+          )}
+
+          <div>
+            <div className="font-semibold mb-1">Rows</div>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={!full || !canFetchFull} onChange={() => setFull(false)} /> Loaded rows ({rows.length})
+            </label>
+            <label className={classNames('flex items-center gap-2', !canFetchFull && 'opacity-50')}>
+              <input type="radio" checked={full && canFetchFull} disabled={!canFetchFull} onChange={() => setFull(true)} /> Full result from server
+            </label>
+            {!truncated && <div className="mt-1 text-slate-500">The loaded rows are already the full result.</div>}
+          </div>
+
+          <div className="flex items-center justify-between gap-2 pt-1">
+            <button onClick={copyTsv} disabled={busy} className="inline-flex items-center gap-1 rounded border border-slate-300 dark:border-slate-700 px-2 py-1 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-50">
+              <ClipboardCopy size={12}/> Copy as TSV
+            </button>
+            <button onClick={download} disabled={busy} className="inline-flex items-center gap-1 rounded bg-indigo-600 px-3 py-1 text-white hover:bg-indigo-700 disabled:opacity-50">
+              {busy ? <Loader2 className="animate-spin" size={12}/> : <Download size={12}/>} Download
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
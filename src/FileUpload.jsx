@@ -0,0 +1,543 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { FolderOpen, Lock, Pause, Play, RotateCcw, Upload, X } from 'lucide-react'
+import UploadPreview from './UploadPreview'
+import { describeError, upload } from './api'
+import { CHUNK_SIZES, DEFAULT_CHUNK_SIZE, discardSession, loadSessions, sessionKey, uploadInChunks } from './chunkedUpload'
+import { classNames, columnName, tableId, tableLabel } from './utils'
+import { DEFAULT_FLATTEN } from './jsonReader'
+import { isUnreachable, loadLocalTable, LOCAL_KINDS } from './localEngine'
+import { ACCEPT_ATTRIBUTE, buildPreview, buildUploadOptions, detectFormat, fileKind, guessHeaderRow, isSupportedFile, readPreviewRows, suggestTableName } from './fileParsing'
+
+const CONCURRENCY_OPTIONS = [1, 2, 3, 4, 6]
+
+const STATUS_STYLES = {
+  queued: 'text-slate-500',
+  checking: 'text-slate-500',
+  uploading: 'text-indigo-600 dark:text-indigo-300',
+  done: 'text-emerald-600 dark:text-emerald-400',
+  error: 'text-red-600 dark:text-red-400',
+  cancelled: 'text-amber-600 dark:text-amber-400',
+  paused: 'text-amber-600 dark:text-amber-400',
+}
+
+// Folder drops only expose their contents through the (non-standard but universal) entry API.
+// Entries must be collected synchronously inside the drop handler, before the DataTransfer is cleared.
+function collectDroppedEntries(dataTransfer) {
+  const entries = Array.from(dataTransfer.items || []).map((i) => i.webkitGetAsEntry?.()).filter(Boolean)
+  return entries.length ? entries : null
+}
+
+async function filesFromEntries(entries) {
+  const out = []
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      out.push(await new Promise((resolve, reject) => entry.file(resolve, reject)))
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader()
+      let batch
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+        for (const e of batch) await walk(e)
+      } while (batch.length)
+    }
+  }
+  for (const e of entries) await walk(e)
+  return out
+}
+
+function sameColumns(a, b) {
+  const norm = (list) => list.map((c) => String(c).trim().toLowerCase()).sort()
+  const x = norm(a)
+  const y = norm(b)
+  return x.length === y.length && x.every((v, i) => v === y[i])
+}
+
+function InterruptedUploads({ sessions, onResume, onDiscard }) {
+  const inputs = useRef({})
+  if (!sessions.length) return null
+  return (
+    <div className="mt-4 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50/50 dark:bg-amber-950/20 text-xs">
+      <div className="px-3 py-2 font-semibold">Interrupted uploads • select the same file again to continue where it stopped</div>
+      <ul className="divide-y divide-amber-100 dark:divide-amber-900">
+        {sessions.map(([key, s]) => (
+          <li key={key} className="flex items-center justify-between gap-2 px-3 py-2">
+            <div className="min-w-0 truncate">
+              <span className="font-medium">{s.filename}</span>{s.options?.sqlite_table ? ` › ${s.options.sqlite_table}` : ''} • {s.received || 0}/{s.total || '?'} chunks
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              <button onClick={() => inputs.current[key]?.click()} className="inline-flex items-center gap-1 text-indigo-600 hover:underline"><Play size={12}/> Resume</button>
+              <button onClick={() => onDiscard(key)} title="Discard" className="opacity-60 hover:opacity-100"><X size={14}/></button>
+              <input ref={(el) => { inputs.current[key] = el }} type="file" className="hidden" onChange={(e) => { if (e.target.files[0]) onResume(key, s, e.target.files[0]); e.target.value = '' }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+function QueueList({ items, concurrency, onConcurrency, chunkSize, onChunkSize, onCancel, onPause, onResume, onRetry, onRemove, onClearFinished }) {
+  if (!items.length) return null
+  const active = items.filter((i) => i.status === 'uploading').length
+  const finished = items.filter((i) => ['done', 'error', 'cancelled'].includes(i.status)).length
+  return (
+    <div className="mt-4 rounded-lg border border-slate-200 dark:border-slate-700 text-xs">
+      <div className="flex items-center justify-between gap-2 bg-slate-50 dark:bg-slate-800 px-3 py-2">
+        <div className="font-semibold">Upload queue • {items.length} files{active ? ` • ${active} uploading` : ''}</div>
+        <div className="flex items-center gap-3">
+          <label className="inline-flex items-center gap-1">Parallel uploads
+            <select value={concurrency} onChange={(e) => onConcurrency(Number(e.target.value))} className="rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-1 py-0.5">
+              {CONCURRENCY_OPTIONS.map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+          <label className="inline-flex items-center gap-1" title="Files larger than this are sent in resumable chunks">Chunk size
+            <select value={chunkSize} onChange={(e) => onChunkSize(Number(e.target.value))} className="rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-1 py-0.5">
+              {CHUNK_SIZES.map((n) => <option key={n} value={n}>{n / 1024 / 1024} MB</option>)}
+            </select>
+          </label>
+          {finished > 0 && <button onClick={onClearFinished} className="text-slate-500 hover:underline">Clear finished</button>}
+        </div>
+      </div>
+      <ul className="max-h-64 overflow-auto divide-y divide-slate-100 dark:divide-slate-800">
+        {items.map((item) => (
+          <li key={item.id} className="px-3 py-2">
+            <div className="flex items-center justify-between gap-2">
+              <div className="min-w-0 flex-1">
+                <div className="truncate font-medium" title={item.file.webkitRelativePath || item.file.name}>
+                  {item.file.webkitRelativePath || item.file.name}{item.options.sqlite_table ? ` › ${item.options.sqlite_table}` : ''}
+                </div>
+                <div className={classNames('truncate', STATUS_STYLES[item.status])}>
+                  {item.status}{item.status === 'uploading' || item.status === 'paused' ? ` • ${item.progress}%` : ''}{item.message ? ` • ${item.message}` : ''}
+                </div>
+              </div>
+              <div className="flex items-center gap-2 shrink-0">
+                {item.status === 'uploading' && item.chunked && (
+                  <button onClick={() => onPause(item.id)} title="Pause" className="opacity-60 hover:opacity-100"><Pause size={14}/></button>
+                )}
+                {item.status === 'paused' && (
+                  <button onClick={() => onResume(item.id)} title="Resume" className="text-indigo-600 opacity-80 hover:opacity-100"><Play size={14}/></button>
+                )}
+                {['queued', 'checking', 'uploading', 'paused'].includes(item.status) && (
+                  <button onClick={() => onCancel(item.id)} title="Cancel" className="opacity-60 hover:opacity-100"><X size={14}/></button>
+                )}
+                {['error', 'cancelled'].includes(item.status) && (
+                  <button onClick={() => onRetry(item.id)} title="Retry" className="text-indigo-600 opacity-80 hover:opacity-100"><RotateCcw size={14}/></button>
+                )}
+                {['done', 'error', 'cancelled'].includes(item.status) && (
+                  <button onClick={() => onRemove(item.id)} title="Remove from list" className="opacity-60 hover:opacity-100"><X size={14}/></button>
+                )}
+              </div>
+            </div>
+            {(item.status === 'uploading' || item.status === 'paused') && (
+              <div className="mt-1 h-1.5 w-full rounded bg-slate-200 dark:bg-slate-800 overflow-hidden">
+                <div className="h-full bg-gradient-to-r from-indigo-500 to-blue-500 transition-all" style={{ width: `${item.progress}%` }} />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// tables are the ones the user may append to; canUpload is false for viewers of a workspace.
+// With localEngine on, CSV and Excel files are also loaded into the in-browser engine, and only there when the server is unreachable.
+export default function FileUpload({ onUploaded, onTablesRefresh, toasts, tables = [], getSchema, canUpload = true, localEngine = false, onLocalLoaded }) {
+  const [dragOver, setDragOver] = useState(false)
+  const [draft, setDraft] = useState(null)
+  const [queue, setQueue] = useState([])
+  const [concurrency, setConcurrency] = useState(() => Number(localStorage.getItem('upload_concurrency')) || 2)
+  const [chunkSize, setChunkSize] = useState(() => Number(localStorage.getItem('upload_chunk_size')) || DEFAULT_CHUNK_SIZE)
+  const [destination, setDestination] = useState({ mode: 'create', tableId: '' })
+  const [sessions, setSessions] = useState(() => loadSessions())
+  const inputRef = useRef(null)
+  const folderRef = useRef(null)
+  const controllers = useRef({})
+  const paused = useRef(new Set())
+  const started = useRef(new Set())
+  const chunkedUnavailable = useRef(false)
+
+  const patchItem = (id, patch) => setQueue((prev) => prev.map((i) => (i.id === id ? { ...i, ...patch } : i)))
+
+  // entries are { file, options }; one file can appear several times, e.g. one entry per SQLite table
+  const enqueue = (entries) => {
+    const target = destination.mode === 'append' ? tables.find((t) => tableId(t) === destination.tableId) : null
+    if (destination.mode === 'append' && !target) {
+      toasts.add({ type: 'error', title: 'Choose a table', message: 'Pick the table to append the files to.' })
+      return false
+    }
+    addItems(entries.map(({ file, options }) => ({
+      file,
+      options: target ? { ...options, table_name: tableLabel(target), mode: 'append', target_table_id: tableId(target) } : options,
+    })))
+    return true
+  }
+
+  const addItems = (entries) => {
+    const items = entries.map(({ file, options }) => ({ id: Math.random().toString(36).slice(2), file, options, status: 'queued', progress: 0, message: '' }))
+    setQueue((prev) => [...prev, ...items])
+  }
+
+  // Interrupted sessions keep their original options, so they skip the destination setting
+  const resumeSession = (key, session, file) => {
+    if (sessionKey(file, session.options) !== key) {
+      toasts.add({ type: 'error', title: 'Different file', message: `Select ${session.filename} (${session.size.toLocaleString()} bytes) to resume this upload.` })
+      return
+    }
+    addItems([{ file, options: session.options }])
+  }
+
+  const discardInterrupted = async (key) => {
+    await discardSession(key)
+    setSessions(loadSessions())
+  }
+
+  const handleFiles = async (list) => {
+    const files = Array.from(list || [])
+    if (!files.length) return
+    const supported = files.filter(isSupportedFile)
+    const skipped = files.length - supported.length
+    if (!supported.length) {
+      toasts.add({ type: 'error', title: 'Unsupported file', message: 'Please upload CSV, Excel, JSON, Parquet or SQLite files.' })
+      return
+    }
+    if (skipped) toasts.add({ type: 'error', title: `${skipped} file${skipped > 1 ? 's' : ''} skipped`, message: 'Only CSV, Excel, JSON, Parquet and SQLite files are uploaded.' })
+    const checked = await Promise.all(supported.map((file) => detectFormat(file).then((kind) => ({ file, kind }), (e) => ({ file, error: e.message }))))
+    const invalid = checked.filter((c) => c.error)
+    if (invalid.length) toasts.add({ type: 'error', title: `${invalid.length} invalid file${invalid.length > 1 ? 's' : ''}`, message: invalid.map((c) => c.error).join(' • ') })
+    const valid = checked.filter((c) => c.kind)
+    // a single file gets the full preview step; batches go straight to the queue with detected options
+    if (valid.length === 1 && files.length === 1) openPreview(valid[0].file)
+    else if (valid.length) enqueue(valid.map(({ file, kind }) => ({ file, options: { table_name: suggestTableName(file.name), format: kind } })))
+  }
+
+  const onDrop = async (e) => {
+    e.preventDefault()
+    setDragOver(false)
+    const entries = collectDroppedEntries(e.dataTransfer)
+    const files = e.dataTransfer.files
+    if (entries?.some((en) => en.isDirectory)) handleFiles(await filesFromEntries(entries))
+    else handleFiles(files)
+  }
+
+  const openPreview = async (file) => {
+    setDraft({ file, kind: fileKind(file), rows: [], headerRow: 1, delimiter: ',', encoding: 'utf-8', flatten: DEFAULT_FLATTEN, tableName: suggestTableName(file.name), columns: {}, loading: true })
+    try {
+      const parsed = await readPreviewRows(file)
+      setDraft((d) => (d?.file === file ? {
+        ...d,
+        ...parsed,
+        headerRow: parsed.headerRow ?? guessHeaderRow(parsed.rows),
+        ...(parsed.sqliteTable ? { tableName: suggestTableName(parsed.sqliteTable) } : {}),
+        loading: false,
+      } : d))
+    } catch (e) {
+      setDraft((d) => (d?.file === file ? { ...d, loading: false, error: `Could not preview this file: ${e.message}` } : d))
+    }
+  }
+
+  // Delimiter, encoding, sheet, flattening and SQLite table change how the file is parsed, so those re-read the preview
+  const updateDraft = async (patch) => {
+    const next = { ...draft, ...patch }
+    const reparse = ['delimiter', 'encoding', 'sheet', 'flatten', 'sqliteTable'].some((k) => k in patch)
+    const newSource = 'sheet' in patch || 'sqliteTable' in patch || 'flatten' in patch
+    setDraft({ ...next, loading: reparse })
+    if (!reparse) return
+    try {
+      const parsed = await readPreviewRows(next.file, { delimiter: next.delimiter, encoding: next.encoding, sheet: next.sheet, flatten: next.flatten, sqliteTable: next.sqliteTable })
+      setDraft((d) => (d?.file === next.file ? {
+        ...d,
+        ...parsed,
+        loading: false,
+        error: null,
+        ...(newSource ? { headerRow: parsed.headerRow ?? guessHeaderRow(parsed.rows), columns: {} } : {}),
+        ...('sqliteTable' in patch ? { tableName: suggestTableName(parsed.sqliteTable) } : {}),
+      } : d))
+    } catch (e) {
+      setDraft((d) => (d?.file === next.file ? { ...d, loading: false, error: `Could not preview this file: ${e.message}` } : d))
+    }
+  }
+
+  const updateColumn = (index, patch) => setDraft((d) => ({ ...d, columns: { ...d.columns, [index]: { ...d.columns[index], ...patch } } }))
+
+  const importDraft = (previewColumns) => {
+    const options = buildUploadOptions({
+      ...draft,
+      tableName: draft.tableName.trim(),
+      columns: previewColumns.map((c) => ({ source: c.source, guessedType: c.guessedType, ...draft.columns[c.index] })),
+    })
+    if (enqueue([{ file: draft.file, options }])) setDraft(null)
+  }
+
+  const importAllTables = () => {
+    const entries = draft.sqliteTables.map((t) => ({ file: draft.file, options: { table_name: suggestTableName(t), format: 'sqlite', sqlite_table: t } }))
+    if (enqueue(entries)) setDraft(null)
+  }
+
+  // Appending only makes sense when the file's columns line up with the target table
+  const checkAppendSchema = async (item) => {
+    const schema = await getSchema?.(item.options.target_table_id)
+    const expected = (schema?.columns || []).map(columnName)
+    if (!expected.length) return null
+    let actual
+    if (item.options.columns?.length) {
+      actual = item.options.columns.filter((c) => !c.skip).map((c) => c.name)
+    } else {
+      const parsed = await readPreviewRows(item.file, { sqliteTable: item.options.sqlite_table })
+      if (parsed.unsupported) return null
+      actual = buildPreview(parsed.rows, parsed.headerRow ?? guessHeaderRow(parsed.rows)).columns.map((c) => c.source)
+    }
+    if (sameColumns(actual, expected)) return null
+    const lower = (list) => list.map((c) => String(c).toLowerCase())
+    const missing = expected.filter((c) => !lower(actual).includes(c.toLowerCase()))
+    const extra = actual.filter((c) => !lower(expected).includes(String(c).toLowerCase()))
+    return `Columns differ from ${item.options.table_name}${missing.length ? ` • missing ${missing.join(', ')}` : ''}${extra.length ? ` • unexpected ${extra.join(', ')}` : ''}`
+  }
+
+  const send = async (item) => {
+    const form = new FormData()
+    form.append('file', item.file)
+    form.append('options', JSON.stringify(item.options))
+    const controller = new AbortController()
+    controllers.current[item.id] = controller
+    try {
+      return await upload('/api/upload', form, {
+        signal: controller.signal,
+        onProgress: (progress) => patchItem(item.id, { progress }),
+      })
+    } finally {
+      delete controllers.current[item.id]
+    }
+  }
+
+  // Large files go up in resumable chunks; backends without /api/uploads get the single request instead
+  const sendChunked = async (item) => {
+    const controller = new AbortController()
+    controllers.current[item.id] = controller
+    try {
+      return await uploadInChunks(item.file, item.options, {
+        chunkSize,
+        signal: controller.signal,
+        onProgress: (progress) => patchItem(item.id, { progress }),
+      })
+    } catch (e) {
+      if (e.name !== 'UnsupportedError') throw e
+      chunkedUnavailable.current = true
+      patchItem(item.id, { chunked: false })
+      return send(item)
+    } finally {
+      delete controllers.current[item.id]
+    }
+  }
+
+  // Resolves with a note for the status line; a local failure does not undo a server upload that worked
+  const loadLocally = async (item, required) => {
+    patchItem(item.id, { message: 'loading into this browser' })
+    try {
+      const local = await loadLocalTable(item.file, item.options)
+      onLocalLoaded?.()
+      return local
+    } catch (e) {
+      if (required) throw e
+      return { error: e }
+    }
+  }
+
+  const run = async (item) => {
+    const local = localEngine && LOCAL_KINDS.includes(item.options.format)
+    try {
+      if (item.options.mode === 'append') {
+        patchItem(item.id, { status: 'checking', message: 'comparing columns' })
+        const mismatch = await checkAppendSchema(item)
+        if (mismatch) throw new Error(mismatch)
+      }
+      if (!started.current.has(item.id)) return
+      const chunked = !chunkedUnavailable.current && item.file.size > chunkSize
+      patchItem(item.id, { status: 'uploading', progress: 0, message: '', chunked })
+      let res
+      try {
+        res = chunked ? await sendChunked(item) : await send(item)
+      } catch (e) {
+        if (!local || !isUnreachable(e)) throw e
+        const copy = await loadLocally(item, true)
+        patchItem(item.id, { status: 'done', progress: 100, message: `${copy.name} • ${copy.row_count} rows • server unreachable, loaded in this browser only` })
+        return
+      }
+      const copy = local ? await loadLocally(item, false) : null
+      const note = copy ? (copy.error ? ` • not loaded into this browser: ${copy.error.message}` : ' • also in this browser') : ''
+      patchItem(item.id, { status: 'done', progress: 100, message: `${res?.table_name ? `${res.table_name} • ${res.row_count ?? '?'} rows` : 'uploaded'}${note}` })
+      onUploaded?.(res)
+    } catch (e) {
+      if (e.name === 'AbortError') patchItem(item.id, { status: paused.current.has(item.id) ? 'paused' : 'cancelled', message: '' })
+      else patchItem(item.id, { status: 'error', message: describeError(e) })
+    } finally {
+      started.current.delete(item.id)
+      paused.current.delete(item.id)
+    }
+  }
+
+  // Start queued items while there are free slots
+  useEffect(() => {
+    const busy = queue.filter((i) => i.status === 'uploading' || i.status === 'checking').length
+    const waiting = queue.filter((i) => i.status === 'queued' && !started.current.has(i.id))
+    waiting.slice(0, Math.max(0, concurrency - busy)).forEach((item) => {
+      started.current.add(item.id)
+      patchItem(item.id, { status: 'checking' })
+      run(item)
+    })
+  }, [queue, concurrency])
+
+  // Refresh the table list once a batch settles rather than after every file
+  const wasActive = useRef(false)
+  useEffect(() => {
+    const active = queue.some((i) => ['queued', 'checking', 'uploading'].includes(i.status))
+    if (wasActive.current && !active) {
+      const done = queue.filter((i) => i.status === 'done').length
+      const failed = queue.filter((i) => i.status === 'error').length
+      if (done) onTablesRefresh?.()
+      setSessions(loadSessions())
+      if (done || failed) {
+        toasts.add({ type: failed ? 'error' : 'success', title: failed ? 'Uploads finished with errors' : 'Upload complete', message: `${done} succeeded${failed ? ` • ${failed} failed` : ''}` })
+      }
+    }
+    wasActive.current = active
+  }, [queue])
+
+  useEffect(() => () => {
+    Object.values(controllers.current).forEach((c) => c.abort())
+  }, [])
+
+  const cancel = (id) => {
+    const item = queue.find((i) => i.id === id)
+    started.current.delete(id)
+    if (item?.chunked) discardSession(sessionKey(item.file, item.options))
+    if (controllers.current[id]) controllers.current[id].abort()
+    else patchItem(id, { status: 'cancelled', message: '' })
+  }
+
+  // Pausing aborts the chunk in flight; the server keeps the session and resuming skips what it already has
+  const pause = (id) => {
+    paused.current.add(id)
+    controllers.current[id]?.abort()
+  }
+
+  const resume = (id) => patchItem(id, { status: 'queued', message: '' })
+
+  const retry = (id) => patchItem(id, { status: 'queued', progress: 0, message: '' })
+  const remove = (id) => {
+    setQueue((prev) => prev.filter((i) => i.id !== id))
+    setSessions(loadSessions())
+  }
+
+  const clearFinished = () => {
+    setQueue((prev) => prev.filter((i) => !['done', 'error', 'cancelled'].includes(i.status)))
+    setSessions(loadSessions())
+  }
+
+  const destinationControls = (
+    <div className="mt-4 flex flex-wrap items-center gap-3 text-xs text-slate-600 dark:text-slate-300">
+      <label className="inline-flex items-center gap-1">
+        <input type="radio" checked={destination.mode === 'create'} onChange={() => setDestination({ ...destination, mode: 'create' })} /> New table per file
+      </label>
+      <label className="inline-flex items-center gap-1">
+        <input type="radio" checked={destination.mode === 'append'} disabled={!tables.length} onChange={() => setDestination({ ...destination, mode: 'append' })} /> Append to existing table
+      </label>
+      {destination.mode === 'append' && (
+        <select value={destination.tableId} onChange={(e) => setDestination({ ...destination, tableId: e.target.value })} className="rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1">
+          <option value="">Choose table…</option>
+          {tables.map((t) => <option key={tableId(t)} value={tableId(t)}>{tableLabel(t)}</option>)}
+        </select>
+      )}
+    </div>
+  )
+
+  const queuedKeys = new Set(queue.filter((i) => i.status !== 'done' && i.status !== 'cancelled').map((i) => sessionKey(i.file, i.options)))
+  const interrupted = Object.entries(sessions).filter(([key]) => !queuedKeys.has(key))
+
+  const queueList = (
+    <>
+      <InterruptedUploads sessions={interrupted} onResume={resumeSession} onDiscard={discardInterrupted} />
+      <QueueList
+        items={queue}
+        concurrency={concurrency}
+        onConcurrency={(n) => { setConcurrency(n); localStorage.setItem('upload_concurrency', String(n)) }}
+        chunkSize={chunkSize}
+        onChunkSize={(n) => { setChunkSize(n); localStorage.setItem('upload_chunk_size', String(n)) }}
+        onCancel={cancel}
+        onPause={pause}
+        onResume={resume}
+        onRetry={retry}
+        onRemove={remove}
+        onClearFinished={clearFinished}
+      />
+    </>
+  )
+
+  if (!canUpload) {
+    return (
+      <div className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-6">
+        <div className="flex flex-col items-center justify-center rounded-lg border-2 border-dashed border-slate-300 dark:border-slate-600 p-10 text-center">
+          <Lock className="text-slate-400" />
+          <p className="mt-3 text-slate-700 dark:text-slate-200">You have view-only access to this workspace</p>
+          <p className="text-xs text-slate-500">Ask a workspace owner for the editor role to upload tables.</p>
+        </div>
+        {queueList}
+      </div>
+    )
+  }
+
+  if (draft) {
+    return (
+      <div className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-6">
+        <UploadPreview
+          draft={draft}
+          onChange={updateDraft}
+          onColumnChange={updateColumn}
+          onCancel={() => setDraft(null)}
+          onImport={importDraft}
+          onImportAll={importAllTables}
+          busy={draft.loading}
+          appendTo={destination.mode === 'append' ? tableLabel(tables.find((t) => tableId(t) === destination.tableId)) : null}
+        />
+        {destinationControls}
+        {queueList}
+      </div>
+    )
+  }
+
+  return (
+    <div className="rounded-xl border border-slate-200 dark:border-slate-700 bg-white/70 dark:bg-slate-900/70 backdrop-blur p-6">
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragOver(true) }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={onDrop}
+        className={classNames(
+          'flex flex-col items-center justify-center rounded-lg border-2 border-dashed p-10 text-center transition',
+          dragOver ? 'border-indigo-500 bg-indigo-50/50 dark:bg-indigo-950/20' : 'border-slate-300 dark:border-slate-600'
+        )}
+      >
+        <Upload className="text-indigo-600" />
+        <p className="mt-3 text-slate-700 dark:text-slate-200">Drag & drop CSV, Excel, JSON, Parquet or SQLite files or folders here</p>
+        <p className="text-xs text-slate-500">or</p>
+        <div className="mt-3 flex items-center gap-2">
+          <button
+            onClick={() => inputRef.current?.click()}
+            className="inline-flex items-center gap-2 rounded-md bg-indigo-600 px-4 py-2 text-white shadow hover:bg-indigo-700"
+          >
+            Browse files
+          </button>
+          <button
+            onClick={() => folderRef.current?.click()}
+            className="inline-flex items-center gap-2 rounded-md border border-slate-300 dark:border-slate-700 px-4 py-2 text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-800"
+          >
+            <FolderOpen size={16}/> Folder
+          </button>
+        </div>
+        <input ref={inputRef} type="file" multiple accept={ACCEPT_ATTRIBUTE} className="hidden" onChange={(e) => { handleFiles(e.target.files); e.target.value = '' }} />
+        <input ref={folderRef} type="file" webkitdirectory="" directory="" className="hidden" onChange={(e) => { handleFiles(e.target.files); e.target.value = '' }} />
+      </div>
+      {destinationControls}
+      {queueList}
+    </div>
+  )
+}
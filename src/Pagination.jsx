@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react'
+import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, Loader2 } from 'lucide-react'
+
+export const PAGE_SIZES = [50, 100, 250, 500, 1000]
+
+export default function Pagination({ offset, size, total, loading, onChange }) {
+  const pageCount = Math.max(1, Math.ceil(total / size))
+  const page = Math.floor(offset / size) + 1
+  const [jump, setJump] = useState(String(page))
+
+  useEffect(() => {
+    setJump(String(page))
+  }, [page])
+
+  const goTo = (p) => {
+    const target = Math.min(pageCount, Math.max(1, p))
+    if (target !== page) onChange({ offset: (target - 1) * size, size })
+    else setJump(String(page))
+  }
+
+  const btn = 'inline-flex items-center rounded border border-slate-300 dark:border-slate-700 p-1 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-40 disabled:cursor-not-allowed'
+  const first = total ? offset + 1 : 0
+  const last = Math.min(total, offset + size)
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 text-xs text-slate-600 dark:text-slate-300">
+      <div className="inline-flex items-center gap-2">
+        {loading && <Loader2 className="animate-spin" size={12}/>}
+        Rows <span className="font-semibold">{first.toLocaleString()}–{last.toLocaleString()}</span> of <span className="font-semibold">{total.toLocaleString()}</span>
+      </div>
+      <div className="inline-flex items-center gap-1">
+        <button className={btn} disabled={loading || page <= 1} onClick={() => goTo(1)} title="First page"><ChevronsLeft size={14}/></button>
+        <button className={btn} disabled={loading || page <= 1} onClick={() => goTo(page - 1)} title="Previous page"><ChevronLeft size={14}/></button>
+        <span className="mx-1">Page</span>
+        <input
+          value={jump}
+          onChange={(e) => setJump(e.target.value.replace(/\D/g, ''))}
+          onKeyDown={(e) => { if (e.key === 'Enter') goTo(Number(jump) || 1) }}
+          onBlur={() => setJump(String(page))}
+          disabled={loading}
+          className="w-14 rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-1.5 py-0.5 text-center"
+        />
+        <span className="mx-1">of {pageCount.toLocaleString()}</span>
+        <button className={btn} disabled={loading || page >= pageCount} onClick={() => goTo(page + 1)} title="Next page"><ChevronRight size={14}/></button>
+        <button className={btn} disabled={loading || page >= pageCount} onClick={() => goTo(pageCount)} title="Last page"><ChevronsRight size={14}/></button>
+      </div>
+      <label className="inline-flex items-center gap-1">
+        Page size
+        <select value={size} disabled={loading} onChange={(e) => onChange({ offset: 0, size: Number(e.target.value) })} className="rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-1.5 py-0.5">
+          {PAGE_SIZES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,94 @@
+import React, { useMemo, useState } from 'react'
+import { AlertCircle, CheckCircle2, CircleSlash, History, Pin, Play, Search, Trash2 } from 'lucide-react'
+import { classNames } from './utils'
+import { HISTORY_STATUSES, filterHistory } from './historyStore'
+
+const PAGE = 50
+
+const STATUS_ICONS = {
+  success: <CheckCircle2 size={14} className="text-emerald-600"/>,
+  error: <AlertCircle size={14} className="text-red-600"/>,
+  cancelled: <CircleSlash size={14} className="text-slate-400"/>,
+}
+
+function HistoryEntry({ entry, onPick, onRerun, onTogglePin, onDelete, disabled }) {
+  const stats = [
+    new Date(entry.created_at).toLocaleString(),
+    entry.tables?.length ? entry.tables.join(', ') : null,
+    entry.row_count != null ? `${Number(entry.row_count).toLocaleString()} rows` : null,
+    entry.execution_time_ms != null ? `${entry.execution_time_ms} ms` : null,
+  ].filter(Boolean)
+
+  return (
+    <div className="group rounded-md border border-slate-200 dark:border-slate-800 px-3 py-2 text-xs space-y-1">
+      <div className="flex items-start gap-2">
+        <span className="mt-0.5" title={entry.status}>{STATUS_ICONS[entry.status]}</span>
+        <button onClick={() => onPick(entry)} className="flex-1 text-left text-sm hover:underline" title="Use this question">
+          {entry.question || <span className="italic text-slate-500">Hand-written SQL</span>}
+        </button>
+        <button onClick={() => onTogglePin(entry)} title={entry.pinned ? 'Unpin' : 'Pin'} className={classNames(entry.pinned ? 'text-indigo-600' : 'opacity-0 group-hover:opacity-60 hover:!opacity-100')}><Pin size={14}/></button>
+        <button onClick={() => onRerun(entry)} disabled={disabled} title={entry.sql ? 'Re-run this SQL' : 'Ask again'} className="opacity-0 group-hover:opacity-60 hover:!opacity-100 disabled:!opacity-30"><Play size={14}/></button>
+        <button onClick={() => onDelete(entry)} title="Remove from history" className="opacity-0 group-hover:opacity-60 hover:!opacity-100 text-red-600"><Trash2 size={14}/></button>
+      </div>
+      {entry.sql && <pre className="whitespace-pre-wrap break-all font-mono text-[11px] text-slate-600 dark:text-slate-300 line-clamp-2">{entry.sql}</pre>}
+      {entry.error && <div className="text-red-600 dark:text-red-400">{entry.error}</div>}
+      <div className="text-slate-500">{stats.join(' • ')}</div>
+    </div>
+  )
+}
+
+export default function QueryHistory({ entries, onPick, onRerun, onTogglePin, onDelete, onClear, running }) {
+  const [filters, setFilters] = useState({ text: '', table: '', status: '', from: '', to: '' })
+  const [limit, setLimit] = useState(PAGE)
+
+  const tableNames = useMemo(() => [...new Set(entries.flatMap((e) => e.tables || []))].sort(), [entries])
+  const matches = useMemo(() => {
+    const list = filterHistory(entries, filters)
+    return [...list.filter((e) => e.pinned), ...list.filter((e) => !e.pinned)]
+  }, [entries, filters])
+
+  if (!entries.length) return null
+
+  const setFilter = (patch) => {
+    setFilters({ ...filters, ...patch })
+    setLimit(PAGE)
+  }
+  const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+
+  return (
+    <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="inline-flex items-center gap-2 text-sm font-semibold"><History size={16}/> History <span className="font-normal text-slate-500">({entries.length})</span></div>
+        <button onClick={onClear} className="text-xs text-slate-500 hover:underline" title="Pinned entries are kept">Clear</button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="relative flex-1 min-w-[160px]">
+          <Search size={12} className="absolute left-2 top-1/2 -translate-y-1/2 text-slate-400"/>
+          <input value={filters.text} onChange={(e) => setFilter({ text: e.target.value })} placeholder="Search questions, SQL and errors" className={classNames(inputClass, 'w-full pl-6')} />
+        </label>
+        <select value={filters.table} onChange={(e) => setFilter({ table: e.target.value })} className={inputClass}>
+          <option value="">All tables</option>
+          {tableNames.map((t) => <option key={t} value={t}>{t}</option>)}
+        </select>
+        <select value={filters.status} onChange={(e) => setFilter({ status: e.target.value })} className={inputClass}>
+          <option value="">Any status</option>
+          {HISTORY_STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <input type="date" value={filters.from} onChange={(e) => setFilter({ from: e.target.value })} className={inputClass} title="From" />
+        <input type="date" value={filters.to} onChange={(e) => setFilter({ to: e.target.value })} className={inputClass} title="To" />
+      </div>
+      {matches.length ? (
+        <div className="space-y-2 max-h-96 overflow-auto">
+          {matches.slice(0, limit).map((e) => (
+            <HistoryEntry key={e.id} entry={e} onPick={onPick} onRerun={onRerun} onTogglePin={onTogglePin} onDelete={onDelete} disabled={running} />
+          ))}
+          {matches.length > limit && (
+            <button onClick={() => setLimit(limit + PAGE)} className="w-full text-xs text-slate-500 hover:underline">Show {Math.min(PAGE, matches.length - limit)} more of {matches.length - limit}</button>
+          )}
+        </div>
+      ) : (
+        <div className="text-xs text-slate-500">No runs match these filters.</div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import React from 'react'
+import { Check, Loader2, Square } from 'lucide-react'
+import { classNames } from './utils'
+
+export const QUERY_STAGES = [
+  { id: 'generating', label: 'Generating SQL' },
+  { id: 'executing', label: 'Executing' },
+  { id: 'summarising', label: 'Summarising' },
+]
+
+export default function QueryProgress({ progress, onCancel }) {
+  const current = QUERY_STAGES.findIndex((s) => s.id === progress.stage)
+  return (
+    <div className="rounded-lg border border-indigo-200 dark:border-indigo-800 bg-indigo-50/50 dark:bg-indigo-950/20 p-3 space-y-3 text-xs">
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-4">
+          {QUERY_STAGES.map((s, i) => {
+            const done = current > i
+            const active = current === i
+            return (
+              <span key={s.id} className={classNames('inline-flex items-center gap-1', active ? 'text-indigo-700 dark:text-indigo-300 font-semibold' : done ? 'text-emerald-600 dark:text-emerald-400' : 'text-slate-400')}>
+                {done ? <Check size={12}/> : active ? <Loader2 className="animate-spin" size={12}/> : <span className="inline-block h-2 w-2 rounded-full border border-current" />}
+                {s.label}
+              </span>
+            )
+          })}
+          {current === -1 && (
+            <span className="inline-flex items-center gap-1 text-slate-500"><Loader2 className="animate-spin" size={12}/> {progress.stage === 'connecting' ? 'Connecting…' : progress.stage}</span>
+          )}
+        </div>
+        <button onClick={onCancel} className="inline-flex items-center gap-1 rounded border border-red-300 dark:border-red-800 px-2 py-1 text-red-600 hover:bg-red-50 dark:hover:bg-red-950/30">
+          <Square size={12}/> Cancel
+        </button>
+      </div>
+      {progress.sql && (
+        <pre className="max-h-40 overflow-auto rounded bg-white/70 dark:bg-slate-900/70 p-2 font-mono whitespace-pre-wrap break-words">
+          {progress.sql}{progress.stage === 'generating' && <span className="animate-pulse">▍</span>}
+        </pre>
+      )}
+      {progress.rowsReceived > 0 && (
+        <div className="text-slate-600 dark:text-slate-300">{progress.rowsReceived.toLocaleString()} rows received</div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,238 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { ArrowLeftRight, GitCompareArrows, X } from 'lucide-react'
+import { classNames } from './utils'
+import { formatCell } from './columnTypes'
+import { AGGREGATES, aggregateDeltas, columnKinds, delta, diffRows, diffSql, suggestKeyColumns } from './resultDiff'
+
+const MAX_SHOWN = 200
+const selectClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-sm max-w-[18rem]'
+
+const runTitle = (run) => `${run.label} • ${new Date(run.ran_at).toLocaleTimeString()} • ${run.rows.length} rows`
+const number = (v) => (v == null ? '—' : formatCell(v, 'number'))
+
+function Change({ before, after }) {
+  const { delta: d, pct } = delta(before, after)
+  if (d == null || d === 0) return <span className="text-slate-400">no change</span>
+  return (
+    <span className={d > 0 ? 'text-emerald-600 dark:text-emerald-400' : 'text-red-600 dark:text-red-400'}>
+      {d > 0 ? '+' : ''}{number(d)}{pct != null && ` (${pct > 0 ? '+' : ''}${pct.toFixed(1)}%)`}
+    </span>
+  )
+}
+
+function Summary({ before, after }) {
+  const aggregates = useMemo(() => aggregateDeltas(before, after), [before, after])
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold text-sm">Summary</div>
+      <div className="text-sm">
+        Rows: {number(before.total_rows)} → <span className="font-semibold">{number(after.total_rows)}</span> <Change before={before.total_rows} after={after.total_rows} />
+      </div>
+      {aggregates.length > 0 && (
+        <div className="overflow-auto rounded-lg border border-slate-200 dark:border-slate-700">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-50 dark:bg-slate-800">
+              <tr>
+                <th className="px-2 py-1.5 text-left">Column</th>
+                {AGGREGATES.map((a) => <th key={a} className="px-2 py-1.5 text-right capitalize">{a}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {aggregates.map(({ column, before: b, after: a }) => (
+                <tr key={column} className="border-t border-slate-100 dark:border-slate-800">
+                  <td className="px-2 py-1.5 font-medium">{column}</td>
+                  {AGGREGATES.map((stat) => (
+                    <td key={stat} className="px-2 py-1.5 text-right tabular-nums whitespace-nowrap">
+                      <div>{number(b[stat])} → {number(a[stat])}</div>
+                      <div><Change before={b[stat]} after={a[stat]} /></div>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const LINE_CLASSES = {
+  removed: 'bg-red-50 dark:bg-red-950/40 text-red-800 dark:text-red-200',
+  added: 'bg-emerald-50 dark:bg-emerald-950/40 text-emerald-800 dark:text-emerald-200',
+  same: '',
+}
+
+function SqlDiff({ before, after }) {
+  const rows = useMemo(() => diffSql(before.sql, after.sql), [before, after])
+  const same = rows.every((r) => r.left?.type === 'same')
+  const side = (line) => (
+    <div className={classNames('flex min-w-0', line ? LINE_CLASSES[line.type] : 'bg-slate-50 dark:bg-slate-800/50')}>
+      <span className="w-8 shrink-0 select-none pr-2 text-right text-slate-400">{line?.n}</span>
+      <span className="whitespace-pre-wrap break-all">{line?.text}</span>
+    </div>
+  )
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold text-sm">SQL {same && <span className="font-normal text-slate-500">• identical</span>}</div>
+      <div className="grid grid-cols-2 gap-x-2 rounded-lg border border-slate-200 dark:border-slate-700 p-2 font-mono text-xs">
+        {rows.map((r, i) => (
+          <React.Fragment key={i}>
+            {side(r.left)}
+            {side(r.right)}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+const STATUS_CLASSES = {
+  added: 'bg-emerald-50 dark:bg-emerald-950/30',
+  removed: 'bg-red-50 dark:bg-red-950/30 line-through decoration-red-400/60',
+  changed: '',
+}
+
+function RowDiff({ before, after }) {
+  const kinds = useMemo(() => columnKinds(before, after), [before, after])
+  const [keys, setKeys] = useState(() => suggestKeyColumns(before, after))
+  const [view, setView] = useState('changed')
+  const [limit, setLimit] = useState(MAX_SHOWN)
+
+  useEffect(() => {
+    setKeys(suggestKeyColumns(before, after))
+    setLimit(MAX_SHOWN)
+  }, [before, after])
+
+  const diff = useMemo(() => diffRows(before, after, keys), [before, after, keys])
+  const lists = {
+    changed: diff.changed.map((c) => ({ status: 'changed', row: c.after, before: c.before, cells: c.cells })),
+    added: diff.added.map((row) => ({ status: 'added', row })),
+    removed: diff.removed.map((row) => ({ status: 'removed', row })),
+  }
+  const shown = lists[view]
+  const toggleKey = (c) => setKeys((prev) => (prev.includes(c) ? prev.filter((k) => k !== c) : [...prev, c]))
+
+  return (
+    <div className="space-y-2">
+      <div className="font-semibold text-sm">Rows</div>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="text-slate-500">Match rows on:</span>
+        {diff.shared.map((c) => (
+          <button key={c} onClick={() => toggleKey(c)} className={classNames('rounded-full border px-2 py-0.5', keys.includes(c) ? 'border-indigo-400 bg-indigo-50 dark:bg-indigo-950/40 text-indigo-700 dark:text-indigo-300' : 'border-slate-300 dark:border-slate-700 text-slate-600 dark:text-slate-300')}>
+            {c}
+          </button>
+        ))}
+        {!keys.length && <span className="text-slate-500">every column, so edited rows show as removed and added</span>}
+      </div>
+      {(diff.onlyBefore.length > 0 || diff.onlyAfter.length > 0) && (
+        <div className="text-xs text-slate-500">
+          {diff.onlyBefore.length > 0 && <>Only before: {diff.onlyBefore.join(', ')}. </>}
+          {diff.onlyAfter.length > 0 && <>Only after: {diff.onlyAfter.join(', ')}. </>}
+          These columns are not compared.
+        </div>
+      )}
+      {diff.duplicateKeys > 0 && keys.length > 0 && (
+        <div className="text-xs text-amber-700 dark:text-amber-300">{diff.duplicateKeys} key values appear more than once; their rows are matched in order. Add a column to the key to tell them apart.</div>
+      )}
+      <div className="flex items-center gap-2 text-xs">
+        <div className="inline-flex rounded-md border border-slate-300 dark:border-slate-700 overflow-hidden">
+          {['changed', 'added', 'removed'].map((v) => (
+            <button key={v} onClick={() => { setView(v); setLimit(MAX_SHOWN) }} className={classNames('px-3 py-1 capitalize', view === v ? 'bg-indigo-600 text-white' : 'hover:bg-slate-50 dark:hover:bg-slate-800')}>
+              {v} ({lists[v].length})
+            </button>
+          ))}
+        </div>
+        <span className="text-slate-500">{diff.unchanged} unchanged</span>
+      </div>
+      {shown.length ? (
+        <div className="max-h-[28rem] overflow-auto rounded-lg border border-slate-200 dark:border-slate-700">
+          <table className="min-w-full text-xs">
+            <thead className="sticky top-0 bg-slate-50 dark:bg-slate-800">
+              <tr>
+                {diff.shared.map((c) => <th key={c} className={classNames('px-2 py-1.5 text-left whitespace-nowrap', diff.keys.includes(c) && keys.length && 'text-indigo-600 dark:text-indigo-300')}>{c}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {shown.slice(0, limit).map((item, i) => (
+                <tr key={i} className={classNames('border-t border-slate-100 dark:border-slate-800', STATUS_CLASSES[item.status])}>
+                  {diff.shared.map((c) => {
+                    const changed = item.cells?.includes(c)
+                    return (
+                      <td key={c} className={classNames('px-2 py-1 whitespace-nowrap', kinds[c] === 'number' && 'text-right tabular-nums', changed && 'bg-amber-100 dark:bg-amber-900/40')}>
+                        {changed && <span className="mr-1 text-red-600 dark:text-red-400 line-through">{formatCell(item.before[c], kinds[c]) ?? 'NULL'}</span>}
+                        {formatCell(item.row[c], kinds[c]) ?? <span className="italic text-slate-400">NULL</span>}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {shown.length > limit && (
+            <button onClick={() => setLimit(limit + MAX_SHOWN)} className="w-full py-1 text-xs text-slate-500 hover:underline">Show {Math.min(MAX_SHOWN, shown.length - limit)} more of {shown.length - limit}</button>
+          )}
+        </div>
+      ) : (
+        <div className="text-xs text-slate-500">No {view} rows.</div>
+      )}
+    </div>
+  )
+}
+
+// Side-by-side comparison of two kept runs; runs are newest first and the newest two are compared by default
+export default function ResultCompare({ runs, onClose }) {
+  const [afterId, setAfterId] = useState(runs[0]?.id)
+  const [beforeId, setBeforeId] = useState(runs[1]?.id)
+  const before = runs.find((r) => r.id === beforeId)
+  const after = runs.find((r) => r.id === afterId)
+
+  useEffect(() => {
+    const onKey = (e) => { if (e.key === 'Escape') onClose() }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [])
+
+  const partial = [['Before', before], ['After', after]].filter(([, r]) => r && r.rows.length < r.total_rows)
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-slate-900/30" onClick={onClose}>
+      <div className="h-full w-full max-w-5xl overflow-auto bg-white dark:bg-slate-900 shadow-xl p-6 space-y-5" onClick={(e) => e.stopPropagation()}>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="inline-flex items-center gap-2 text-lg font-semibold"><GitCompareArrows size={20}/> Compare runs</div>
+          <div className="flex-1" />
+          <button onClick={onClose} title="Close" className="opacity-60 hover:opacity-100"><X size={18}/></button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">Before
+            <select value={beforeId} onChange={(e) => setBeforeId(e.target.value)} className={selectClass}>
+              {runs.map((r) => <option key={r.id} value={r.id}>{runTitle(r)}</option>)}
+            </select>
+          </label>
+          <button onClick={() => { setBeforeId(afterId); setAfterId(beforeId) }} title="Swap" className="opacity-60 hover:opacity-100"><ArrowLeftRight size={16}/></button>
+          <label className="inline-flex items-center gap-2">After
+            <select value={afterId} onChange={(e) => setAfterId(e.target.value)} className={selectClass}>
+              {runs.map((r) => <option key={r.id} value={r.id}>{runTitle(r)}</option>)}
+            </select>
+          </label>
+        </div>
+
+        {before && after ? (
+          <>
+            {before.id === after.id && <div className="text-sm text-slate-500">Pick two different runs to see what changed.</div>}
+            {partial.map(([side, r]) => (
+              <div key={side} className="text-xs text-amber-700 dark:text-amber-300">
+                {side}: only {number(r.rows.length)} of {number(r.total_rows)} rows were loaded, so rows and totals cover those rows.
+              </div>
+            ))}
+            <Summary before={before} after={after} />
+            <SqlDiff before={before} after={after} />
+            <RowDiff before={before} after={after} />
+          </>
+        ) : (
+          <div className="text-sm text-slate-500">Run at least two queries to compare them.</div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,217 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { ArrowDown, ArrowUp, Pin, PinOff } from 'lucide-react'
+import { classNames } from './utils'
+import { compareValues, formatCell, matchesFilter } from './columnTypes'
+import { isTyping } from './shortcuts'
+
+const ROW_HEIGHT = 32
+const HEADER_HEIGHT = 68
+const VIEWPORT_HEIGHT = 480
+const OVERSCAN = 8
+const DEFAULT_WIDTH = 160
+const MIN_WIDTH = 60
+
+// When onSortChange is given, sorting is delegated to the caller (e.g. pushed down to the server)
+// and rows are rendered in the order they arrive.
+// The grid takes keyboard focus: arrows, PgUp/PgDn and Home/End move the cell cursor, Mod+C copies the cell.
+export default function ResultsGrid({ cols, rows, kinds, sort: externalSort, onSortChange, height = VIEWPORT_HEIGHT }) {
+  const scrollRef = useRef(null)
+  const [scrollTop, setScrollTop] = useState(0)
+  const [localSort, setLocalSort] = useState(null)
+  const [filters, setFilters] = useState({})
+  const [widths, setWidths] = useState({})
+  const [pinned, setPinned] = useState([])
+  // { row, col }: indexes into the filtered rows and the displayed column order
+  const [cursor, setCursor] = useState(null)
+
+  const colsKey = cols.join('\u0000')
+  useEffect(() => {
+    setLocalSort(null)
+    setFilters({})
+    setPinned([])
+    setCursor(null)
+    setScrollTop(0)
+    if (scrollRef.current) scrollRef.current.scrollTop = 0
+  }, [colsKey])
+
+  const sort = onSortChange ? externalSort : localSort
+
+  const visibleRows = useMemo(() => {
+    const active = Object.entries(filters).filter(([c, f]) => f && f.trim() && cols.includes(c))
+    let out = active.length ? rows.filter((r) => active.every(([c, f]) => matchesFilter(r[c], f, kinds[c]))) : rows
+    if (!onSortChange && sort && cols.includes(sort.col)) {
+      const dir = sort.dir === 'asc' ? 1 : -1
+      out = [...out].sort((a, b) => {
+        const av = a[sort.col]
+        const bv = b[sort.col]
+        // keep nulls at the bottom in both directions
+        if (av == null || bv == null) return compareValues(av, bv, kinds[sort.col])
+        return dir * compareValues(av, bv, kinds[sort.col])
+      })
+    }
+    return out
+  }, [rows, cols, filters, sort, kinds, onSortChange])
+
+  const ordered = useMemo(() => [...pinned.filter((c) => cols.includes(c)), ...cols.filter((c) => !pinned.includes(c))], [cols, pinned])
+  const widthOf = (c) => widths[c] ?? DEFAULT_WIDTH
+  const totalWidth = ordered.reduce((sum, c) => sum + widthOf(c), 0)
+  const pinOffsets = {}
+  let offset = 0
+  ordered.forEach((c) => {
+    if (pinned.includes(c)) {
+      pinOffsets[c] = offset
+      offset += widthOf(c)
+    }
+  })
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+  const last = Math.min(visibleRows.length, Math.ceil((scrollTop + height) / ROW_HEIGHT) + OVERSCAN)
+  const windowRows = visibleRows.slice(first, last)
+
+  const toggleSort = (c) => {
+    let next = null
+    if (!sort || sort.col !== c) next = { col: c, dir: 'asc' }
+    else if (sort.dir === 'asc') next = { col: c, dir: 'desc' }
+    if (onSortChange) onSortChange(next)
+    else setLocalSort(next)
+  }
+
+  const togglePin = (c) => setPinned((prev) => (prev.includes(c) ? prev.filter((p) => p !== c) : [...prev, c]))
+
+  const startResize = (c, e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    const startX = e.clientX
+    const startWidth = widthOf(c)
+    const onMove = (ev) => setWidths((prev) => ({ ...prev, [c]: Math.max(MIN_WIDTH, startWidth + ev.clientX - startX) }))
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove)
+      window.removeEventListener('mouseup', onUp)
+    }
+    window.addEventListener('mousemove', onMove)
+    window.addEventListener('mouseup', onUp)
+  }
+
+  const cellStyle = (c) => ({
+    width: widthOf(c),
+    minWidth: widthOf(c),
+    ...(c in pinOffsets ? { position: 'sticky', left: pinOffsets[c], zIndex: 1 } : {}),
+  })
+
+  const filtering = visibleRows.length !== rows.length
+
+  // Moves the cursor and scrolls its cell into view; pinned columns never need horizontal scrolling
+  const moveTo = (row, col) => {
+    const r = Math.max(0, Math.min(visibleRows.length - 1, row))
+    const c = Math.max(0, Math.min(ordered.length - 1, col))
+    setCursor({ row: r, col: c })
+    const el = scrollRef.current
+    if (!el) return
+    const bodyHeight = el.clientHeight - HEADER_HEIGHT
+    if (r * ROW_HEIGHT < el.scrollTop) el.scrollTop = r * ROW_HEIGHT
+    else if ((r + 1) * ROW_HEIGHT > el.scrollTop + bodyHeight) el.scrollTop = (r + 1) * ROW_HEIGHT - bodyHeight
+    if (ordered[c] in pinOffsets) return
+    const left = ordered.slice(0, c).reduce((sum, name) => sum + widthOf(name), 0)
+    if (left - offset < el.scrollLeft) el.scrollLeft = left - offset
+    else if (left + widthOf(ordered[c]) > el.scrollLeft + el.clientWidth) el.scrollLeft = left + widthOf(ordered[c]) - el.clientWidth
+  }
+
+  const onKeyDown = (e) => {
+    if (isTyping(e.target) || !visibleRows.length || !ordered.length) return
+    const { row, col } = cursor || { row: 0, col: 0 }
+    const mod = e.metaKey || e.ctrlKey
+    const page = Math.max(1, Math.floor(height / ROW_HEIGHT) - 1)
+    const lastRow = visibleRows.length - 1
+    const lastCol = ordered.length - 1
+    if (!cursor && /^(Arrow|Page|Home|End)/.test(e.key)) moveTo(0, 0)
+    else if (e.key === 'ArrowDown') moveTo(row + 1, col)
+    else if (e.key === 'ArrowUp') moveTo(row - 1, col)
+    else if (e.key === 'ArrowRight') moveTo(row, col + 1)
+    else if (e.key === 'ArrowLeft') moveTo(row, col - 1)
+    else if (e.key === 'PageDown') moveTo(row + page, col)
+    else if (e.key === 'PageUp') moveTo(row - page, col)
+    else if (e.key === 'Home') moveTo(mod ? 0 : row, 0)
+    else if (e.key === 'End') moveTo(mod ? lastRow : row, lastCol)
+    else if (e.key === 'Escape' && cursor) setCursor(null)
+    else if (mod && e.key.toLowerCase() === 'c' && cursor && !window.getSelection()?.toString()) {
+      const value = visibleRows[row]?.[ordered[col]]
+      navigator.clipboard?.writeText(value == null ? '' : String(value)).catch(() => {})
+    } else return
+    e.preventDefault()
+  }
+
+  return (
+    <div className="space-y-2">
+      <div
+        ref={scrollRef}
+        tabIndex={0}
+        role="grid"
+        aria-rowcount={visibleRows.length}
+        aria-colcount={ordered.length}
+        data-results-grid
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        onKeyDown={onKeyDown}
+        className="rounded-lg border border-slate-200 dark:border-slate-700 overflow-auto text-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+        style={{ maxHeight: height + HEADER_HEIGHT }}
+      >
+        <div style={{ width: totalWidth, minWidth: '100%' }}>
+          <div className="sticky top-0 z-10 flex bg-slate-50 dark:bg-slate-800 border-b border-slate-200 dark:border-slate-700" style={{ height: HEADER_HEIGHT }}>
+            {ordered.map((c) => (
+              <div key={c} style={cellStyle(c)} className={classNames('relative px-2 py-1.5 bg-slate-50 dark:bg-slate-800', c in pinOffsets && 'border-r border-slate-200 dark:border-slate-700')}>
+                <div className="flex items-center gap-1">
+                  <button onClick={() => toggleSort(c)} className="flex-1 min-w-0 inline-flex items-center gap-1 text-left font-semibold truncate" title={`${c} (${kinds[c]})`}>
+                    <span className="truncate">{c}</span>
+                    {sort?.col === c && (sort.dir === 'asc' ? <ArrowUp size={12}/> : <ArrowDown size={12}/>)}
+                  </button>
+                  <button onClick={() => togglePin(c)} title={c in pinOffsets ? 'Unpin column' : 'Pin column'} className={classNames('shrink-0', c in pinOffsets ? 'text-indigo-600' : 'opacity-40 hover:opacity-100')}>
+                    {c in pinOffsets ? <PinOff size={12}/> : <Pin size={12}/>}
+                  </button>
+                </div>
+                <input
+                  value={filters[c] || ''}
+                  onChange={(e) => setFilters((prev) => ({ ...prev, [c]: e.target.value }))}
+                  placeholder={kinds[c] === 'number' ? 'e.g. > 10' : 'Filter…'}
+                  className="mt-1 w-full rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-1.5 py-0.5 text-xs font-normal focus:outline-none focus:ring-1 focus:ring-indigo-500"
+                />
+                <div onMouseDown={(e) => startResize(c, e)} className="absolute top-0 right-0 h-full w-1.5 cursor-col-resize hover:bg-indigo-400/50" />
+              </div>
+            ))}
+          </div>
+          <div className="relative" style={{ height: visibleRows.length * ROW_HEIGHT }}>
+            {windowRows.map((row, i) => {
+              const index = first + i
+              return (
+                <div key={index} className={classNames('absolute left-0 flex', index % 2 ? 'bg-slate-50 dark:bg-slate-800' : 'bg-white dark:bg-slate-900')} style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT, width: totalWidth, minWidth: '100%' }}>
+                  {ordered.map((c, j) => {
+                    const text = formatCell(row[c], kinds[c])
+                    return (
+                      <div
+                        key={c}
+                        style={cellStyle(c)}
+                        title={text ?? 'NULL'}
+                        onMouseDown={() => setCursor({ row: index, col: j })}
+                        className={classNames(
+                          'px-2 leading-8 truncate border-b border-slate-100 dark:border-slate-800 bg-inherit',
+                          kinds[c] === 'number' && 'text-right tabular-nums',
+                          c in pinOffsets && 'border-r border-slate-200 dark:border-slate-700',
+                          cursor?.row === index && cursor?.col === j && 'outline outline-2 -outline-offset-2 outline-indigo-500',
+                        )}
+                      >
+                        {text == null ? <span className="italic text-slate-400">NULL</span> : text}
+                      </div>
+                    )
+                  })}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      </div>
+      {filtering && (
+        <div className="text-xs text-slate-500">
+          {visibleRows.length} of {rows.length} rows match the filters • <button onClick={() => setFilters({})} className="text-indigo-600 hover:underline">Clear filters</button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+import React, { useState } from 'react'
+import { Bookmark, ChevronRight, Folder, Link2, Pencil, Trash2 } from 'lucide-react'
+import { classNames } from './utils'
+import { groupByFolder, normalizeFolder } from './savedQueryStore'
+
+const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+
+function FolderInput({ value, onChange, folders }) {
+  return (
+    <>
+      <input value={value} onChange={(e) => onChange(e.target.value)} list="saved-query-folders" placeholder="Folder (e.g. Finance/Monthly)" className={classNames(inputClass, 'w-full')} />
+      <datalist id="saved-query-folders">
+        {folders.map((f) => <option key={f} value={f} />)}
+      </datalist>
+    </>
+  )
+}
+
+// Save button for the results toolbar; results opened from a saved query can also overwrite it
+export function SaveQueryControl({ current, defaultName, folders, onSave, onUpdate, onCopyLink }) {
+  const [open, setOpen] = useState(false)
+  const [form, setForm] = useState({ name: '', folder: '' })
+  const [busy, setBusy] = useState(false)
+
+  const start = () => {
+    setForm({ name: current ? `${current.name} (copy)` : defaultName, folder: current?.folder || '' })
+    setOpen(true)
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    try {
+      await onSave({ name: form.name.trim(), folder: normalizeFolder(form.folder) })
+      setOpen(false)
+    } catch {
+      // the caller reports the failure; keep the form open to retry
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const buttonClass = 'inline-flex items-center gap-1 rounded-md border border-slate-300 dark:border-slate-700 px-2 py-1 text-sm hover:bg-slate-50 dark:hover:bg-slate-800'
+  return (
+    <div className="relative inline-flex items-center gap-2">
+      {current && (
+        <>
+          <button onClick={onUpdate} className={buttonClass} title={`Overwrite "${current.name}" with the current SQL and view`}><Bookmark size={14}/> Update</button>
+          <button onClick={() => onCopyLink(current)} className={buttonClass} title="Copy link"><Link2 size={14}/></button>
+        </>
+      )}
+      <button onClick={() => (open ? setOpen(false) : start())} className={buttonClass}><Bookmark size={14}/> {current ? 'Save as…' : 'Save'}</button>
+      {open && (
+        <form onSubmit={submit} className="absolute right-0 top-full mt-1 z-20 w-72 space-y-2 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 p-3 shadow-lg text-xs">
+          <input autoFocus value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Name" className={classNames(inputClass, 'w-full')} />
+          <FolderInput value={form.folder} onChange={(folder) => setForm({ ...form, folder })} folders={folders} />
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={() => setOpen(false)} className="text-slate-500 hover:underline">Cancel</button>
+            <button type="submit" disabled={busy || !form.name.trim()} className={classNames('rounded px-3 py-1 text-white', busy || !form.name.trim() ? 'bg-slate-400' : 'bg-indigo-600 hover:bg-indigo-700')}>Save</button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+function SavedItem({ query, active, folders, onOpen, onEdit, onDelete, onCopyLink }) {
+  const [editing, setEditing] = useState(null)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    try {
+      await onEdit(query, { name: editing.name.trim(), folder: normalizeFolder(editing.folder) })
+      setEditing(null)
+    } catch {
+      // reported by the caller
+    }
+  }
+
+  if (editing) {
+    return (
+      <form onSubmit={submit} className="space-y-1 rounded-md border border-slate-200 dark:border-slate-800 p-2">
+        <input autoFocus value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} className={classNames(inputClass, 'w-full')} />
+        <FolderInput value={editing.folder} onChange={(folder) => setEditing({ ...editing, folder })} folders={folders} />
+        <div className="flex justify-end gap-2 text-xs">
+          <button type="button" onClick={() => setEditing(null)} className="text-slate-500 hover:underline">Cancel</button>
+          <button type="submit" disabled={!editing.name.trim()} className="text-indigo-600 hover:underline">Save</button>
+        </div>
+      </form>
+    )
+  }
+  return (
+    <div className={classNames('group flex items-center gap-1 rounded-md px-2 py-1 text-sm', active ? 'bg-indigo-50 dark:bg-indigo-950/30' : 'hover:bg-slate-50 dark:hover:bg-slate-800')}>
+      <button onClick={() => onOpen(query)} className="flex-1 truncate text-left" title={query.question || query.sql}>{query.name}</button>
+      <button onClick={() => onCopyLink(query)} title="Copy link" className="opacity-0 group-hover:opacity-60 hover:!opacity-100"><Link2 size={14}/></button>
+      <button onClick={() => setEditing({ name: query.name, folder: query.folder || '' })} title="Rename or move" className="opacity-0 group-hover:opacity-60 hover:!opacity-100"><Pencil size={14}/></button>
+      <button onClick={() => onDelete(query)} title="Delete" className="opacity-0 group-hover:opacity-60 hover:!opacity-100 text-red-600"><Trash2 size={14}/></button>
+    </div>
+  )
+}
+
+export default function SavedQueries({ queries, activeId, localOnly, onOpen, onEdit, onDelete, onCopyLink }) {
+  const [collapsed, setCollapsed] = useState({})
+  const groups = groupByFolder(queries)
+  const folders = groups.map((g) => g.folder).filter(Boolean)
+
+  return (
+    <div>
+      <div className="mb-2 inline-flex items-center gap-2 text-slate-700 dark:text-slate-200 font-semibold"><Bookmark size={18}/> Saved queries</div>
+      {localOnly && <div className="mb-2 text-[11px] text-amber-600 dark:text-amber-400">Saved in this browser only; links will not open for teammates.</div>}
+      {!queries.length ? (
+        <div className="text-sm text-slate-500">Save a result to keep its SQL and chart and share a link to it.</div>
+      ) : (
+        <div className="space-y-1 max-h-72 overflow-auto">
+          {groups.map(({ folder, queries: items }) => {
+            const depth = folder ? folder.split('/').length - 1 : 0
+            const isCollapsed = collapsed[folder]
+            return (
+              <div key={folder || '(root)'} style={{ paddingLeft: depth * 12 }}>
+                {folder && (
+                  <button onClick={() => setCollapsed({ ...collapsed, [folder]: !isCollapsed })} className="inline-flex items-center gap-1 text-xs font-semibold text-slate-500 py-1">
+                    <ChevronRight size={12} className={classNames('transition-transform', !isCollapsed && 'rotate-90')}/>
+                    <Folder size={12}/> {folder.split('/').pop()}
+                    <span className="font-normal">({items.length})</span>
+                  </button>
+                )}
+                {!isCollapsed && (
+                  <div className={classNames(folder && 'pl-4')}>
+                    {items.map((q) => (
+                      <SavedItem key={q.id} query={q} active={q.id === activeId} folders={folders} onOpen={onOpen} onEdit={onEdit} onDelete={onDelete} onCopyLink={onCopyLink} />
+                    ))}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
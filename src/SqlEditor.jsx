@@ -0,0 +1,155 @@
+import React, { useMemo, useRef, useState } from 'react'
+import { classNames, columnName, columnType } from './utils'
+import { SQL_KEYWORDS, tokenizeSql, wordAt } from './sql'
+
+const TOKEN_CLASSES = {
+  keyword: 'text-indigo-600 dark:text-indigo-300 font-semibold',
+  string: 'text-emerald-700 dark:text-emerald-300',
+  number: 'text-amber-700 dark:text-amber-300',
+  comment: 'text-slate-400 italic',
+  identifier: 'text-slate-800 dark:text-slate-100',
+  plain: 'text-slate-600 dark:text-slate-300',
+}
+
+const MAX_SUGGESTIONS = 8
+
+const ERROR_CLASS = 'underline decoration-wavy decoration-red-500 bg-red-500/10'
+
+// Splits tokens at the edges of the error range so just that span can be underlined
+function markError(tokens, range) {
+  if (!range) return tokens
+  let pos = 0
+  return tokens.flatMap((t) => {
+    const start = pos
+    pos += t.text.length
+    if (pos <= range.start || start >= range.end) return [t]
+    const a = Math.max(range.start, start) - start
+    const b = Math.min(range.end, pos) - start
+    return [
+      { ...t, text: t.text.slice(0, a) },
+      { ...t, text: t.text.slice(a, b), error: true },
+      { ...t, text: t.text.slice(b) },
+    ].filter((part) => part.text)
+  })
+}
+
+function buildSuggestions(value, caret, schemas) {
+  const { prefix, qualifier, start } = wordAt(value, caret)
+  const lower = prefix.toLowerCase()
+  const matches = (label) => label.toLowerCase().startsWith(lower) && label.toLowerCase() !== lower
+
+  if (qualifier) {
+    const table = schemas.find((s) => s.name.toLowerCase() === qualifier.toLowerCase())
+    const cols = (table?.columns || [])
+      .map((c) => ({ label: columnName(c), kind: 'column', detail: columnType(c) }))
+      .filter((c) => c.label && (!prefix || matches(c.label)))
+    return { start, items: cols.slice(0, MAX_SUGGESTIONS) }
+  }
+  if (!prefix) return { start, items: [] }
+
+  const seen = new Set()
+  const items = []
+  const push = (item) => {
+    if (seen.has(item.label) || !matches(item.label)) return
+    seen.add(item.label)
+    items.push(item)
+  }
+  schemas.forEach((s) => push({ label: s.name, kind: 'table', detail: s.columns ? `${s.columns.length} columns` : '' }))
+  schemas.forEach((s) => (s.columns || []).forEach((c) => push({ label: columnName(c), kind: 'column', detail: `${s.name} • ${columnType(c)}` })))
+  SQL_KEYWORDS.forEach((k) => push({ label: k, kind: 'keyword', detail: '' }))
+  return { start, items: items.slice(0, MAX_SUGGESTIONS) }
+}
+
+// errorRange ({ start, end }) underlines the part of the statement a SQL error points at
+export default function SqlEditor({ value, onChange, schemas = [], onRun, readOnly = false, errorRange = null }) {
+  const textareaRef = useRef(null)
+  const preRef = useRef(null)
+  const [caret, setCaret] = useState(0)
+  const [open, setOpen] = useState(false)
+  const [active, setActive] = useState(0)
+
+  const tokens = useMemo(() => markError(tokenizeSql(value || ''), errorRange), [value, errorRange])
+  const suggestions = useMemo(() => (open ? buildSuggestions(value || '', caret, schemas) : { start: caret, items: [] }), [open, value, caret, schemas])
+
+  const accept = (item) => {
+    const next = value.slice(0, suggestions.start) + item.label + value.slice(caret)
+    const pos = suggestions.start + item.label.length
+    onChange(next)
+    setOpen(false)
+    requestAnimationFrame(() => {
+      const el = textareaRef.current
+      if (!el) return
+      el.focus()
+      el.setSelectionRange(pos, pos)
+      setCaret(pos)
+    })
+  }
+
+  const onKeyDown = (e) => {
+    if ((e.metaKey || e.ctrlKey) && e.key === 'Enter') {
+      e.preventDefault()
+      setOpen(false)
+      onRun?.()
+      return
+    }
+    if (!open || !suggestions.items.length) return
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActive((i) => (i + 1) % suggestions.items.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive((i) => (i - 1 + suggestions.items.length) % suggestions.items.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      accept(suggestions.items[Math.min(active, suggestions.items.length - 1)])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      setOpen(false)
+    }
+  }
+
+  const sharedClasses = 'font-mono text-xs leading-5 p-3 whitespace-pre-wrap break-words'
+
+  return (
+    <div className="relative">
+      <pre ref={preRef} aria-hidden="true" className={classNames('absolute inset-0 m-0 overflow-hidden pointer-events-none', sharedClasses)}>
+        <code>
+          {tokens.map((t, i) => <span key={i} className={classNames(TOKEN_CLASSES[t.type], t.error && ERROR_CLASS)}>{t.text}</span>)}
+          {'\n'}
+        </code>
+      </pre>
+      <textarea
+        ref={textareaRef}
+        value={value}
+        readOnly={readOnly}
+        spellCheck={false}
+        rows={Math.max(3, (value || '').split('\n').length)}
+        onChange={(e) => {
+          onChange(e.target.value)
+          setCaret(e.target.selectionStart)
+          setActive(0)
+          setOpen(true)
+        }}
+        onSelect={(e) => setCaret(e.target.selectionStart)}
+        onKeyDown={onKeyDown}
+        onBlur={() => setOpen(false)}
+        onScroll={(e) => { if (preRef.current) preRef.current.scrollTop = e.target.scrollTop }}
+        className={classNames('relative block w-full resize-y bg-transparent text-transparent caret-slate-900 dark:caret-slate-100 focus:outline-none focus:ring-2 focus:ring-indigo-500', sharedClasses)}
+      />
+      {open && suggestions.items.length > 0 && (
+        <ul className="absolute left-3 right-3 z-20 mt-1 max-h-56 overflow-auto rounded-md border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 shadow-lg text-xs">
+          {suggestions.items.map((item, i) => (
+            <li
+              key={`${item.kind}-${item.label}`}
+              onMouseDown={(e) => { e.preventDefault(); accept(item) }}
+              className={classNames('flex items-center justify-between gap-3 px-3 py-1.5 cursor-pointer', i === active ? 'bg-indigo-50 dark:bg-indigo-950/40' : '')}
+            >
+              <span className="font-mono">{item.label}</span>
+              <span className="text-slate-400">{item.kind}{item.detail ? ` • ${item.detail}` : ''}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,253 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { Loader2, RefreshCw, Save, Trash2, X } from 'lucide-react'
+import ResultsGrid from './ResultsGrid'
+import ErrorNotice from './ErrorNotice'
+import { describeError, useUnmountSignal } from './api'
+import { formatCell, resolveColumnKinds, schemaTypeMap } from './columnTypes'
+import { normalizeProfile, profileColumns } from './profiling'
+import { fetchPreview, fetchProfile, replaceTableData, tableMeta, updateTable } from './tableCatalog'
+import { ACCEPT_ATTRIBUTE } from './fileParsing'
+import { classNames, columnName, columnType, formatBytes, tableId, tableLabel } from './utils'
+
+function Histogram({ bins }) {
+  if (!bins.length) return null
+  const max = Math.max(...bins.map((b) => b.count), 1)
+  return (
+    <svg width={bins.length * 6} height={24} className="text-indigo-500">
+      {bins.map((b, i) => {
+        const h = Math.max(1, (b.count / max) * 24)
+        return <rect key={i} x={i * 6} y={24 - h} width={5} height={h} fill="currentColor"><title>{`${b.start} – ${b.end}: ${b.count}`}</title></rect>
+      })}
+    </svg>
+  )
+}
+
+function ColumnProfile({ schema, profile, sampled }) {
+  const byName = Object.fromEntries(profile.map((p) => [p.name, p]))
+  const columns = schema?.columns?.length ? schema.columns.map((c) => ({ name: columnName(c), type: columnType(c) })) : profile.map((p) => ({ name: p.name, type: p.kind }))
+  const th = 'px-2 py-2 text-left font-semibold whitespace-nowrap'
+  return (
+    <div className="space-y-2">
+      {sampled && <div className="text-xs text-amber-600 dark:text-amber-400">Profiled from the {sampled} preview rows; the backend does not provide full-table statistics.</div>}
+      <div className="rounded-lg border border-slate-200 dark:border-slate-700 overflow-auto">
+        <table className="min-w-full text-xs">
+          <thead className="bg-slate-50 dark:bg-slate-800">
+            <tr>
+              <th className={th}>Column</th>
+              <th className={th}>Type</th>
+              <th className={th}>Null %</th>
+              <th className={th}>Distinct</th>
+              <th className={th}>Min</th>
+              <th className={th}>Max</th>
+              <th className={th}>Top values</th>
+              <th className={th}>Distribution</th>
+            </tr>
+          </thead>
+          <tbody>
+            {columns.map((c) => {
+              const p = byName[c.name]
+              return (
+                <tr key={c.name} className="border-t border-slate-100 dark:border-slate-800 align-top">
+                  <td className="px-2 py-2 font-medium">{c.name}</td>
+                  <td className="px-2 py-2 text-slate-500">{c.type}</td>
+                  <td className="px-2 py-2">{p ? `${(p.nullFraction * 100).toFixed(1)}%` : '—'}</td>
+                  <td className="px-2 py-2">{p?.distinct ?? '—'}</td>
+                  <td className="px-2 py-2 max-w-[140px] truncate">{p?.min != null ? formatCell(p.min, p.kind) : '—'}</td>
+                  <td className="px-2 py-2 max-w-[140px] truncate">{p?.max != null ? formatCell(p.max, p.kind) : '—'}</td>
+                  <td className="px-2 py-2">
+                    {p?.top.length ? p.top.map((t) => (
+                      <div key={t.value} className="truncate max-w-[180px]" title={String(t.value)}>{String(t.value)} <span className="text-slate-400">×{t.count}</span></div>
+                    )) : '—'}
+                  </td>
+                  <td className="px-2 py-2">{p ? <Histogram bins={p.histogram} /> : null}</td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+// canEdit and canDelete come from the user's role in the workspace; the backend enforces them either way
+export default function TableDetail({ table, schema, onClose, onUpdated, onDelete, onReplaced, notify, canEdit = true, canDelete = true }) {
+  const id = tableId(table)
+  const meta = tableMeta(table)
+  const [form, setForm] = useState({ name: tableLabel(table), description: meta.description, tags: meta.tags })
+  const [tagInput, setTagInput] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [tab, setTab] = useState('columns')
+  const [preview, setPreview] = useState(null)
+  const [profile, setProfile] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [loadError, setLoadError] = useState(null)
+  const [saveError, setSaveError] = useState(null)
+  const [replacing, setReplacing] = useState(null)
+  const fileRef = useRef(null)
+  const unmounted = useUnmountSignal()
+
+  useEffect(() => {
+    setForm({ name: tableLabel(table), description: meta.description, tags: meta.tags })
+  }, [id])
+
+  const load = async () => {
+    const signal = unmounted()
+    setLoading(true)
+    setLoadError(null)
+    try {
+      const [p, prof] = await Promise.all([fetchPreview(table, id, 50, { signal }), fetchProfile(id, { signal }).catch(() => null)])
+      setPreview(p)
+      setProfile(prof)
+    } catch (e) {
+      if (!signal.aborted) setLoadError(e)
+    } finally {
+      if (!signal.aborted) setLoading(false)
+    }
+  }
+
+  useEffect(() => { load() }, [id])
+
+  const rows = useMemo(() => preview?.rows || preview?.data || [], [preview])
+  const cols = useMemo(() => preview?.columns || (rows[0] ? Object.keys(rows[0]) : []), [preview, rows])
+  const kinds = useMemo(() => resolveColumnKinds(cols, rows, schemaTypeMap({ [id]: schema })), [cols, rows, schema, id])
+  const columnProfile = useMemo(() => (profile ? normalizeProfile(profile) : profileColumns(cols, rows, kinds)), [profile, cols, rows, kinds])
+
+  const dirty = form.name.trim() !== tableLabel(table) || form.description !== meta.description || form.tags.join(',') !== meta.tags.join(',')
+
+  const save = async () => {
+    setSaving(true)
+    setSaveError(null)
+    try {
+      const updated = await updateTable(id, { name: form.name.trim(), description: form.description, tags: form.tags })
+      onUpdated({ ...table, ...updated })
+      notify({ title: 'Table updated' })
+    } catch (e) {
+      setSaveError(e)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const addTag = () => {
+    const tag = tagInput.trim()
+    if (tag && !form.tags.includes(tag)) setForm({ ...form, tags: [...form.tags, tag] })
+    setTagInput('')
+  }
+
+  const replace = async (file) => {
+    if (!confirm(`Replace all rows in ${tableLabel(table)} with ${file.name}?`)) return
+    setReplacing(0)
+    try {
+      const res = await replaceTableData(table, id, file, { onProgress: setReplacing })
+      notify({ title: 'Table data replaced', message: res?.row_count != null ? `${res.row_count} rows loaded from ${file.name}` : file.name })
+      onReplaced(table)
+      load()
+    } catch (e) {
+      notify({ type: 'error', title: 'Re-upload failed', message: describeError(e) })
+    } finally {
+      setReplacing(null)
+    }
+  }
+
+  const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-sm'
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-slate-900/30" onClick={onClose}>
+      <div className="h-full w-full max-w-4xl overflow-auto bg-white dark:bg-slate-900 shadow-xl p-6 space-y-5" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between gap-3">
+          <fieldset disabled={!canEdit} className="flex-1 space-y-2">
+            <input value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={classNames(inputClass, 'w-full text-lg font-semibold')} aria-label="Table name" />
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              rows={2}
+              placeholder="Describe what this table holds"
+              className={classNames(inputClass, 'w-full resize-y')}
+            />
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              {form.tags.map((t) => (
+                <span key={t} className="inline-flex items-center gap-1 rounded-full border border-slate-300 dark:border-slate-700 px-2 py-0.5">
+                  {t}
+                  <button onClick={() => setForm({ ...form, tags: form.tags.filter((x) => x !== t) })} className="opacity-60 hover:opacity-100"><X size={12}/></button>
+                </span>
+              ))}
+              <input
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ',') { e.preventDefault(); addTag() } }}
+                onBlur={addTag}
+                placeholder="Add tag"
+                className={classNames(inputClass, 'w-28 text-xs')}
+              />
+            </div>
+          </fieldset>
+          <button onClick={onClose} className="opacity-60 hover:opacity-100" title="Close"><X size={18}/></button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {canEdit && (
+            <>
+              <button
+                onClick={save}
+                disabled={!dirty || saving || !form.name.trim()}
+                className={classNames('inline-flex items-center gap-1 rounded-md px-3 py-1.5 text-sm text-white', !dirty || saving || !form.name.trim() ? 'bg-slate-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700')}
+              >
+                {saving ? <Loader2 className="animate-spin" size={14}/> : <Save size={14}/>} Save
+              </button>
+              <button
+                onClick={() => fileRef.current?.click()}
+                disabled={replacing != null}
+                className="inline-flex items-center gap-1 rounded-md border border-slate-300 dark:border-slate-700 px-3 py-1.5 text-sm hover:bg-slate-50 dark:hover:bg-slate-800"
+              >
+                {replacing != null ? <Loader2 className="animate-spin" size={14}/> : <RefreshCw size={14}/>}
+                {replacing != null ? `Replacing… ${replacing}%` : 'Replace data'}
+              </button>
+              <input ref={fileRef} type="file" accept={ACCEPT_ATTRIBUTE} className="hidden" onChange={(e) => { if (e.target.files[0]) replace(e.target.files[0]); e.target.value = '' }} />
+            </>
+          )}
+          {canDelete && (
+            <button onClick={() => onDelete(table)} className="inline-flex items-center gap-1 rounded-md border border-red-300 dark:border-red-800 px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 dark:hover:bg-red-950/30">
+              <Trash2 size={14}/> Delete
+            </button>
+          )}
+          {!canEdit && <span className="text-xs text-slate-500">Only the table's owner or a workspace owner can change this table.</span>}
+        </div>
+
+        {saveError && <ErrorNotice error={saveError} title="Failed to update table" />}
+
+        <dl className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-xs">
+          {[
+            ['Rows', meta.rows != null ? Number(meta.rows).toLocaleString() : '—'],
+            ['Uploaded', meta.uploadedAt ? new Date(meta.uploadedAt).toLocaleString() : '—'],
+            ['Source file', meta.sourceFile || '—'],
+            ['Size', meta.sizeBytes != null ? formatBytes(meta.sizeBytes) : '—'],
+          ].map(([label, value]) => (
+            <div key={label} className="rounded-lg border border-slate-200 dark:border-slate-700 px-3 py-2">
+              <dt className="text-slate-500">{label}</dt>
+              <dd className="mt-0.5 font-medium truncate" title={value}>{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        <div className="inline-flex rounded-md border border-slate-300 dark:border-slate-700 overflow-hidden text-sm">
+          {[['columns', 'Columns'], ['preview', 'Preview']].map(([key, label]) => (
+            <button key={key} onClick={() => setTab(key)} className={classNames('px-3 py-1', tab === key ? 'bg-indigo-600 text-white' : 'hover:bg-slate-50 dark:hover:bg-slate-800')}>{label}</button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="text-slate-500 text-sm inline-flex items-center gap-2"><Loader2 className="animate-spin" size={16}/> Loading…</div>
+        ) : loadError ? (
+          <ErrorNotice error={loadError} title="Failed to load table preview" onRetry={load} />
+        ) : tab === 'columns' ? (
+          <ColumnProfile schema={schema} profile={columnProfile} sampled={profile ? null : rows.length} />
+        ) : cols.length ? (
+          <ResultsGrid cols={cols} rows={rows} kinds={kinds} />
+        ) : (
+          <div className="text-sm text-slate-500">No rows to preview.</div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,233 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
+import { Download, FileText, Link2, Plus, Trash2, Upload, X } from 'lucide-react'
+import { classNames, downloadBlob, tableLabel } from './utils'
+import {
+  PERIODS, columnsFor, deleteTemplate, distinctValues, exportTemplates, fillTemplate, importTemplates, listTemplates,
+  parsePlaceholders, saveTemplate, templateFromLink, templateLink, validateTemplate,
+} from './questionTemplates'
+
+const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+const chipClass = 'text-xs rounded-full px-3 py-1 border'
+
+// The column a {value} placeholder draws from: the one picked for the placeholder it names, or a column of that name
+const valueColumn = (p, values) => values[p.of] || p.of
+
+function defaultValues(placeholders, columns) {
+  const values = {}
+  placeholders.forEach((p) => {
+    if (p.type === 'period') values[p.name] = 'month'
+    else if (p.type === 'number') values[p.name] = '10'
+    else if (p.type.endsWith('column')) values[p.name] = columnsFor(p.type, columns)[0] || ''
+  })
+  return values
+}
+
+function PlaceholderInput({ placeholder: p, value, onChange, columns, distinct }) {
+  const common = { value: value ?? '', onChange: (e) => onChange(e.target.value), 'aria-label': p.name, className: inputClass }
+  if (p.type.endsWith('column') && columns.length) {
+    const options = columnsFor(p.type, columns)
+    return (
+      <select {...common}>
+        <option value="">{options.length ? `Pick ${p.name}` : 'No matching columns'}</option>
+        {options.map((c) => <option key={c} value={c}>{c}</option>)}
+      </select>
+    )
+  }
+  if (p.type === 'period') return <select {...common}>{PERIODS.map((v) => <option key={v} value={v}>{v}</option>)}</select>
+  if (p.type === 'value' && distinct?.values?.length) {
+    return (
+      <select {...common}>
+        <option value="">Pick {p.name}</option>
+        {distinct.values.map((v) => <option key={String(v)} value={String(v)}>{String(v)}</option>)}
+      </select>
+    )
+  }
+  return <input {...common} type={p.type === 'number' ? 'number' : 'text'} placeholder={distinct?.loading ? 'Loading values…' : p.name} className={classNames(inputClass, 'w-32')} />
+}
+
+function TemplateEditor({ onSave, onCancel }) {
+  const [draft, setDraft] = useState({ name: '', text: '' })
+  const [error, setError] = useState(null)
+  const submit = (e) => {
+    e.preventDefault()
+    const problem = validateTemplate(draft)
+    if (problem) return setError(problem)
+    onSave(draft)
+  }
+  return (
+    <form onSubmit={submit} className="mt-2 space-y-2 rounded-lg border border-slate-200 dark:border-slate-700 p-3 text-xs">
+      <input autoFocus value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder="Template name" className={classNames(inputClass, 'w-full')} />
+      <input value={draft.text} onChange={(e) => setDraft({ ...draft, text: e.target.value })} placeholder="Total {metric} by {period} where {column} is {value}" className={classNames(inputClass, 'w-full font-mono')} />
+      <div className="text-slate-500">
+        Placeholders are <code>{'{name}'}</code> or <code>{'{name:type}'}</code> with type column, number_column, date_column, text_column, period, number, text or value(other placeholder).
+      </div>
+      {error && <div className="text-red-600 dark:text-red-400">{error}</div>}
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="text-slate-500 hover:underline">Cancel</button>
+        <button type="submit" className="rounded px-3 py-1 text-white bg-indigo-600 hover:bg-indigo-700">Save template</button>
+      </div>
+    </form>
+  )
+}
+
+// Example questions for the active table plus parameterised templates whose placeholders are filled from its schema.
+// table is the first scoped table or the selected one; columns come from its loaded schema.
+export default function TemplatePicker({ table, columns = [], examples, onUse, notify }) {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [templates, setTemplates] = useState(listTemplates)
+  const [activeId, setActiveId] = useState(null)
+  const [values, setValues] = useState({})
+  const [distinct, setDistinct] = useState({})
+  const [creating, setCreating] = useState(false)
+  const fileRef = useRef(null)
+
+  const active = templates.find((t) => t.id === activeId) || null
+  const placeholders = useMemo(() => (active ? parsePlaceholders(active.text) : []), [active])
+  const columnKey = columns.map((c) => c.name || c[0]).join('|')
+
+  useEffect(() => {
+    setValues(defaultValues(placeholders, columns))
+  }, [activeId, table, columnKey])
+
+  // Distinct values follow the column chosen for each {value}
+  const valueColumns = placeholders.filter((p) => p.type === 'value').map((p) => [p.name, valueColumn(p, values)])
+  useEffect(() => {
+    if (!table) return
+    let current = true
+    valueColumns.forEach(([name, column]) => {
+      if (!column) return setDistinct((d) => ({ ...d, [name]: null }))
+      setDistinct((d) => ({ ...d, [name]: { loading: true, values: [] } }))
+      distinctValues(table, column)
+        .then((list) => current && setDistinct((d) => ({ ...d, [name]: { loading: false, values: list } })))
+        .catch(() => current && setDistinct((d) => ({ ...d, [name]: { loading: false, values: [] } })))
+    })
+    return () => { current = false }
+  }, [table, JSON.stringify(valueColumns)])
+
+  // A shared link (?template=...) adds its template once and selects it
+  useEffect(() => {
+    const shared = templateFromLink(location.search)
+    if (!shared) return
+    try {
+      const { added } = importTemplates(shared)
+      const list = listTemplates()
+      setTemplates(list)
+      setActiveId(list.find((t) => t.name === shared.name && t.text === shared.text)?.id || null)
+      notify({ title: added ? 'Template added' : 'Template already saved', message: shared.name })
+    } catch (e) {
+      notify({ type: 'error', title: 'Could not add the shared template', message: e.message })
+    }
+    navigate(location.pathname, { replace: true })
+  }, [location.search])
+
+  const create = (draft) => {
+    const saved = saveTemplate(draft)
+    setTemplates(listTemplates())
+    setActiveId(saved.id)
+    setCreating(false)
+  }
+
+  const remove = (t) => {
+    if (!confirm(`Delete the template "${t.name}"?`)) return
+    deleteTemplate(t.id)
+    setTemplates(listTemplates())
+    setActiveId(null)
+  }
+
+  const exportAll = () => {
+    const own = templates.filter((t) => !t.builtIn)
+    downloadBlob(new Blob([exportTemplates(own.length ? own : templates)], { type: 'application/json' }), 'question-templates.json')
+  }
+
+  const importFile = async (file) => {
+    try {
+      const { added, skipped } = importTemplates(await file.text())
+      setTemplates(listTemplates())
+      notify({ title: 'Templates imported', message: `${added} added${skipped ? ` • ${skipped} already saved` : ''}` })
+    } catch (e) {
+      notify({ type: 'error', title: 'Import failed', message: e instanceof SyntaxError ? 'The file is not valid JSON' : e.message })
+    }
+  }
+
+  const copyLink = async (t) => {
+    try {
+      await navigator.clipboard.writeText(templateLink(t))
+      notify({ title: 'Link copied', message: t.name })
+    } catch (e) {
+      notify({ type: 'error', title: 'Copy failed', message: e.message })
+    }
+  }
+
+  const question = active ? fillTemplate(active.text, values) : ''
+  const complete = active && placeholders.every((p) => values[p.name] != null && values[p.name] !== '')
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {table && <span className="text-xs text-slate-500">Suggestions for {tableLabel(table)}:</span>}
+        {examples.map((ex) => (
+          <button key={ex} onClick={() => onUse(ex)} className={classNames(chipClass, 'border-slate-300 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 text-slate-600 dark:text-slate-300')}>
+            {ex}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="inline-flex items-center gap-1 text-xs text-slate-500"><FileText size={12}/> Templates:</span>
+        {templates.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => setActiveId(activeId === t.id ? null : t.id)}
+            title={t.text}
+            className={classNames(chipClass, activeId === t.id ? 'border-indigo-400 bg-indigo-50 dark:bg-indigo-950/40 text-indigo-700 dark:text-indigo-300' : 'border-dashed border-slate-300 dark:border-slate-700 text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800')}
+          >
+            {t.name}
+          </button>
+        ))}
+        <div className="ml-auto flex items-center gap-2 text-xs">
+          <button onClick={() => setCreating(!creating)} className="inline-flex items-center gap-1 text-indigo-600 hover:underline"><Plus size={12}/> New</button>
+          <button onClick={() => fileRef.current?.click()} className="inline-flex items-center gap-1 text-slate-500 hover:underline"><Upload size={12}/> Import</button>
+          <button onClick={exportAll} title="Download your templates as JSON" className="inline-flex items-center gap-1 text-slate-500 hover:underline"><Download size={12}/> Export</button>
+          <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={(e) => { if (e.target.files[0]) importFile(e.target.files[0]); e.target.value = '' }} />
+        </div>
+      </div>
+
+      {creating && <TemplateEditor onSave={create} onCancel={() => setCreating(false)} />}
+
+      {active && (
+        <div className="rounded-lg border border-slate-200 dark:border-slate-700 p-3 text-xs space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            {active.text.split(/(\{[^}]+\})/).map((part, i) => {
+              const p = placeholders.find((x) => part === `{${x.name}}` || part.startsWith(`{${x.name}:`))
+              if (!p) return part ? <span key={i}>{part}</span> : null
+              return (
+                <PlaceholderInput
+                  key={i}
+                  placeholder={p}
+                  value={values[p.name]}
+                  onChange={(v) => setValues((prev) => ({ ...prev, [p.name]: v }))}
+                  columns={columns}
+                  distinct={distinct[p.name]}
+                />
+              )
+            })}
+          </div>
+          {!table && <div className="text-slate-500">Select or pin a table to pick columns and values from its schema.</div>}
+          <div className="flex items-center justify-between gap-2">
+            <div className="truncate text-slate-500" title={question}>{question}</div>
+            <div className="flex items-center gap-2 shrink-0">
+              <button onClick={() => copyLink(active)} title="Copy a link that adds this template" className="opacity-60 hover:opacity-100"><Link2 size={14}/></button>
+              {!active.builtIn && <button onClick={() => remove(active)} title="Delete template" className="text-red-600 opacity-60 hover:opacity-100"><Trash2 size={14}/></button>}
+              <button onClick={() => setActiveId(null)} title="Close" className="opacity-60 hover:opacity-100"><X size={14}/></button>
+              <button onClick={() => onUse(question)} disabled={!complete} className={classNames('rounded px-3 py-1 text-white', complete ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-slate-400 cursor-not-allowed')}>
+                Use question
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,36 @@
+import React, { useState } from 'react'
+import { classNames } from './utils'
+
+export default function Toast({ toasts, remove }) {
+  return (
+    <div className="fixed top-4 right-4 z-50 space-y-2">
+      {toasts.map((t) => (
+        <div key={t.id} className={classNames(
+          'rounded-md px-4 py-3 shadow-lg border backdrop-blur transition-all',
+          t.type === 'error' ? 'bg-red-500/10 border-red-500 text-red-600 dark:text-red-300' : 'bg-emerald-500/10 border-emerald-500 text-emerald-700 dark:text-emerald-300'
+        )}>
+          <div className="flex items-start gap-3">
+            <div className="text-sm font-medium">{t.title}</div>
+            {t.action && (
+              <button onClick={() => { t.action.onClick(); remove(t.id) }} className="text-xs font-semibold underline">{t.action.label}</button>
+            )}
+            <button onClick={() => remove(t.id)} className="text-xs opacity-70 hover:opacity-100">Dismiss</button>
+          </div>
+          {t.message && <div className="text-xs opacity-80 mt-1">{t.message}</div>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export function useToasts() {
+  const [toasts, setToasts] = useState([])
+  const add = (toast) => {
+    const id = Math.random().toString(36).slice(2)
+    const t = { id, type: 'success', ...toast }
+    setToasts((prev) => [...prev, t])
+    setTimeout(() => remove(id), toast.duration || 6000)
+  }
+  const remove = (id) => setToasts((prev) => prev.filter((t) => t.id !== id))
+  return { toasts, add, remove }
+}
@@ -0,0 +1,168 @@
+import React, { useMemo } from 'react'
+import { FileSpreadsheet, Loader2, X } from 'lucide-react'
+import { classNames, formatBytes } from './utils'
+import { FLATTEN_STRATEGIES } from './jsonReader'
+import { COLUMN_TYPES, DELIMITER_OPTIONS, FORMAT_LABELS, HEADER_KINDS, TEXT_ENCODINGS, buildPreview } from './fileParsing'
+
+export default function UploadPreview({ draft, onChange, onColumnChange, onCancel, onImport, onImportAll, busy, appendTo }) {
+  const preview = useMemo(() => buildPreview(draft.rows, draft.headerRow, draft.types), [draft.rows, draft.headerRow, draft.types])
+  const inputClass = 'rounded border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs'
+  const override = (i) => draft.columns[i] || {}
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between gap-3">
+        <div className="inline-flex items-center gap-2">
+          <FileSpreadsheet className="text-indigo-600" size={20}/>
+          <div>
+            <div className="font-medium text-slate-800 dark:text-slate-100">{draft.file.name}</div>
+            <div className="text-xs text-slate-500">
+              {FORMAT_LABELS[draft.kind]} • {formatBytes(draft.file.size)} • previewing first {preview.rows.length}{draft.rowCount != null ? ` of ${Number(draft.rowCount).toLocaleString()}` : ''} rows
+            </div>
+          </div>
+        </div>
+        <button onClick={onCancel} className="opacity-60 hover:opacity-100" title="Discard"><X size={16}/></button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 text-xs">
+        {appendTo ? (
+          <div className="flex flex-col gap-1">Appending to
+            <span className="rounded bg-indigo-50 dark:bg-indigo-950/40 px-2 py-1 font-medium text-indigo-700 dark:text-indigo-300">{appendTo}</span>
+          </div>
+        ) : (
+          <label className="flex flex-col gap-1">Table name
+            <input value={draft.tableName} onChange={(e) => onChange({ tableName: e.target.value })} className={classNames(inputClass, 'w-48')} />
+          </label>
+        )}
+        {draft.kind === 'csv' && (
+          <>
+            <label className="flex flex-col gap-1">Delimiter
+              <select value={draft.delimiter} onChange={(e) => onChange({ delimiter: e.target.value })} className={inputClass}>
+                {DELIMITER_OPTIONS.map((d) => <option key={d.label} value={d.id}>{d.label}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">Encoding
+              <select value={draft.encoding} onChange={(e) => onChange({ encoding: e.target.value })} className={inputClass}>
+                {TEXT_ENCODINGS.map((enc) => <option key={enc} value={enc}>{enc}</option>)}
+              </select>
+            </label>
+          </>
+        )}
+        {draft.kind === 'xlsx' && draft.sheets?.length > 0 && (
+          <label className="flex flex-col gap-1">Sheet
+            <select value={draft.sheet} onChange={(e) => onChange({ sheet: e.target.value })} className={inputClass}>
+              {draft.sheets.map((s) => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </label>
+        )}
+        {(draft.kind === 'json' || draft.kind === 'ndjson') && (
+          <>
+            <label className="flex flex-col gap-1">Nested objects
+              <select value={draft.flatten.strategy} onChange={(e) => onChange({ flatten: { ...draft.flatten, strategy: e.target.value } })} className={inputClass}>
+                {FLATTEN_STRATEGIES.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1">Max depth
+              <input
+                type="number"
+                min={1}
+                max={20}
+                value={draft.flatten.maxDepth}
+                disabled={draft.flatten.strategy === 'json'}
+                onChange={(e) => onChange({ flatten: { ...draft.flatten, maxDepth: Math.min(20, Math.max(1, Number(e.target.value) || 1)) } })}
+                className={classNames(inputClass, 'w-20')}
+                title="Objects nested deeper than this are kept as JSON text"
+              />
+            </label>
+            {draft.recordPath && <span className="self-center text-slate-500">Records read from <code>{draft.recordPath}</code></span>}
+          </>
+        )}
+        {draft.kind === 'sqlite' && draft.sqliteTables?.length > 0 && (
+          <label className="flex flex-col gap-1">SQLite table
+            <select value={draft.sqliteTable} onChange={(e) => onChange({ sqliteTable: e.target.value })} className={inputClass}>
+              {draft.sqliteTables.map((t) => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+        )}
+        {HEADER_KINDS.includes(draft.kind) && !draft.unsupported && (
+          <label className="flex flex-col gap-1">Header row
+            <input
+              type="number"
+              min={0}
+              value={draft.headerRow}
+              onChange={(e) => onChange({ headerRow: Math.max(0, Number(e.target.value) || 0) })}
+              className={classNames(inputClass, 'w-20')}
+              title="Row number holding the column names; 0 if the file has no header"
+            />
+          </label>
+        )}
+        {draft.loading && <Loader2 className="animate-spin text-slate-400" size={16}/>}
+      </div>
+
+      {draft.error && <div className="text-xs text-red-600">{draft.error}</div>}
+      {draft.unsupported && <div className="text-xs text-amber-600 dark:text-amber-400">{draft.unsupported}</div>}
+      {draft.notice && <div className="text-xs text-slate-500">{draft.notice}</div>}
+
+      {preview.columns.length > 0 && (
+        <div className="rounded-lg border border-slate-200 dark:border-slate-700 overflow-auto max-h-96">
+          <table className="min-w-full text-xs">
+            <thead className="bg-slate-50 dark:bg-slate-800 sticky top-0">
+              <tr>
+                {preview.columns.map((c) => {
+                  const o = override(c.index)
+                  return (
+                    <th key={c.index} className={classNames('px-2 py-2 text-left align-top border-b border-slate-200 dark:border-slate-700 min-w-[140px]', o.skip && 'opacity-40')}>
+                      <input
+                        value={o.name ?? c.source}
+                        onChange={(e) => onColumnChange(c.index, { name: e.target.value })}
+                        className={classNames(inputClass, 'w-full font-semibold')}
+                      />
+                      <div className="mt-1 flex items-center gap-2">
+                        <select value={o.type || 'auto'} onChange={(e) => onColumnChange(c.index, { type: e.target.value })} className={classNames(inputClass, 'flex-1')}>
+                          {COLUMN_TYPES.map((t) => <option key={t} value={t}>{t === 'auto' ? `auto (${c.guessedType})` : t}</option>)}
+                        </select>
+                        <label className="inline-flex items-center gap-1 font-normal" title="Leave this column out of the import">
+                          <input type="checkbox" checked={!!o.skip} onChange={(e) => onColumnChange(c.index, { skip: e.target.checked })} /> skip
+                        </label>
+                      </div>
+                    </th>
+                  )
+                })}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((r, i) => (
+                <tr key={i} className="even:bg-slate-50/50 dark:even:bg-slate-800/30">
+                  {preview.columns.map((c) => (
+                    <td key={c.index} className={classNames('px-2 py-1 border-b border-slate-100 dark:border-slate-800 whitespace-nowrap', override(c.index).skip && 'opacity-40')}>{r[c.index] ?? ''}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center justify-end gap-2">
+        <button onClick={onCancel} className="rounded-md border border-slate-300 dark:border-slate-700 px-4 py-2 text-sm hover:bg-slate-50 dark:hover:bg-slate-800">Cancel</button>
+        {draft.kind === 'sqlite' && draft.sqliteTables?.length > 1 && (
+          <button
+            onClick={onImportAll}
+            disabled={busy}
+            className="rounded-md border border-indigo-300 dark:border-indigo-700 px-4 py-2 text-sm text-indigo-700 dark:text-indigo-300 hover:bg-indigo-50 dark:hover:bg-indigo-950/30"
+            title="Queue every table with default options"
+          >
+            Import all {draft.sqliteTables.length} tables
+          </button>
+        )}
+        <button
+          onClick={() => onImport(preview.columns)}
+          disabled={busy || !draft.tableName.trim()}
+          className={classNames('rounded-md px-4 py-2 text-sm text-white shadow', busy || !draft.tableName.trim() ? 'bg-slate-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700')}
+        >
+          Import
+        </button>
+      </div>
+    </div>
+  )
+}
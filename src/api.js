@@ -0,0 +1,288 @@
+import { useCallback, useEffect, useRef } from 'react'
+import { BASE_URL, REQUEST_TIMEOUT } from './config'
+import { authHeaders, renewSession } from './auth'
+
+// Shared client for every backend call: JSON encoding, structured errors, timeouts, cancellation and retries.
+//
+// Error bodies are read in any of these shapes and surfaced as an ApiError:
+//   { detail: 'message' }
+//   { detail: [{ loc: ['body', 'options', 'delimiter'], msg, type }] }           validation errors (422)
+//   { error: { code, message, position: { line, column, offset, length }, hint } } e.g. a SQL error pointing into the statement
+//   { code, message | detail, position, hint }                                    the same fields at the top level
+//
+// Idempotent methods (GET, PUT, DELETE) are retried with backoff on network errors, timeouts, 408, 429 and 5xx.
+// Requests carry the signed-in user's token and workspace (src/auth.js); a 401 renews the token and tries once more.
+
+/**
+ * @typedef {{ name: string, type: string }} Column
+ * @typedef {{ id: string, name: string, table_name?: string, columns?: Column[], row_count?: number, created_at?: string,
+ *   source_file?: string, size_bytes?: number, description?: string, tags?: string[] }} Table
+ * @typedef {{ column: string, direction: 'asc' | 'desc' }} SortKey
+ * @typedef {{ query?: string, sql?: string, table_ids?: string[], schema_context?: object[], context?: object, explain?: boolean,
+ *   clarification?: { option_id: string }, offset?: number, limit?: number, sort?: SortKey[], full?: boolean }} QueryRequest
+ * @typedef {{ sql?: string, generated_sql?: string, columns?: string[], rows?: object[], data?: object[], total_rows?: number,
+ *   execution_time_ms?: number, truncated?: boolean, summary?: string, explanation?: object, status?: string, clarification?: object }} QueryResponse
+ * @typedef {{ line?: number, column?: number, offset?: number, length?: number }} ErrorPosition
+ * @typedef {{ field: string, message: string }} FieldError
+ * @typedef {{ method?: string, body?: any, headers?: object, signal?: AbortSignal, timeout?: number, retries?: number,
+ *   keepalive?: boolean, raw?: boolean }} RequestOptions
+ */
+
+export const DEFAULT_TIMEOUT = REQUEST_TIMEOUT
+const IDEMPOTENT = new Set(['GET', 'HEAD', 'PUT', 'DELETE'])
+const REQUEST_LOG_SIZE = 300
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, code?: string, position?: ErrorPosition, hint?: string, fields?: FieldError[], body?: any }} details
+   */
+  constructor(message, { status = 0, code = null, position = null, hint = null, fields = [], body = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = code
+    this.position = position
+    this.hint = hint
+    this.fields = fields
+    this.body = body
+  }
+
+  get retryable() {
+    return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500
+  }
+}
+
+function fieldErrors(detail) {
+  return detail.map((d) => ({
+    field: (d.loc || []).filter((p) => p !== 'body').join('.') || 'request',
+    message: d.msg || d.message || String(d),
+  }))
+}
+
+/** @returns {ApiError} */
+export function parseErrorBody(status, body) {
+  const source = body?.error && typeof body.error === 'object' ? body.error : body || {}
+  const fields = Array.isArray(source.detail) ? fieldErrors(source.detail) : Array.isArray(source.fields) ? source.fields : []
+  const message = (typeof source.message === 'string' && source.message)
+    || (typeof source.detail === 'string' && source.detail)
+    || (typeof body?.error === 'string' && body.error)
+    || (fields.length ? 'The request was rejected' : status ? `Request failed with status ${status}` : 'Request failed')
+  const position = source.position || (source.line != null ? { line: source.line, column: source.column } : null)
+  return new ApiError(message, { status, code: source.code || null, position, hint: source.hint || null, fields, body })
+}
+
+/** @returns {Promise<ApiError>} */
+export async function errorFromResponse(res) {
+  const text = await res.text().catch(() => '')
+  try {
+    return parseErrorBody(res.status, JSON.parse(text))
+  } catch {
+    const plain = text && text.length < 200 && !/^\s*</.test(text) ? text.trim() : ''
+    return new ApiError(plain || `Request failed with status ${res.status}`, { status: res.status })
+  }
+}
+
+// One line for toasts and upload rows: the message plus any field-level details
+export function describeError(e) {
+  if (!e?.fields?.length) return e?.message || String(e)
+  return `${e.message}: ${e.fields.map((f) => `${f.field} ${f.message}`).join('; ')}`
+}
+
+// The last few hundred requests as this browser saw them, for the diagnostics page:
+// { at, method, path, status (0 when the server was not reached), ms, message }; aborted requests are left out
+const requestLog = []
+
+function logRequest(method, path, status, started, message = null) {
+  requestLog.push({ at: new Date().toISOString(), method, path: path.split('?')[0], status, ms: Math.round(performance.now() - started), message })
+  if (requestLog.length > REQUEST_LOG_SIZE) requestLog.shift()
+}
+
+export function recentRequests() {
+  return [...requestLog]
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(t); reject(new DOMException('Aborted', 'AbortError')) }
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve() }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function encodeBody(body, headers) {
+  if (body == null || body instanceof FormData || body instanceof Blob || body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return body
+  headers['Content-Type'] = headers['Content-Type'] || 'application/json'
+  return JSON.stringify(body)
+}
+
+// fetch against BASE_URL with the auth headers; modules with their own protocol (chunked uploads) use it directly
+export async function apiFetch(path, init = {}) {
+  const send = async () => fetch(`${BASE_URL}${path}`, { ...init, headers: { ...init.headers, ...(await authHeaders()) } })
+  const res = await send()
+  if (res.status !== 401 || !(await renewSession())) return res
+  return send()
+}
+
+/**
+ * Resolves with the parsed JSON body (null for 204), or the Response itself with `raw` (for streams).
+ * Rejects with ApiError, or with AbortError when `signal` fires.
+ * @param {string} path
+ * @param {RequestOptions} options
+ */
+export async function request(path, { method = 'GET', body, headers = {}, signal, timeout = DEFAULT_TIMEOUT, retries, keepalive, raw = false } = {}) {
+  const allHeaders = { ...headers }
+  const payload = encodeBody(body, allHeaders)
+  const attempts = 1 + (retries ?? (IDEMPOTENT.has(method) ? 2 : 0))
+  let lastError
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const controller = new AbortController()
+    const forward = () => controller.abort()
+    let timedOut = false
+    let streaming = false
+    // the caller's signal keeps working while a streamed body is read; the timeout only covers the wait for headers
+    signal?.addEventListener('abort', forward, { once: true })
+    if (signal?.aborted) controller.abort()
+    const timer = timeout ? setTimeout(() => { timedOut = true; controller.abort() }, timeout) : null
+    const started = performance.now()
+    try {
+      let res
+      try {
+        res = await apiFetch(path, { method, headers: allHeaders, body: payload, signal: controller.signal, keepalive })
+      } catch (e) {
+        if (signal?.aborted) throw e
+        lastError = timedOut
+          ? new ApiError(`The server did not respond within ${Math.round(timeout / 1000)} s`, { code: 'timeout' })
+          : new ApiError('Network error: the server could not be reached', { code: 'network' })
+      } finally {
+        clearTimeout(timer)
+      }
+      if (res?.ok) {
+        logRequest(method, path, res.status, started)
+        streaming = raw
+        if (raw) return res
+        return res.status === 204 ? null : await res.json()
+      }
+      if (res) lastError = await errorFromResponse(res)
+      logRequest(method, path, res?.status ?? 0, started, lastError.message)
+    } finally {
+      // long-lived signals (unmount controllers shared by polling) would otherwise collect one listener per attempt
+      if (!streaming) signal?.removeEventListener('abort', forward)
+    }
+    if (!lastError.retryable || attempt === attempts) break
+    await delay(Math.min(8000, 500 * 2 ** (attempt - 1)), signal)
+  }
+  throw lastError
+}
+
+// XHR upload so progress can be reported; same error handling and auth as request()
+export async function upload(path, form, { onProgress, signal } = {}) {
+  try {
+    return await sendForm(path, form, { onProgress, signal, headers: await authHeaders() })
+  } catch (e) {
+    if (e.status !== 401 || !(await renewSession())) throw e
+    return sendForm(path, form, { onProgress, signal, headers: await authHeaders() })
+  }
+}
+
+function sendForm(path, form, { onProgress, signal, headers }) {
+  const started = performance.now()
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable) onProgress?.(Math.round((e.loaded / e.total) * 100))
+    })
+    xhr.onload = () => {
+      let body = null
+      try {
+        body = JSON.parse(xhr.responseText)
+      } catch {}
+      logRequest('POST', path, xhr.status, started, xhr.status >= 300 ? body && parseErrorBody(xhr.status, body).message : null)
+      if (xhr.status >= 200 && xhr.status < 300) {
+        if (body) resolve(body)
+        else reject(new ApiError('Upload succeeded but response could not be parsed.', { status: xhr.status }))
+      } else {
+        reject(body ? parseErrorBody(xhr.status, body) : new ApiError(`Request failed with status ${xhr.status}`, { status: xhr.status }))
+      }
+    }
+    xhr.onerror = () => {
+      logRequest('POST', path, 0, started, 'Network error')
+      reject(new ApiError('Network error: the server could not be reached', { code: 'network' }))
+    }
+    xhr.onabort = () => reject(new DOMException('Cancelled', 'AbortError'))
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true })
+    xhr.open('POST', `${BASE_URL}${path}`)
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+    xhr.send(form)
+  })
+}
+
+// Returns a getter for a signal that fires when the component unmounts, so late responses are dropped.
+// A fresh controller per mount keeps this working under StrictMode's mount–unmount–mount.
+export function useUnmountSignal() {
+  const ref = useRef(null)
+  if (!ref.current) ref.current = new AbortController()
+  useEffect(() => {
+    if (ref.current.signal.aborted) ref.current = new AbortController()
+    const controller = ref.current
+    return () => controller.abort()
+  }, [])
+  return useCallback(() => ref.current.signal, [])
+}
+
+const tablePath = (id) => `/api/tables/${encodeURIComponent(id)}`
+
+/** @returns {Promise<Table[]>} */
+export async function listTables(opts) {
+  const data = await request('/api/tables', opts)
+  return Array.isArray(data) ? data : data?.tables || []
+}
+
+/** @returns {Promise<Table>} */
+export function getTable(id, opts) {
+  return request(tablePath(id), opts)
+}
+
+export function deleteTable(id, opts) {
+  return request(tablePath(id), { ...opts, method: 'DELETE' })
+}
+
+/** @returns {Promise<Table>} */
+export function updateTable(id, patch, opts) {
+  return request(tablePath(id), { ...opts, method: 'PATCH', body: patch })
+}
+
+/** @returns {Promise<{ columns: string[], rows: object[] }>} */
+export function getTablePreview(id, limit, opts) {
+  return request(`${tablePath(id)}/preview?limit=${limit}`, opts)
+}
+
+export function getTableProfile(id, opts) {
+  return request(`${tablePath(id)}/profile`, opts)
+}
+
+/**
+ * @param {QueryRequest} body
+ * @returns {Promise<QueryResponse>}
+ */
+export function runQuery(body, opts) {
+  return request('/api/query', { ...opts, method: 'POST', body })
+}
+
+/**
+ * Opens /api/query/stream and resolves with the raw Response; backends without it (404) get /api/query instead.
+ * The statement may run for a long time, so only connecting is subject to the timeout.
+ * @param {QueryRequest} body
+ */
+export async function openQueryStream(body, opts) {
+  try {
+    return await request('/api/query/stream', { ...opts, method: 'POST', body, headers: { Accept: 'text/event-stream' }, raw: true })
+  } catch (e) {
+    if (e.status !== 404) throw e
+    return request('/api/query', { ...opts, method: 'POST', body, headers: { Accept: 'application/json' }, raw: true })
+  }
+}
+
+export function cancelQuery(queryId) {
+  return request(`/api/query/${encodeURIComponent(queryId)}/cancel`, { method: 'POST', timeout: 5000 })
+}
@@ -0,0 +1,173 @@
+import { API_KEY, AUTH_CLIENT_ID, AUTH_URL, PROFILE_ID } from './config'
+
+// Sign-in is an OpenID Connect style authorization code flow with PKCE against VITE_AUTH_URL:
+//   GET  {AUTH_URL}/authorize?response_type=code&client_id&redirect_uri&scope&state&code_challenge&code_challenge_method=S256
+//        -> redirects back to redirect_uri?code&state
+//   POST {AUTH_URL}/token   form body, either
+//          grant_type=authorization_code&code&redirect_uri&client_id&code_verifier
+//          grant_type=refresh_token&refresh_token&client_id
+//        -> { access_token, refresh_token, expires_in, token_type: 'Bearer' }
+// Backend requests then carry Authorization: Bearer <access_token> plus X-Workspace-Id for the chosen workspace.
+// A 401 from the backend renews the token once; when that fails too the session ends and the sign-in screen shows.
+// Without an identity provider in the connection profile (VITE_AUTH_URL for the default one) sign-in is off and
+// requests go out without credentials, or with the profile's API key.
+// Sessions and the chosen workspace are kept per connection profile (src/connections.js).
+// mock/idp.js implements the provider side for local development.
+
+export const AUTH_ENABLED = !!AUTH_URL
+export const CALLBACK_PATH = '/auth/callback'
+
+// the default profile keeps the original keys
+const scoped = (key) => (PROFILE_ID === 'default' ? key : `${key}:${PROFILE_ID}`)
+const SESSION_KEY = scoped('auth_session')
+const PENDING_KEY = scoped('auth_pending')
+const WORKSPACE_KEY = scoped('workspace_id')
+// tokens this close to expiry are renewed before use
+const EXPIRY_MARGIN_MS = 30000
+
+let session = readSession()
+let workspaceId = localStorage.getItem(WORKSPACE_KEY) || null
+let renewing = null
+const listeners = new Set()
+
+function readSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY) || 'null')
+  } catch {
+    return null
+  }
+}
+
+function setSession(next) {
+  session = next
+  if (next) localStorage.setItem(SESSION_KEY, JSON.stringify(next))
+  else localStorage.removeItem(SESSION_KEY)
+  listeners.forEach((fn) => fn(next))
+}
+
+export function getSession() {
+  return session
+}
+
+export function onSessionChange(fn) {
+  listeners.add(fn)
+  return () => listeners.delete(fn)
+}
+
+export function getWorkspaceId() {
+  return workspaceId
+}
+
+export function setWorkspaceId(id) {
+  workspaceId = id || null
+  if (workspaceId) localStorage.setItem(WORKSPACE_KEY, workspaceId)
+  else localStorage.removeItem(WORKSPACE_KEY)
+}
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+const randomString = () => base64Url(crypto.getRandomValues(new Uint8Array(32)))
+
+// S256 needs crypto.subtle, which only exists in secure contexts (https or localhost)
+async function codeChallenge(verifier) {
+  if (!crypto.subtle) return { challenge: verifier, method: 'plain' }
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+  return { challenge: base64Url(new Uint8Array(digest)), method: 'S256' }
+}
+
+const redirectUri = () => `${window.location.origin}${CALLBACK_PATH}`
+
+// Sends the browser to the provider; returnTo is where the user lands after signing in
+export async function startLogin(returnTo = '/') {
+  const state = randomString()
+  const verifier = randomString()
+  const { challenge, method } = await codeChallenge(verifier)
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({ state, verifier, returnTo }))
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: AUTH_CLIENT_ID,
+    redirect_uri: redirectUri(),
+    scope: 'openid profile email offline_access',
+    state,
+    code_challenge: challenge,
+    code_challenge_method: method,
+  })
+  window.location.assign(`${AUTH_URL}/authorize?${params}`)
+}
+
+async function tokenRequest(fields) {
+  const res = await fetch(`${AUTH_URL}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ client_id: AUTH_CLIENT_ID, ...fields }),
+  })
+  const data = await res.json().catch(() => ({}))
+  if (!res.ok) throw Object.assign(new Error(data.error_description || data.error || `Sign-in failed with status ${res.status}`), { status: res.status })
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token || fields.refresh_token || null,
+    expires_at: Date.now() + (data.expires_in || 3600) * 1000,
+  }
+}
+
+let completion = null
+
+// Finishes the redirect from the provider; resolves with the path to return to.
+// The code can only be exchanged once, so repeated calls (StrictMode effects) share the first attempt.
+export function completeLogin(search) {
+  if (!completion) completion = exchangeCode(search)
+  return completion
+}
+
+async function exchangeCode(search) {
+  const params = new URLSearchParams(search)
+  const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || 'null')
+  sessionStorage.removeItem(PENDING_KEY)
+  if (params.get('error')) throw new Error(params.get('error_description') || params.get('error'))
+  if (!pending || params.get('state') !== pending.state) throw new Error('The sign-in response did not match this browser. Please try again.')
+  setSession(await tokenRequest({
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    redirect_uri: redirectUri(),
+    code_verifier: pending.verifier,
+  }))
+  return pending.returnTo || '/'
+}
+
+// Concurrent callers share one refresh. Resolves true when a new token was issued.
+// A refresh token the provider rejects ends the session; a network failure keeps it for the next attempt.
+export function renewSession() {
+  if (!AUTH_ENABLED || !session?.refresh_token) {
+    if (session) setSession(null)
+    return Promise.resolve(false)
+  }
+  if (!renewing) {
+    renewing = tokenRequest({ grant_type: 'refresh_token', refresh_token: session.refresh_token })
+      .then((next) => { setSession(next); return true })
+      .catch((e) => {
+        if (e.status) setSession(null)
+        return false
+      })
+      .finally(() => { renewing = null })
+  }
+  return renewing
+}
+
+export async function getAccessToken() {
+  if (!AUTH_ENABLED || !session) return null
+  if (session.expires_at - Date.now() < EXPIRY_MARGIN_MS) await renewSession()
+  return session?.access_token || null
+}
+
+// Headers every backend request carries; empty while sign-in is off and the profile has no API key.
+// The API key only stands in for sign-in, so it is not sent to backends that use sign-in.
+export async function authHeaders() {
+  const token = AUTH_ENABLED ? await getAccessToken() : API_KEY
+  return {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(token && workspaceId ? { 'X-Workspace-Id': workspaceId } : {}),
+  }
+}
+
+export function logout() {
+  setSession(null)
+}
@@ -0,0 +1,150 @@
+export const CHART_TYPES = ['line', 'bar', 'scatter', 'pie']
+
+export const CHART_COLORS = ['#6366f1', '#0ea5e9', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#84cc16', '#64748b']
+
+const MAX_SERIES = 10
+const MAX_PIE_SLICES = 8
+const TIME_NAME_RE = /(date|time|day|week|month|quarter|year|period)/i
+const TIME_VALUE_RE = /^\d{4}(-\d{2}(-\d{2})?)?([T ].*)?$|^\d{4}-Q[1-4]$/
+
+function isTimeLike(col, values, kind) {
+  if (kind === 'date') return true
+  const sample = values.filter((v) => v != null).slice(0, 50)
+  if (!sample.length) return false
+  if (sample.every((v) => TIME_VALUE_RE.test(String(v)))) return kind !== 'number' || TIME_NAME_RE.test(col)
+  return false
+}
+
+// Picks a starting chart from the result shape; returns null when nothing sensible can be drawn
+export function suggestChart(cols, rows, kinds) {
+  if (!cols.length || !rows.length) return null
+  const numeric = cols.filter((c) => kinds[c] === 'number')
+  const time = cols.filter((c) => isTimeLike(c, rows.map((r) => r[c]), kinds[c]))
+  const categorical = cols.filter((c) => !numeric.includes(c) && !time.includes(c))
+  const measures = numeric.filter((c) => !time.includes(c))
+
+  if (time.length && measures.length) {
+    const series = categorical.length && measures.length === 1 ? categorical[0] : null
+    return { type: 'line', x: time[0], y: series ? [measures[0]] : measures.slice(0, 3), series }
+  }
+  if (categorical.length && measures.length) {
+    const nonNegative = rows.every((r) => r[measures[0]] == null || Number(r[measures[0]]) >= 0)
+    if (measures.length === 1 && rows.length <= 6 && nonNegative) {
+      return { type: 'pie', x: categorical[0], y: [measures[0]], series: null }
+    }
+    const series = categorical.length > 1 && measures.length === 1 ? categorical[1] : null
+    return { type: 'bar', x: categorical[0], y: series ? [measures[0]] : measures.slice(0, 3), series }
+  }
+  if (measures.length >= 2) {
+    return { type: 'scatter', x: measures[0], y: [measures[1]], series: categorical[0] || null }
+  }
+  return null
+}
+
+function toNumber(v) {
+  if (v == null || v === '') return null
+  const n = typeof v === 'number' ? v : Number(v)
+  return Number.isFinite(n) ? n : null
+}
+
+function sortKey(v, kind) {
+  if (kind === 'date') return new Date(v).getTime()
+  return v
+}
+
+// Shapes rows into { labels, series: [{ name, values }] } for line/bar charts,
+// { series: [{ name, points }] } for scatter and { slices } for pie
+export function buildChartData(rows, config, kinds) {
+  const { type, x, y, series } = config
+  if (!x || !y?.length) return null
+
+  if (type === 'pie') {
+    const totals = new Map()
+    rows.forEach((r) => {
+      const key = r[x] == null ? 'NULL' : String(r[x])
+      totals.set(key, (totals.get(key) || 0) + (toNumber(r[y[0]]) || 0))
+    })
+    const sorted = [...totals.entries()].sort((a, b) => b[1] - a[1])
+    const head = sorted.slice(0, MAX_PIE_SLICES)
+    const rest = sorted.slice(MAX_PIE_SLICES).reduce((sum, [, v]) => sum + v, 0)
+    if (rest) head.push(['Other', rest])
+    return { slices: head.map(([label, value]) => ({ label, value })) }
+  }
+
+  if (type === 'scatter') {
+    const groups = new Map()
+    rows.forEach((r) => {
+      const px = toNumber(r[x])
+      if (px == null) return
+      y.forEach((col) => {
+        const py = toNumber(r[col])
+        if (py == null) return
+        const name = series ? String(r[series] ?? 'NULL') : col
+        if (!groups.has(name)) groups.set(name, [])
+        groups.get(name).push({ x: px, y: py })
+      })
+    })
+    return { series: [...groups.entries()].slice(0, MAX_SERIES).map(([name, points]) => ({ name, points })) }
+  }
+
+  const labels = []
+  const labelIndex = new Map()
+  const seriesMap = new Map()
+  const ordered = kinds[x] === 'date' || kinds[x] === 'number' || type === 'line'
+    ? [...rows].sort((a, b) => {
+      const av = sortKey(a[x], kinds[x])
+      const bv = sortKey(b[x], kinds[x])
+      return av < bv ? -1 : av > bv ? 1 : 0
+    })
+    : rows
+  ordered.forEach((r) => {
+    const label = r[x] == null ? 'NULL' : String(r[x])
+    if (!labelIndex.has(label)) {
+      labelIndex.set(label, labels.length)
+      labels.push(label)
+    }
+    const idx = labelIndex.get(label)
+    const entries = series ? [[String(r[series] ?? 'NULL'), r[y[0]]]] : y.map((col) => [col, r[col]])
+    entries.forEach(([name, raw]) => {
+      if (!seriesMap.has(name)) {
+        if (seriesMap.size >= MAX_SERIES) return
+        seriesMap.set(name, [])
+      }
+      const values = seriesMap.get(name)
+      const n = toNumber(raw)
+      if (n == null) return
+      values[idx] = (values[idx] || 0) + n
+    })
+  })
+  return {
+    labels,
+    series: [...seriesMap.entries()].map(([name, values]) => ({ name, values: labels.map((_, i) => values[i] ?? null) })),
+  }
+}
+
+// [min, max] of a list of numbers; a loop rather than Math.min(...values), which overflows the stack on large results
+export function extent(values) {
+  let min = Infinity
+  let max = -Infinity
+  for (const v of values) {
+    if (v < min) min = v
+    if (v > max) max = v
+  }
+  return [min, max]
+}
+
+// Rounds the data range outwards to "nice" tick steps (1, 2, 5 x 10^n)
+export function niceTicks(min, max, count = 5) {
+  if (min === max) {
+    min = min > 0 ? 0 : min - 1
+    max = max < 0 ? 0 : max + 1
+  }
+  const raw = (max - min) / count
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)))
+  const step = [1, 2, 5, 10].map((m) => m * mag).find((s) => s >= raw)
+  const start = Math.floor(min / step) * step
+  const end = Math.ceil(max / step) * step
+  const ticks = []
+  for (let v = start; v <= end + step / 2; v += step) ticks.push(Number(v.toPrecision(12)))
+  return ticks
+}
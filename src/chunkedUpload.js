@@ -0,0 +1,146 @@
+import { apiFetch, errorFromResponse } from './api'
+
+// Chunked upload contract (JSON bodies unless noted):
+//   POST   /api/uploads                    { filename, size, chunk_size }   -> { upload_id, chunk_size, received: [index] }
+//   GET    /api/uploads/:id                                                 -> { upload_id, size, chunk_size, received: [index] }, 404 once expired
+//   PUT    /api/uploads/:id/chunks/:index  raw bytes, X-Chunk-Checksum: sha256=<hex>
+//                                                                          -> { received: [index] }, 422 when the checksum does not match
+//   POST   /api/uploads/:id/complete       { options }                     -> same body as POST /api/upload ({ table_name, row_count, ... })
+//   DELETE /api/uploads/:id                                                 discards the session
+// The server may answer init with a different chunk_size; the client uses whatever it returns.
+// A 404 on init means the backend only has /api/upload and the caller falls back to it.
+// mock/server.js implements this contract for local development.
+
+export const CHUNK_SIZES = [1, 5, 10, 25, 50].map((mb) => mb * 1024 * 1024)
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024
+
+const SESSIONS_KEY = 'upload_sessions'
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000
+const MAX_ATTEMPTS = 6
+
+// Browsers give no access to a file after a reload, so sessions are matched again when the user re-selects it.
+// The SQLite table is part of the key because one database can feed several uploads at once.
+export function sessionKey(file, options = {}) {
+  return [file.name, file.size, file.lastModified, options.sqlite_table || ''].join('|')
+}
+
+export function loadSessions() {
+  try {
+    const all = JSON.parse(localStorage.getItem(SESSIONS_KEY) || '{}')
+    return Object.fromEntries(Object.entries(all).filter(([, s]) => Date.now() - s.updated < SESSION_MAX_AGE))
+  } catch {
+    return {}
+  }
+}
+
+function saveSession(key, session) {
+  const all = loadSessions()
+  if (session) all[key] = { ...session, updated: Date.now() }
+  else delete all[key]
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(all))
+}
+
+export async function discardSession(key) {
+  const session = loadSessions()[key]
+  saveSession(key, null)
+  if (session) await apiFetch(`/api/uploads/${encodeURIComponent(session.upload_id)}`, { method: 'DELETE' }).catch(() => {})
+}
+
+// crypto.subtle only exists in secure contexts; without it chunks are sent unchecked
+async function sha256Hex(buffer) {
+  if (!globalThis.crypto?.subtle) return null
+  const digest = await crypto.subtle.digest('SHA-256', buffer)
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(t); reject(new DOMException('Aborted', 'AbortError')) }
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve() }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function waitForOnline(signal) {
+  if (typeof navigator === 'undefined' || navigator.onLine !== false) return Promise.resolve()
+  return new Promise((resolve, reject) => {
+    const onOnline = () => { signal?.removeEventListener('abort', onAbort); resolve() }
+    const onAbort = () => { window.removeEventListener('online', onOnline); reject(new DOMException('Aborted', 'AbortError')) }
+    window.addEventListener('online', onOnline, { once: true })
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+async function postJson(path, body, signal) {
+  return apiFetch(path, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), signal })
+}
+
+// Network failures, timeouts, checksum mismatches and 5xx are retried with backoff; other statuses are final
+async function sendChunk(uploadId, file, index, chunkSize, signal) {
+  const bytes = await file.slice(index * chunkSize, (index + 1) * chunkSize).arrayBuffer()
+  const checksum = await sha256Hex(bytes)
+  let lastError
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    await waitForOnline(signal)
+    try {
+      const res = await apiFetch(`/api/uploads/${encodeURIComponent(uploadId)}/chunks/${index}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream', ...(checksum ? { 'X-Chunk-Checksum': `sha256=${checksum}` } : {}) },
+        body: bytes,
+        signal,
+      })
+      if (res.ok) return
+      const error = await errorFromResponse(res)
+      // 422 is a checksum mismatch, worth sending again
+      if (!error.retryable && res.status !== 422) throw Object.assign(error, { final: true })
+      lastError = error
+    } catch (e) {
+      if (e.name === 'AbortError' || e.final) throw e
+      lastError = e.message === 'Failed to fetch' ? new Error('Network error') : e
+    }
+    if (attempt < MAX_ATTEMPTS) await delay(Math.min(30000, 1000 * 2 ** (attempt - 1)), signal)
+  }
+  throw new Error(`Chunk ${index + 1} failed after ${MAX_ATTEMPTS} attempts: ${lastError.message}`)
+}
+
+// Resolves with the upload response; rejects with AbortError when signal fires (the session is kept for resuming)
+export async function uploadInChunks(file, options, { chunkSize = DEFAULT_CHUNK_SIZE, signal, onProgress } = {}) {
+  const key = sessionKey(file, options)
+  let session = loadSessions()[key]
+  let received = []
+  if (session) {
+    const res = await apiFetch(`/api/uploads/${encodeURIComponent(session.upload_id)}`, { signal })
+    if (res.ok) received = (await res.json()).received || []
+    else session = null
+  }
+  if (!session) {
+    const res = await postJson('/api/uploads', { filename: file.name, size: file.size, chunk_size: chunkSize }, signal)
+    if (res.status === 404 || res.status === 405) throw Object.assign(new Error('Chunked uploads are not available'), { name: 'UnsupportedError' })
+    if (!res.ok) throw await errorFromResponse(res)
+    const data = await res.json()
+    session = { upload_id: data.upload_id, chunk_size: data.chunk_size || chunkSize, filename: file.name, size: file.size, options }
+    received = data.received || []
+  }
+
+  const size = session.chunk_size
+  const total = Math.max(1, Math.ceil(file.size / size))
+  const done = new Set(received)
+  const report = () => {
+    const bytes = [...done].reduce((sum, i) => sum + Math.min(size, file.size - i * size), 0)
+    saveSession(key, { ...session, received: done.size, total })
+    onProgress?.(file.size ? Math.round((bytes / file.size) * 100) : 100)
+  }
+  report()
+  for (let i = 0; i < total; i++) {
+    if (done.has(i)) continue
+    await sendChunk(session.upload_id, file, i, size, signal)
+    done.add(i)
+    report()
+  }
+
+  const res = await postJson(`/api/uploads/${encodeURIComponent(session.upload_id)}/complete`, { options }, signal)
+  if (!res.ok) throw await errorFromResponse(res)
+  const result = await res.json()
+  saveSession(key, null)
+  return result
+}
@@ -0,0 +1,134 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { loadSessions, sessionKey, uploadInChunks } from './chunkedUpload'
+
+const CHUNK = 4
+
+// In-memory backend for the chunked upload contract; `fail` maps a chunk index to the statuses its next PUTs answer with
+function fakeServer({ chunkSize = CHUNK, init = 200, fail = {} } = {}) {
+  const uploads = new Map()
+  const calls = []
+  const json = (status, body) => new Response(body === undefined ? null : JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+  const fetch = vi.fn(async (url, { method = 'GET', body, signal } = {}) => {
+    if (signal?.aborted) throw new DOMException('The operation was aborted', 'AbortError')
+    const path = new URL(url).pathname
+    calls.push(`${method} ${path}`)
+    let m
+    if (method === 'POST' && path === '/api/uploads') {
+      if (init !== 200) return json(init, { detail: 'Not Found' })
+      const { size } = JSON.parse(body)
+      const id = `u${uploads.size + 1}`
+      uploads.set(id, { size, received: new Set(), bytes: [] })
+      return json(200, { upload_id: id, chunk_size: chunkSize, received: [] })
+    }
+    if ((m = path.match(/^\/api\/uploads\/(\w+)$/)) && method === 'GET') {
+      const u = uploads.get(m[1])
+      return u ? json(200, { upload_id: m[1], size: u.size, chunk_size: chunkSize, received: [...u.received] }) : json(404, { detail: 'Upload expired' })
+    }
+    if ((m = path.match(/^\/api\/uploads\/(\w+)\/chunks\/(\d+)$/)) && method === 'PUT') {
+      const index = Number(m[2])
+      const status = fail[index]?.shift()
+      if (status) return json(status, { detail: `Chunk failed with ${status}` })
+      const u = uploads.get(m[1])
+      u.received.add(index)
+      u.bytes[index] = new TextDecoder().decode(body)
+      return json(200, { received: [...u.received] })
+    }
+    if ((m = path.match(/^\/api\/uploads\/(\w+)\/complete$/)) && method === 'POST') {
+      const u = uploads.get(m[1])
+      return json(200, { table_name: 'sales', content: u.bytes.join('') })
+    }
+    return json(404, { detail: 'Not Found' })
+  })
+  return { fetch, calls, uploads }
+}
+
+const file = (text = 'abcdefghij') => new File([text], 'sales.csv', { lastModified: 1 })
+
+describe('uploadInChunks', () => {
+  beforeEach(() => localStorage.clear())
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('sends every chunk in order, completes and forgets the session', async () => {
+    const server = fakeServer()
+    vi.stubGlobal('fetch', server.fetch)
+    const progress = []
+    const result = await uploadInChunks(file(), {}, { onProgress: (p) => progress.push(p) })
+    expect(result).toEqual({ table_name: 'sales', content: 'abcdefghij' })
+    expect(server.calls).toEqual([
+      'POST /api/uploads',
+      'PUT /api/uploads/u1/chunks/0',
+      'PUT /api/uploads/u1/chunks/1',
+      'PUT /api/uploads/u1/chunks/2',
+      'POST /api/uploads/u1/complete',
+    ])
+    expect(progress).toEqual([0, 40, 80, 100])
+    expect(loadSessions()).toEqual({})
+  })
+
+  it('resumes a saved session and only sends the chunks the server is missing', async () => {
+    const server = fakeServer()
+    vi.stubGlobal('fetch', server.fetch)
+    const controller = new AbortController()
+    // abort once the first chunk is through, as the pause button does
+    const first = uploadInChunks(file(), {}, { signal: controller.signal, onProgress: (p) => p === 40 && controller.abort() })
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' })
+    expect(loadSessions()[sessionKey(file(), {})]).toMatchObject({ upload_id: 'u1', received: 1, total: 3 })
+
+    server.calls.length = 0
+    const result = await uploadInChunks(file(), {})
+    expect(result.content).toBe('abcdefghij')
+    expect(server.calls).toEqual([
+      'GET /api/uploads/u1',
+      'PUT /api/uploads/u1/chunks/1',
+      'PUT /api/uploads/u1/chunks/2',
+      'POST /api/uploads/u1/complete',
+    ])
+  })
+
+  it('starts a new session when the saved one has expired on the server', async () => {
+    const server = fakeServer()
+    vi.stubGlobal('fetch', server.fetch)
+    localStorage.setItem('upload_sessions', JSON.stringify({
+      [sessionKey(file(), {})]: { upload_id: 'gone', chunk_size: CHUNK, received: 2, total: 3, updated: Date.now() },
+    }))
+    await uploadInChunks(file(), {})
+    expect(server.calls.slice(0, 2)).toEqual(['GET /api/uploads/gone', 'POST /api/uploads'])
+    expect(server.calls).toContain('PUT /api/uploads/u1/chunks/0')
+  })
+
+  it('keeps sessions for different SQLite tables of one file apart', () => {
+    expect(sessionKey(file(), { sqlite_table: 'a' })).not.toBe(sessionKey(file(), { sqlite_table: 'b' }))
+  })
+
+  it('reports a backend without chunked uploads as unsupported', async () => {
+    vi.stubGlobal('fetch', fakeServer({ init: 404 }).fetch)
+    await expect(uploadInChunks(file(), {})).rejects.toMatchObject({ name: 'UnsupportedError' })
+  })
+
+  it('retries a chunk after a server error or a checksum mismatch', async () => {
+    const server = fakeServer({ fail: { 1: [503, 422] } })
+    vi.stubGlobal('fetch', server.fetch)
+    // only the backoff waits are faked; hashing and reading the file still need real turns of the event loop
+    vi.useFakeTimers({ toFake: ['setTimeout'] })
+    try {
+      let settled = false
+      const upload = uploadInChunks(file(), {}).finally(() => { settled = true })
+      while (!settled) {
+        await vi.advanceTimersByTimeAsync(1000)
+        await new Promise((resolve) => setImmediate(resolve))
+      }
+      expect((await upload).content).toBe('abcdefghij')
+    } finally {
+      vi.useRealTimers()
+    }
+    expect(server.calls.filter((c) => c.endsWith('/chunks/1'))).toHaveLength(3)
+  })
+
+  it('gives up at once on a chunk the server rejects, and keeps the session', async () => {
+    const server = fakeServer({ fail: { 0: [400] } })
+    vi.stubGlobal('fetch', server.fetch)
+    await expect(uploadInChunks(file(), {})).rejects.toMatchObject({ status: 400, message: 'Chunk failed with 400' })
+    expect(server.calls.filter((c) => c.startsWith('PUT'))).toHaveLength(1)
+    expect(loadSessions()[sessionKey(file(), {})]).toMatchObject({ upload_id: 'u1', received: 0 })
+  })
+})
@@ -0,0 +1,104 @@
+import { columnName, columnType } from './utils'
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/
+
+// No thousands separators: years, ids and codes are numbers too, and 2,024 reads wrong
+const numberFormat = new Intl.NumberFormat(undefined, { maximumFractionDigits: 6, useGrouping: false })
+
+// Maps a database type name onto the coarse kinds the UI cares about
+export function classifyType(type) {
+  const t = String(type || '').toLowerCase()
+  if (!t) return null
+  if (/bool/.test(t)) return 'boolean'
+  if (/interval/.test(t)) return 'string'
+  if (/date|time/.test(t)) return 'date'
+  if (/^u?(tiny|small|medium|big)?int|integer|serial|float|double|decimal|numeric|real|number|money/.test(t)) return 'number'
+  return 'string'
+}
+
+// Numeric strings with a leading zero ("02134") are codes, not numbers
+const isNumericText = (v) => typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v)) && !/^[-+]?0\d/.test(v.trim())
+
+export function inferKind(values) {
+  const sample = values.filter((v) => v != null && v !== '').slice(0, 200)
+  if (!sample.length) return 'string'
+  if (sample.every((v) => typeof v === 'boolean')) return 'boolean'
+  if (sample.every((v) => typeof v === 'number' || isNumericText(v))) return 'number'
+  if (sample.every((v) => typeof v === 'string' && ISO_DATE_RE.test(v))) return 'date'
+  return 'string'
+}
+
+// Name -> type lookup over the given schemas, which should be those of the tables a query reads.
+// A name the schemas disagree on is left out, so its kind is inferred from the values.
+export function schemaTypeMap(schemas) {
+  const map = {}
+  const conflicting = new Set()
+  Object.values(schemas || {}).forEach((s) => {
+    (s?.columns || []).forEach((c) => {
+      const name = columnName(c)
+      if (!name) return
+      if (name in map && classifyType(map[name]) !== classifyType(columnType(c))) conflicting.add(name)
+      else if (!(name in map)) map[name] = columnType(c)
+    })
+  })
+  conflicting.forEach((name) => delete map[name])
+  return map
+}
+
+export function resolveColumnKinds(cols, rows, typeMap = {}) {
+  const kinds = {}
+  cols.forEach((c) => {
+    kinds[c] = classifyType(typeMap[c]) || inferKind(rows.map((r) => r[c]))
+  })
+  return kinds
+}
+
+export function formatCell(value, kind) {
+  if (value == null) return null
+  if (kind === 'number') {
+    const n = Number(value)
+    return Number.isFinite(n) ? numberFormat.format(n) : String(value)
+  }
+  if (kind === 'date') {
+    const d = new Date(value)
+    if (isNaN(d)) return String(value)
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? d.toLocaleDateString(undefined, { timeZone: 'UTC' }) : d.toLocaleString()
+  }
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// Nulls always sort last, regardless of direction
+export function compareValues(a, b, kind) {
+  if (a == null && b == null) return 0
+  if (a == null) return 1
+  if (b == null) return -1
+  if (kind === 'number') return Number(a) - Number(b)
+  if (kind === 'date') return new Date(a) - new Date(b)
+  return String(a).localeCompare(String(b), undefined, { numeric: true })
+}
+
+// Numeric columns accept comparisons ("> 10", "<= 3.5", "= 0"); everything else is a case-insensitive substring match
+export function matchesFilter(value, filter, kind) {
+  const f = filter.trim()
+  if (!f) return true
+  if (f.toLowerCase() === 'null') return value == null
+  if (kind === 'number') {
+    const m = f.match(/^(>=|<=|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)$/)
+    if (m) {
+      const n = Number(value)
+      if (value == null || !Number.isFinite(n)) return false
+      const target = Number(m[2])
+      switch (m[1]) {
+        case '>': return n > target
+        case '<': return n < target
+        case '>=': return n >= target
+        case '<=': return n <= target
+        case '!=': return n !== target
+        default: return n === target
+      }
+    }
+  }
+  if (value == null) return false
+  return String(value).toLowerCase().includes(f.toLowerCase())
+}
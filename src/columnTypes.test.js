@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import { classifyType, formatCell, inferKind, matchesFilter, schemaTypeMap } from './columnTypes'
+
+describe('classifyType', () => {
+  it('maps database types onto kinds', () => {
+    expect(classifyType('BIGINT')).toBe('number')
+    expect(classifyType('int4')).toBe('number')
+    expect(classifyType('numeric(10,2)')).toBe('number')
+    expect(classifyType('timestamp with time zone')).toBe('date')
+    expect(classifyType('boolean')).toBe('boolean')
+    expect(classifyType('varchar')).toBe('string')
+    expect(classifyType('')).toBeNull()
+  })
+
+  it('does not take intervals or points for numbers', () => {
+    expect(classifyType('interval')).toBe('string')
+    expect(classifyType('point')).toBe('string')
+  })
+})
+
+describe('inferKind', () => {
+  it('reads numeric strings as numbers', () => {
+    expect(inferKind(['1', '2.5', null, '-3'])).toBe('number')
+  })
+
+  it('keeps codes with leading zeros as text', () => {
+    expect(inferKind(['02134', '10001'])).toBe('string')
+    expect(inferKind(['0', '0.5'])).toBe('number')
+  })
+
+  it('recognises ISO dates and booleans', () => {
+    expect(inferKind(['2024-01-31', '2024-02-01T10:00:00Z'])).toBe('date')
+    expect(inferKind([true, false])).toBe('boolean')
+  })
+})
+
+describe('formatCell', () => {
+  it('formats numbers without thousands separators', () => {
+    expect(formatCell(2024, 'number')).toBe('2024')
+    expect(formatCell('1234567.5', 'number')).not.toMatch(/[,\s  ]/)
+  })
+
+  it('passes non-numbers and nulls through', () => {
+    expect(formatCell('n/a', 'number')).toBe('n/a')
+    expect(formatCell(null, 'number')).toBeNull()
+    expect(formatCell({ a: 1 }, 'string')).toBe('{"a":1}')
+  })
+})
+
+describe('schemaTypeMap', () => {
+  it('leaves out names the schemas disagree on', () => {
+    const map = schemaTypeMap({
+      orders: { columns: [{ name: 'id', type: 'integer' }, { name: 'placed_at', type: 'date' }] },
+      codes: { columns: [['id', 'text'], ['placed_at', 'timestamp']] },
+    })
+    expect(map).toEqual({ placed_at: 'date' })
+  })
+})
+
+describe('matchesFilter', () => {
+  it('compares numbers and matches text case-insensitively', () => {
+    expect(matchesFilter(12, '> 10', 'number')).toBe(true)
+    expect(matchesFilter(null, '> 10', 'number')).toBe(false)
+    expect(matchesFilter('Paris', 'par', 'string')).toBe(true)
+    expect(matchesFilter(null, 'null', 'string')).toBe(true)
+  })
+})
@@ -0,0 +1,14 @@
+import { activeProfile } from './connections'
+
+// Everything below comes from the active connection profile (see src/connections.js); the build's VITE_* variables
+// are only the default profile
+const profile = activeProfile()
+
+export const PROFILE_ID = profile.id
+export const PROFILE_NAME = profile.name
+export const BASE_URL = profile.url
+// Sign-in is off unless an identity provider is configured (see src/auth.js)
+export const AUTH_URL = profile.auth_url || ''
+export const AUTH_CLIENT_ID = profile.client_id || 'nlq-web'
+export const API_KEY = profile.api_key || ''
+export const REQUEST_TIMEOUT = profile.timeout_ms
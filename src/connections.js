@@ -0,0 +1,99 @@
+// Connection profiles: named backends the app can be pointed at without rebuilding.
+// Profile: { id, name, url, auth_url, client_id, api_key, timeout_ms }
+//   auth_url   identity provider for sign-in (see src/auth.js); empty means no sign-in
+//   api_key    sent as a bearer token when there is no sign-in, for backends protected by a static key
+//   timeout_ms how long a request may wait for the server (30000)
+// The build's VITE_* variables make up the built-in "default" profile, which cannot be changed or deleted.
+// Profiles and the active id live in localStorage. Switching reloads the page, so every module, session and
+// cached list starts over against the new backend.
+
+const PROFILES_KEY = 'connection_profiles'
+const ACTIVE_KEY = 'connection_profile'
+
+export const DEFAULT_TIMEOUT_MS = 30000
+
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  url: (import.meta?.env?.VITE_BACKEND_URL) || 'http://localhost:8000',
+  auth_url: (import.meta?.env?.VITE_AUTH_URL) || '',
+  client_id: (import.meta?.env?.VITE_AUTH_CLIENT_ID) || 'nlq-web',
+  api_key: '',
+  timeout_ms: DEFAULT_TIMEOUT_MS,
+  builtIn: true,
+}
+
+function readProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]')
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+export function listProfiles() {
+  return [DEFAULT_PROFILE, ...readProfiles()]
+}
+
+export function activeProfile() {
+  const id = localStorage.getItem(ACTIVE_KEY)
+  return listProfiles().find((p) => p.id === id) || DEFAULT_PROFILE
+}
+
+const trimUrl = (url) => String(url || '').trim().replace(/\/+$/, '')
+
+// Returns the field errors for a profile, or an empty list
+export function validateProfile(profile, others = []) {
+  const errors = []
+  if (!profile.name?.trim()) errors.push({ field: 'name', message: 'is required' })
+  else if (others.some((p) => p.id !== profile.id && p.name.trim().toLowerCase() === profile.name.trim().toLowerCase())) errors.push({ field: 'name', message: 'is already used by another profile' })
+  if (!/^https?:\/\/[^\s/]+/i.test(trimUrl(profile.url))) errors.push({ field: 'url', message: 'must start with http:// or https://' })
+  if (profile.auth_url && !/^https?:\/\/[^\s/]+/i.test(trimUrl(profile.auth_url))) errors.push({ field: 'auth_url', message: 'must start with http:// or https://' })
+  if (profile.timeout_ms != null && !(Number(profile.timeout_ms) >= 1000)) errors.push({ field: 'timeout_ms', message: 'must be at least 1000 ms' })
+  return errors
+}
+
+export function saveProfile(profile) {
+  const clean = {
+    id: profile.id || Math.random().toString(36).slice(2, 10),
+    name: profile.name.trim(),
+    url: trimUrl(profile.url),
+    auth_url: trimUrl(profile.auth_url),
+    client_id: profile.client_id?.trim() || DEFAULT_PROFILE.client_id,
+    api_key: profile.api_key?.trim() || '',
+    timeout_ms: Number(profile.timeout_ms) || DEFAULT_TIMEOUT_MS,
+  }
+  const list = readProfiles()
+  const next = list.some((p) => p.id === clean.id) ? list.map((p) => (p.id === clean.id ? clean : p)) : [...list, clean]
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(next))
+  return clean
+}
+
+export function deleteProfile(id) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(readProfiles().filter((p) => p.id !== id)))
+  if (localStorage.getItem(ACTIVE_KEY) === id) localStorage.removeItem(ACTIVE_KEY)
+}
+
+export function switchProfile(id) {
+  if (id === DEFAULT_PROFILE.id) localStorage.removeItem(ACTIVE_KEY)
+  else localStorage.setItem(ACTIVE_KEY, id)
+  window.location.assign('/')
+}
+
+// Pings the profile's root endpoint without credentials; resolves with { ok, ms, message }
+export async function testProfile(profile) {
+  const started = performance.now()
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), Number(profile.timeout_ms) || DEFAULT_TIMEOUT_MS)
+  try {
+    const res = await fetch(`${trimUrl(profile.url)}/`, { signal: controller.signal })
+    const body = await res.json().catch(() => null)
+    const ms = Math.round(performance.now() - started)
+    return { ok: res.ok, ms, message: res.ok ? body?.message || body?.version || 'Reachable' : `Responded with status ${res.status}` }
+  } catch (e) {
+    return { ok: false, ms: null, message: e.name === 'AbortError' ? 'No response before the timeout' : 'Could not reach the server' }
+  } finally {
+    clearTimeout(timer)
+  }
+}
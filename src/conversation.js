@@ -0,0 +1,80 @@
+const STORAGE_KEY = 'conversation_threads'
+const PREVIEW_ROWS = 5
+const CONTEXT_TURNS = 6
+
+function newId() {
+  return Math.random().toString(36).slice(2)
+}
+
+export function createThread(turns = [], parentId = null) {
+  return { id: newId(), createdAt: Date.now(), parentId, turns }
+}
+
+// Only a small preview of each result is kept so threads fit comfortably in localStorage
+export function makeTurn({ question, sql, origin, table, result }) {
+  const rows = result?.rows || result?.data || []
+  return {
+    id: newId(),
+    at: Date.now(),
+    question,
+    sql: sql || null,
+    origin: origin || 'generated',
+    table: table || null,
+    columns: result?.columns || (rows[0] ? Object.keys(rows[0]) : []),
+    rowCount: result?.total_rows ?? rows.length,
+    preview: rows.slice(0, PREVIEW_ROWS),
+  }
+}
+
+export function appendTurn(thread, turn) {
+  return { ...thread, turns: [...thread.turns, turn] }
+}
+
+export function replaceLastTurn(thread, patch) {
+  if (!thread.turns.length) return thread
+  const turns = [...thread.turns]
+  turns[turns.length - 1] = { ...turns[turns.length - 1], ...patch }
+  return { ...thread, turns }
+}
+
+// A branch starts a new thread that shares every turn up to and including `turnId`
+export function branchThread(thread, turnId) {
+  const idx = thread.turns.findIndex((t) => t.id === turnId)
+  return createThread(thread.turns.slice(0, idx + 1), thread.id)
+}
+
+export function threadTitle(thread) {
+  return thread.turns[0]?.question || 'New thread'
+}
+
+// Context sent with follow-up questions so the backend can resolve "that", "those rows", etc.
+export function buildContext(thread, table) {
+  return {
+    thread_id: thread.id,
+    table: table || null,
+    history: thread.turns.slice(-CONTEXT_TURNS).map((t) => ({
+      question: t.question,
+      sql: t.sql,
+      table: t.table,
+      columns: t.columns,
+      row_count: t.rowCount,
+    })),
+  }
+}
+
+export function loadThreads() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(parsed) ? parsed : []
+  } catch {
+    return []
+  }
+}
+
+export function saveThreads(threads) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(threads))
+  } catch {
+    // quota exceeded: keep working in memory
+  }
+}
@@ -0,0 +1,165 @@
+import { request, runQuery } from './api'
+import { withLocalEngine } from './localEngine'
+
+// Dashboard contract:
+//   GET    /api/dashboards          -> { dashboards: [Dashboard] }
+//   GET    /api/dashboards/:id      -> Dashboard
+//   POST   /api/dashboards          Dashboard without id -> Dashboard
+//   PATCH  /api/dashboards/:id      partial Dashboard -> Dashboard
+//   DELETE /api/dashboards/:id
+// Dashboard: { id, name, tiles: [Tile], filters: [Filter], created_at, updated_at }
+// Tile: { id, title, question, sql, origin, table_ids, columns, viz: { view, chart }, layout: { x, y, w, h }, refresh_seconds }
+// Filter: { id, column, type: 'date_range' | 'equals', from, to, value }
+// Tiles re-run their SQL through POST /api/query. As with saved queries, a 404 on the collection keeps dashboards in localStorage.
+
+const LOCAL_KEY = 'dashboards'
+
+export const GRID_COLUMNS = 12
+export const TILE_ROW_LIMIT = 1000
+export const REFRESH_INTERVALS = [[0, 'Manual'], [60, 'Every minute'], [300, 'Every 5 min'], [900, 'Every 15 min'], [3600, 'Hourly']]
+export const FILTER_TYPES = [['date_range', 'Date range'], ['equals', 'Equals']]
+
+let localOnly = false
+
+export function isLocalOnly() {
+  return localOnly
+}
+
+function newId() {
+  return Math.random().toString(36).slice(2, 10)
+}
+
+function readLocal() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_KEY) || '[]')
+  } catch {
+    return []
+  }
+}
+
+function writeLocal(list) {
+  localStorage.setItem(LOCAL_KEY, JSON.stringify(list))
+}
+
+// A 404 on the collection itself means the backend has no dashboards endpoint
+async function call(path = '', init) {
+  try {
+    return await request(`/api/dashboards${path}`, init)
+  } catch (e) {
+    if (e.status !== 404) throw e
+    if (!path) {
+      localOnly = true
+      return null
+    }
+    throw Object.assign(e, { message: 'Dashboard not found' })
+  }
+}
+
+export async function listDashboards() {
+  if (!localOnly) {
+    const data = await call()
+    if (data) return Array.isArray(data) ? data : data.dashboards || []
+  }
+  return readLocal()
+}
+
+export async function getDashboard(id) {
+  const local = readLocal().find((d) => d.id === id)
+  if (localOnly || local) {
+    if (!local) throw new Error('Dashboard not found')
+    return local
+  }
+  return call(`/${encodeURIComponent(id)}`)
+}
+
+export async function createDashboard(name) {
+  const dashboard = { name, tiles: [], filters: [] }
+  if (!localOnly) {
+    const created = await call('', { method: 'POST', body: dashboard })
+    if (created) return created
+  }
+  const now = new Date().toISOString()
+  const saved = { ...dashboard, id: newId(), created_at: now, updated_at: now }
+  writeLocal([...readLocal(), saved])
+  return saved
+}
+
+export async function updateDashboard(id, patch) {
+  if (localOnly || readLocal().some((d) => d.id === id)) {
+    let updated = null
+    writeLocal(readLocal().map((d) => (d.id === id ? (updated = { ...d, ...patch, updated_at: new Date().toISOString() }) : d)))
+    if (!updated) throw new Error('Dashboard not found')
+    return updated
+  }
+  return call(`/${encodeURIComponent(id)}`, { method: 'PATCH', body: patch })
+}
+
+export async function deleteDashboard(id) {
+  if (localOnly || readLocal().some((d) => d.id === id)) {
+    writeLocal(readLocal().filter((d) => d.id !== id))
+    return
+  }
+  await call(`/${encodeURIComponent(id)}`, { method: 'DELETE' })
+}
+
+// New tiles go below everything already on the dashboard
+export function makeTile(tiles, fields) {
+  const w = 6
+  const h = fields.viz?.view === 'chart' ? 5 : 4
+  const y = tiles.reduce((max, t) => Math.max(max, t.layout.y + t.layout.h), 0)
+  return { id: newId(), refresh_seconds: 0, columns: [], table_ids: [], ...fields, layout: { x: 0, y, w, h } }
+}
+
+export function makeFilter(column) {
+  return { id: newId(), column, type: 'date_range', from: '', to: '', value: '' }
+}
+
+const overlaps = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h
+
+// Keeps the moved tile where it was dropped and pushes anything it lands on further down
+export function placeTile(tiles, id, layout) {
+  const placed = [{ ...tiles.find((t) => t.id === id), layout }]
+  const rest = tiles.filter((t) => t.id !== id).sort((a, b) => a.layout.y - b.layout.y || a.layout.x - b.layout.x)
+  rest.forEach((t) => {
+    const next = { ...t.layout }
+    let hit
+    while ((hit = placed.find((p) => overlaps(p.layout, next)))) next.y = hit.layout.y + hit.layout.h
+    placed.push({ ...t, layout: next })
+  })
+  const order = Object.fromEntries(tiles.map((t, i) => [t.id, i]))
+  return placed.sort((a, b) => order[a.id] - order[b.id])
+}
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`
+const quoteString = (value) => `'${String(value).replace(/'/g, "''")}'`
+const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '')
+
+const nextDay = (iso) => new Date(Date.parse(`${iso}T00:00:00Z`) + 86400000).toISOString().slice(0, 10)
+
+// Clauses stay dialect-neutral so they run on the server and in the in-browser SQLite engine alike: ISO dates are
+// compared as plain literals (which date columns and ISO text both order correctly), and the end of a range is
+// exclusive of the next day so timestamps on the last day still count
+function filterClauses(f) {
+  const col = quoteIdent(f.column)
+  if (f.type === 'date_range') {
+    return [
+      isDate(f.from) && `${col} >= ${quoteString(f.from)}`,
+      isDate(f.to) && `${col} < ${quoteString(nextDay(f.to))}`,
+    ].filter(Boolean)
+  }
+  return f.value !== '' && f.value != null ? [`CAST(${col} AS TEXT) = ${quoteString(f.value)}`] : []
+}
+
+// Global filters wrap the tile's SQL, and only apply to tiles whose result has the filtered column.
+// They filter the tile's output, so a LIMIT inside the tile's own query is applied first.
+export function applyFilters(sql, filters, columns) {
+  const clauses = filters.filter((f) => f.column && columns.includes(f.column)).flatMap(filterClauses)
+  if (!clauses.length) return sql
+  return `SELECT * FROM (${sql.trim().replace(/;\s*$/, '')}) AS dashboard_tile WHERE ${clauses.join(' AND ')}`
+}
+
+// Tiles over tables loaded into the browser keep refreshing while the server is unreachable
+export function runTileQuery(sql, { signal } = {}) {
+  const body = { sql, offset: 0, limit: TILE_ROW_LIMIT }
+  return withLocalEngine(body, () => runQuery(body, { signal }), { preferLocal: localStorage.getItem('local_engine') === 'on' })
+}
@@ -0,0 +1,57 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import initSqlJs from 'sql.js'
+import { applyFilters, makeFilter, placeTile } from './dashboards'
+
+const TILE_SQL = 'SELECT region, sold_at, amount FROM sales;'
+const equals = (column, value) => ({ ...makeFilter(column), type: 'equals', value })
+const range = (column, from, to) => ({ ...makeFilter(column), from, to })
+
+describe('applyFilters', () => {
+  it('leaves the SQL alone without filters that apply', () => {
+    expect(applyFilters(TILE_SQL, [], ['region'])).toBe(TILE_SQL)
+    expect(applyFilters(TILE_SQL, [equals('country', 'FR')], ['region'])).toBe(TILE_SQL)
+    expect(applyFilters(TILE_SQL, [makeFilter('region')], ['region'])).toBe(TILE_SQL)
+  })
+
+  it('wraps the tile query and quotes names and values', () => {
+    const sql = applyFilters(TILE_SQL, [equals('re"gion', "O'Hare")], ['re"gion'])
+    expect(sql).toBe(`SELECT * FROM (SELECT region, sold_at, amount FROM sales) AS dashboard_tile WHERE CAST("re""gion" AS TEXT) = 'O''Hare'`)
+  })
+
+  it('ignores dates that are not yyyy-mm-dd', () => {
+    const filter = range('sold_at', '2024-01-01', "2024-02-01' OR 1=1 --")
+    expect(applyFilters(TILE_SQL, [filter], ['sold_at'])).toBe(`SELECT * FROM (SELECT region, sold_at, amount FROM sales) AS dashboard_tile WHERE "sold_at" >= '2024-01-01'`)
+  })
+
+  // the clauses must run on the in-browser engine too, which is SQLite
+  describe('in SQLite', () => {
+    let db
+    beforeAll(async () => {
+      const SQL = await initSqlJs()
+      db = new SQL.Database()
+      db.run('CREATE TABLE sales (region TEXT, sold_at TEXT, amount INTEGER)')
+      db.run(`INSERT INTO sales VALUES ('EU', '2024-01-31', 1), ('EU', '2024-02-01 09:30:00', 2), ('US', '2024-02-01', 3),
+        ('EU', '2024-02-02', 4), ('EU', '2023-12-31T23:59:59', 5)`)
+    })
+    const amounts = (sql) => db.exec(sql)[0]?.values.map((r) => r[2]) || []
+
+    it('includes every time on the last day of a date range', () => {
+      const filter = range('sold_at', '2024-01-01', '2024-02-01')
+      expect(amounts(applyFilters(TILE_SQL, [filter], ['sold_at']))).toEqual([1, 2, 3])
+    })
+
+    it('matches values against numbers and text alike', () => {
+      expect(amounts(applyFilters(TILE_SQL, [equals('amount', '4')], ['amount']))).toEqual([4])
+      expect(amounts(applyFilters(TILE_SQL, [equals('region', 'US'), equals('amount', '3')], ['region', 'amount']))).toEqual([3])
+    })
+  })
+})
+
+describe('placeTile', () => {
+  const tile = (id, x, y, w = 6, h = 2) => ({ id, layout: { x, y, w, h } })
+
+  it('pushes overlapped tiles down and keeps the original order', () => {
+    const placed = placeTile([tile('a', 0, 0), tile('b', 6, 0), tile('c', 0, 2)], 'a', { x: 0, y: 1, w: 6, h: 2 })
+    expect(placed.map((t) => [t.id, t.layout.y])).toEqual([['a', 1], ['b', 0], ['c', 3]])
+  })
+})
@@ -0,0 +1,146 @@
+import { request } from './api'
+import { tokenizeSql } from './sql'
+import { columnName } from './utils'
+
+// Explanation and clarification contract for /api/query and /api/query/stream:
+//   request  { ..., explain: true }                 ask for an explanation alongside the result
+//   request  { ..., clarification: { option_id } }  answer a clarification prompt and run the chosen reading
+//   response { ..., explanation: Explanation }
+//   response { status: 'needs_clarification', clarification: { prompt, phrase, options: [{ id, label, description, sql }] } }
+//            returned instead of rows when the question has more than one reading; over SSE it is a `clarification` event
+// Explanation: { steps: [{ text, sql }], mappings: [{ phrase, start, end, table, column }] }
+// Without an explanation in the response, POST /api/query/explain { sql, question } -> Explanation is tried, and on 404
+// the steps are derived from the SQL here and question words are matched against the loaded schemas.
+
+export function needsClarification(data) {
+  return data?.status === 'needs_clarification' || !!data?.clarification
+}
+
+export async function explainQuery({ sql, question, schemas }) {
+  try {
+    return await request('/api/query/explain', { method: 'POST', body: { sql, question } })
+  } catch (e) {
+    if (e.status !== 404) throw e
+  }
+  return { steps: describeSql(sql), mappings: mapQuestion(question, sql, schemas), local: true }
+}
+
+const CLAUSE_WORDS = { with: 'WITH', select: 'SELECT', from: 'FROM', where: 'WHERE', group: 'GROUP BY', having: 'HAVING', order: 'ORDER BY', limit: 'LIMIT' }
+const JOIN_WORDS = new Set(['join', 'left', 'right', 'inner', 'outer', 'full', 'cross', 'natural'])
+
+// Splits the outermost statement into its clauses; anything inside parentheses stays with its clause.
+// JOIN clauses keep their keywords ("LEFT JOIN x ON ...") so the description can tell the join kinds apart.
+function splitClauses(sql) {
+  const clauses = []
+  let depth = 0
+  let current = null
+  tokenizeSql(sql.trim().replace(/;\s*$/, '')).forEach((t) => {
+    const word = depth === 0 && (t.type === 'keyword' || t.type === 'identifier') ? t.text.toLowerCase() : null
+    if (t.text === '(') depth++
+    if (t.text === ')') depth--
+    if (word && JOIN_WORDS.has(word)) {
+      const continuing = current?.name === 'JOIN' && current.body.trim().split(/\s+/).every((w) => JOIN_WORDS.has(w.toLowerCase()) && w.toLowerCase() !== 'join')
+      if (!continuing) {
+        current = { name: 'JOIN', body: '' }
+        clauses.push(current)
+      }
+    } else if (word && CLAUSE_WORDS[word]) {
+      current = { name: CLAUSE_WORDS[word], body: '' }
+      clauses.push(current)
+      return
+    }
+    if (current) current.body += t.text
+  })
+  return clauses.map((c) => ({ ...c, body: c.body.replace(/^\s*(by\b)?\s*/i, '').replace(/\s+/g, ' ').trim() }))
+}
+
+const sortTerms = (body) => body.replace(/\s+asc\b/gi, '').replace(/\s+desc\b/gi, ' (highest first)')
+
+const DESCRIBE = {
+  WITH: (b) => `Prepare the helper ${/\),\s*\w+\s+as\s*\(/i.test(b) ? 'queries' : 'query'} ${[...b.matchAll(/(\w+)\s+as\s*\(/gi)].map((m) => m[1]).join(', ')} first`,
+  FROM: (b) => `Read rows from ${b}`,
+  JOIN: (b) => {
+    const [, kinds, rest] = b.match(/^((?:\w+\s+)*?)join\s+([\s\S]*)$/i) || [null, '', b]
+    const kind = kinds.trim().split(/\s+/)[0].toLowerCase()
+    const [table, on] = rest.split(/\s+on\s+/i)
+    const keep = { left: ', keeping every row from the left side', right: ', keeping every row from the right side', full: ', keeping unmatched rows from both sides' }[kind] || ''
+    return on ? `Combine with ${table} where ${on}${keep}` : `Combine with ${table}${keep}`
+  },
+  WHERE: (b) => `Keep only rows where ${b}`,
+  'GROUP BY': (b) => `Group rows that share the same ${b}`,
+  HAVING: (b) => `Keep only groups where ${b}`,
+  SELECT: (b) => (/^distinct\b/i.test(b) ? `Return the distinct combinations of ${b.replace(/^distinct\s+/i, '')}` : `Return ${b}`),
+  'ORDER BY': (b) => `Sort by ${sortTerms(b)}`,
+  LIMIT: (b) => `Keep the first ${b} rows`,
+}
+
+// Database engines evaluate clauses in this order, which reads better than the written one
+const LOGICAL_ORDER = ['WITH', 'FROM', 'JOIN', 'WHERE', 'GROUP BY', 'HAVING', 'SELECT', 'ORDER BY', 'LIMIT']
+
+export function describeSql(sql) {
+  if (!sql) return []
+  return splitClauses(sql)
+    .filter((c) => c.body)
+    .sort((a, b) => LOGICAL_ORDER.indexOf(a.name) - LOGICAL_ORDER.indexOf(b.name))
+    .map((c) => ({ text: DESCRIBE[c.name](c.body), sql: c.name === 'JOIN' ? c.body : `${c.name} ${c.body}` }))
+}
+
+const normalize = (s) => String(s).toLowerCase().replace(/[_\s]+/g, ' ').trim()
+const stem = (w) => w.replace(/ies$/, 'y').replace(/(?<!s)s$/, '')
+const words = (s) => normalize(s).split(' ').filter(Boolean).map(stem)
+
+// Finds question words that name a table or column. A bare word that is only part of a name ("cost" in unit_cost)
+// counts when that column is used in the SQL, which is how an ambiguous word shows the column that was picked.
+export function mapQuestion(question, sql, schemas = []) {
+  if (!question) return []
+  const used = new Set(tokenizeSql(sql || '').filter((t) => t.type === 'identifier').map((t) => t.text.replace(/^["`]|["`]$/g, '').toLowerCase()))
+  const names = schemas.flatMap((s) => [
+    { table: s.name, column: null, words: words(s.name), used: used.has(String(s.name).toLowerCase()) },
+    ...(s.columns || []).map((c) => ({ table: s.name, column: columnName(c), words: words(columnName(c)), used: used.has(columnName(c).toLowerCase()) })),
+  ])
+  const tokens = [...question.matchAll(/[A-Za-z0-9_]+/g)].map((m) => ({ text: m[0], start: m.index, end: m.index + m[0].length, stem: stem(m[0].toLowerCase()) }))
+  const mappings = []
+  for (let i = 0; i < tokens.length;) {
+    let match = null
+    for (let len = Math.min(3, tokens.length - i); len >= 1 && !match; len--) {
+      const span = tokens.slice(i, i + len).map((t) => t.stem)
+      const exact = names.filter((n) => n.words.join(' ') === span.join(' '))
+      const partial = len === 1 ? names.filter((n) => n.used && n.words.length > 1 && n.words.includes(span[0])) : []
+      const candidates = [...exact, ...partial]
+      const best = candidates.find((n) => n.used) || exact[0]
+      if (best) match = { len, name: best }
+    }
+    if (match) {
+      const first = tokens[i]
+      const last = tokens[i + match.len - 1]
+      mappings.push({ phrase: question.slice(first.start, last.end), start: first.start, end: last.end, table: match.name.table, column: match.name.column })
+      i += match.len
+    } else {
+      i++
+    }
+  }
+  return mappings
+}
+
+// Backends may send mappings without offsets; those are located by their first case-insensitive occurrence
+export function highlightSegments(question, mappings = []) {
+  const lower = question.toLowerCase()
+  const spans = mappings
+    .map((m) => {
+      if (m.start != null && m.end != null) return m
+      const start = lower.indexOf(String(m.phrase).toLowerCase())
+      return { ...m, start, end: start + String(m.phrase).length }
+    })
+    .filter((m) => m.start >= 0)
+    .sort((a, b) => a.start - b.start)
+  const segments = []
+  let pos = 0
+  spans.forEach((m) => {
+    if (m.start < pos) return
+    if (m.start > pos) segments.push({ text: question.slice(pos, m.start) })
+    segments.push({ text: question.slice(m.start, m.end), mapping: m })
+    pos = m.end
+  })
+  if (pos < question.length) segments.push({ text: question.slice(pos) })
+  return segments
+}
@@ -0,0 +1,200 @@
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', ext: 'csv' },
+  { id: 'xlsx', label: 'Excel (XLSX)', ext: 'xlsx' },
+  { id: 'json', label: 'JSON', ext: 'json' },
+  { id: 'ndjson', label: 'NDJSON', ext: 'ndjson' },
+  { id: 'arrow', label: 'Arrow IPC', ext: 'arrow' },
+  { id: 'markdown', label: 'Markdown table', ext: 'md' },
+]
+
+export const CSV_ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'utf-16le', label: 'UTF-16 LE (Excel)' },
+  { id: 'iso-8859-1', label: 'Latin-1' },
+]
+
+function cellText(v) {
+  if (v == null) return ''
+  if (typeof v === 'object') return JSON.stringify(v)
+  return String(v)
+}
+
+export function exportFilename(base, ext) {
+  const slug = String(base || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '')
+  return `${slug || 'results'}.${ext}`
+}
+
+export function toDelimited(cols, rows, delimiter = ',') {
+  const quote = (v) => {
+    const s = cellText(v)
+    if (s.includes(delimiter) || s.includes('\n') || s.includes('\r') || s.includes('"')) return `"${s.replace(/"/g, '""')}"`
+    return s
+  }
+  return [cols, ...rows.map((r) => cols.map((c) => r[c]))].map((r) => r.map(quote).join(delimiter)).join('\r\n')
+}
+
+// TextEncoder only speaks UTF-8, so the other encodings are written by hand
+export function encodeText(text, encoding = 'utf-8', bom = false) {
+  if (encoding === 'utf-16le') {
+    const out = new Uint8Array((text.length + (bom ? 1 : 0)) * 2)
+    let o = 0
+    if (bom) { out[o++] = 0xff; out[o++] = 0xfe }
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i)
+      out[o++] = code & 0xff
+      out[o++] = code >> 8
+    }
+    return out
+  }
+  if (encoding === 'iso-8859-1') {
+    const out = new Uint8Array(text.length)
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i)
+      out[i] = code < 256 ? code : 0x3f
+    }
+    return out
+  }
+  const body = new TextEncoder().encode(text)
+  if (!bom) return body
+  const out = new Uint8Array(body.length + 3)
+  out.set([0xef, 0xbb, 0xbf])
+  out.set(body, 3)
+  return out
+}
+
+export function toJson(cols, rows) {
+  return JSON.stringify(rows.map((r) => Object.fromEntries(cols.map((c) => [c, r[c] ?? null]))), null, 2)
+}
+
+export function toNdjson(cols, rows) {
+  return rows.map((r) => JSON.stringify(Object.fromEntries(cols.map((c) => [c, r[c] ?? null])))).join('\n')
+}
+
+export function toMarkdown(cols, rows) {
+  const esc = (v) => cellText(v).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>')
+  const lines = [
+    `| ${cols.map(esc).join(' | ')} |`,
+    `| ${cols.map(() => '---').join(' | ')} |`,
+    ...rows.map((r) => `| ${cols.map((c) => esc(r[c])).join(' | ')} |`),
+  ]
+  return lines.join('\n')
+}
+
+// Minimal XLSX: a single sheet with inline strings, packed into an uncompressed zip
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function zipStore(files) {
+  const enc = new TextEncoder()
+  const chunks = []
+  const central = []
+  let offset = 0
+  files.forEach(({ name, data }) => {
+    const nameBytes = enc.encode(name)
+    const body = typeof data === 'string' ? enc.encode(data) : data
+    const crc = crc32(body)
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(6, 0x0800, true)
+    local.setUint16(8, 0, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, body.length, true)
+    local.setUint32(22, body.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    chunks.push(new Uint8Array(local.buffer), nameBytes, body)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true)
+    entry.setUint16(4, 20, true)
+    entry.setUint16(6, 20, true)
+    entry.setUint16(8, 0x0800, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, body.length, true)
+    entry.setUint32(24, body.length, true)
+    entry.setUint16(28, nameBytes.length, true)
+    entry.setUint32(42, offset, true)
+    central.push(new Uint8Array(entry.buffer), nameBytes)
+    offset += 30 + nameBytes.length + body.length
+  })
+  const centralSize = central.reduce((sum, c) => sum + c.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+}
+
+function xmlEscape(s) {
+  // strip control characters XML 1.0 cannot carry
+  return s.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function columnLetter(i) {
+  let s = ''
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s
+  return s
+}
+
+export function toXlsx(cols, rows, sheetName = 'Results') {
+  const cell = (v, ref) => {
+    if (typeof v === 'number' && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`
+    if (typeof v === 'boolean') return `<c r="${ref}" t="b"><v>${v ? 1 : 0}</v></c>`
+    if (v == null) return ''
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(cellText(v))}</t></is></c>`
+  }
+  const sheetRows = [cols, ...rows.map((r) => cols.map((c) => r[c]))].map((values, ri) => (
+    `<row r="${ri + 1}">${values.map((v, ci) => cell(ri === 0 ? String(v) : v, `${columnLetter(ci)}${ri + 1}`)).join('')}</row>`
+  ))
+  const safeSheet = xmlEscape(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Results')
+  return zipStore([
+    { name: '[Content_Types].xml', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>' },
+    { name: '_rels/.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>' },
+    { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${safeSheet}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+    { name: 'xl/_rels/workbook.xml.rels', data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>' },
+    { name: 'xl/worksheets/sheet1.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows.join('')}</sheetData></worksheet>` },
+  ])
+}
+
+// apache-arrow is large, so it is only loaded when someone actually exports Arrow
+export async function toArrow(cols, rows) {
+  const { tableFromJSON, tableToIPC } = await import('apache-arrow')
+  const table = tableFromJSON(rows.map((r) => Object.fromEntries(cols.map((c) => [c, r[c] ?? null]))))
+  return new Blob([tableToIPC(table, 'file')], { type: 'application/vnd.apache.arrow.file' })
+}
+
+export async function buildExport(format, cols, rows, options = {}) {
+  switch (format) {
+    case 'csv': {
+      const text = toDelimited(cols, rows, options.delimiter || ',')
+      const charset = options.encoding || 'utf-8'
+      return new Blob([encodeText(text, charset, options.bom)], { type: `text/csv;charset=${charset}` })
+    }
+    case 'xlsx': return toXlsx(cols, rows, options.sheetName)
+    case 'json': return new Blob([toJson(cols, rows)], { type: 'application/json' })
+    case 'ndjson': return new Blob([toNdjson(cols, rows)], { type: 'application/x-ndjson' })
+    case 'arrow': return toArrow(cols, rows)
+    case 'markdown': return new Blob([toMarkdown(cols, rows)], { type: 'text/markdown' })
+    default: throw new Error(`Unknown export format: ${format}`)
+  }
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest'
+import { encodeText, exportFilename, toDelimited, toJson, toMarkdown, toNdjson } from './exporters'
+
+const cols = ['name', 'note']
+const rows = [{ name: 'a', note: 'x, "y"' }, { name: 'b', note: null }, { name: 'c|d', note: 'two\nlines' }]
+
+describe('exporters', () => {
+  it('quotes delimited cells only when needed', () => {
+    expect(toDelimited(cols, rows)).toBe('name,note\r\na,"x, ""y"""\r\nb,\r\nc|d,"two\nlines"')
+    expect(toDelimited(cols, rows.slice(0, 1), '\t')).toBe('name\tnote\r\na\t"x, ""y"""')
+  })
+
+  it('writes JSON and NDJSON with nulls for missing cells', () => {
+    expect(JSON.parse(toJson(cols, [{ name: 'a' }]))).toEqual([{ name: 'a', note: null }])
+    expect(toNdjson(cols, rows.slice(0, 2)).split('\n').map(JSON.parse)).toEqual([{ name: 'a', note: 'x, "y"' }, { name: 'b', note: null }])
+  })
+
+  it('escapes pipes and line breaks in Markdown', () => {
+    expect(toMarkdown(cols, rows.slice(2))).toBe('| name | note |\n| --- | --- |\n| c\\|d | two<br>lines |')
+  })
+
+  it('encodes with an optional byte order mark', () => {
+    expect([...encodeText('é', 'utf-8', true)]).toEqual([0xef, 0xbb, 0xbf, 0xc3, 0xa9])
+    expect([...encodeText('é€', 'iso-8859-1')]).toEqual([0xe9, 0x3f])
+    expect([...encodeText('a', 'utf-16le', true)]).toEqual([0xff, 0xfe, 0x61, 0x00])
+  })
+
+  it('builds file names from the question', () => {
+    expect(exportFilename('Top 10 customers by revenue?', 'csv')).toBe('top-10-customers-by-revenue.csv')
+    expect(exportFilename('', 'json')).toBe('results.json')
+  })
+})
@@ -0,0 +1,258 @@
+import { readXlsx } from './xlsxReader'
+import { DEFAULT_FLATTEN, looksLikeNdjson, readJsonPreview, readNdjsonPreview } from './jsonReader'
+import { readParquet } from './parquetReader'
+import { SQLITE_PREVIEW_BYTES, readSqlite } from './sqliteReader'
+
+export const PREVIEW_ROWS = 20
+export const CSV_PREVIEW_BYTES = 1024 * 1024
+
+export const TEXT_ENCODINGS = ['utf-8', 'utf-16le', 'windows-1252', 'iso-8859-1', 'shift_jis', 'gbk']
+
+export const DELIMITER_OPTIONS = [
+  { id: ',', label: 'Comma (,)' },
+  { id: ';', label: 'Semicolon (;)' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe (|)' },
+]
+
+export const COLUMN_TYPES = ['auto', 'text', 'integer', 'float', 'boolean', 'date', 'datetime']
+
+export const FORMAT_LABELS = { csv: 'CSV', xlsx: 'Excel', xls: 'Excel', json: 'JSON', ndjson: 'NDJSON', parquet: 'Parquet', sqlite: 'SQLite' }
+
+// Only delimited text and spreadsheets have a header row to pick; the other formats carry column names
+export const HEADER_KINDS = ['csv', 'xlsx', 'xls']
+
+const ALLOWED_TYPES = [
+  'text/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/json',
+  'application/x-ndjson',
+  'application/vnd.apache.parquet',
+  'application/vnd.sqlite3',
+  'application/x-sqlite3',
+]
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.parquet', '.sqlite', '.sqlite3', '.db']
+
+const MAGIC_BYTES = [
+  { kind: 'parquet', bytes: [0x50, 0x41, 0x52, 0x31] },
+  { kind: 'sqlite', bytes: Array.from('SQLite format 3\0', (c) => c.charCodeAt(0)) },
+  { kind: 'xlsx', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { kind: 'xls', bytes: [0xd0, 0xcf, 0x11, 0xe0] },
+]
+
+export const ACCEPT_ATTRIBUTE = ALLOWED_EXTENSIONS.join(',')
+
+export function isSupportedFile(file) {
+  const name = file.name.toLowerCase()
+  return ALLOWED_TYPES.includes(file.type) || ALLOWED_EXTENSIONS.some((ext) => name.endsWith(ext))
+}
+
+export function fileKind(file) {
+  const name = file.name.toLowerCase()
+  if (name.endsWith('.xlsx')) return 'xlsx'
+  if (name.endsWith('.xls')) return 'xls'
+  if (name.endsWith('.json')) return 'json'
+  if (name.endsWith('.ndjson') || name.endsWith('.jsonl')) return 'ndjson'
+  if (name.endsWith('.parquet')) return 'parquet'
+  if (/\.(sqlite3?|db)$/.test(name)) return 'sqlite'
+  return 'csv'
+}
+
+// Binary formats are recognised by their signature, JSON by its first characters; the extension
+// only decides when the content is ambiguous. Throws when a file is not what its name claims.
+export async function detectFormat(file) {
+  const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer())
+  const magic = MAGIC_BYTES.find((m) => m.bytes.every((b, i) => head[i] === b))
+  if (magic) return magic.kind
+  const byName = fileKind(file)
+  if (byName === 'parquet' || byName === 'sqlite' || byName === 'xlsx') {
+    throw new Error(`${file.name} is not a valid ${FORMAT_LABELS[byName]} file`)
+  }
+  if (byName === 'json' || byName === 'ndjson') {
+    const text = decodeText(head).trimStart()
+    if (!/^[[{]/.test(text)) throw new Error(`${file.name} does not contain JSON`)
+    return byName === 'ndjson' || looksLikeNdjson(text) ? 'ndjson' : 'json'
+  }
+  return byName
+}
+
+// RFC 4180-ish: quoted fields may contain delimiters, doubled quotes and newlines
+export function parseDelimited(text, delimiter, maxRows = Infinity) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let i = 0
+  if (text.charCodeAt(0) === 0xfeff) i = 1
+  for (; i < text.length && rows.length < maxRows; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++ } else quoted = false
+      } else field += ch
+    } else if (ch === '"' && field === '') {
+      quoted = true
+    } else if (ch === delimiter) {
+      row.push(field)
+      field = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else field += ch
+  }
+  if ((field !== '' || row.length) && rows.length < maxRows) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+// Picks the candidate that splits the first lines into the most consistent, widest rows;
+// preamble lines above the header do not count against a delimiter
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).slice(0, 20).filter(Boolean).join('\n')
+  let best = ','
+  let bestScore = 0
+  DELIMITER_OPTIONS.forEach(({ id }) => {
+    const counts = {}
+    parseDelimited(sample, id, 20).forEach((r) => {
+      if (r.length > 1) counts[r.length] = (counts[r.length] || 0) + 1
+    })
+    Object.entries(counts).forEach(([width, n]) => {
+      const score = Number(width) * n * n
+      if (score > bestScore) { best = id; bestScore = score }
+    })
+  })
+  return best
+}
+
+export function decodeText(buffer, encoding = 'utf-8') {
+  try {
+    return new TextDecoder(encoding).decode(buffer)
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer)
+  }
+}
+
+const INT_RE = /^[-+]?\d+$/
+const FLOAT_RE = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i
+const BOOL_RE = /^(true|false|yes|no|y|n|t|f)$/i
+const DATE_RE = /^(\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})$/
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/
+
+// Values with leading zeros (zip codes, ids) stay text so they are not turned into integers
+export function guessColumnType(values) {
+  const sample = values.map((v) => String(v ?? '').trim()).filter(Boolean)
+  if (!sample.length) return 'text'
+  if (sample.some((v) => /^[-+]?0\d/.test(v))) return 'text'
+  if (sample.every((v) => INT_RE.test(v))) return 'integer'
+  if (sample.every((v) => FLOAT_RE.test(v))) return 'float'
+  if (sample.every((v) => BOOL_RE.test(v))) return 'boolean'
+  if (sample.every((v) => DATETIME_RE.test(v))) return 'datetime'
+  if (sample.every((v) => DATE_RE.test(v))) return 'date'
+  return 'text'
+}
+
+export function suggestTableName(filename) {
+  return filename.replace(/\.[^.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'uploaded_table'
+}
+
+// The header is usually the first row as wide as the bulk of the data; anything above it is preamble
+export function guessHeaderRow(rawRows) {
+  const counts = {}
+  rawRows.forEach((r) => {
+    const width = r.filter((v) => String(v).trim() !== '').length
+    if (width > 1) counts[width] = (counts[width] || 0) + 1
+  })
+  const [mode] = Object.entries(counts).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0] || []
+  if (!mode) return rawRows.length ? 1 : 0
+  const idx = rawRows.findIndex((r) => r.filter((v) => String(v).trim() !== '').length === Number(mode))
+  return idx + 1
+}
+
+// headerRow is 1-based; 0 means the file has no header and columns are numbered.
+// types holds column types declared by the file itself (Parquet, SQLite), which win over guessing.
+export function buildPreview(rawRows, headerRow, types = []) {
+  const header = headerRow > 0 ? rawRows[headerRow - 1] || [] : []
+  const body = rawRows.slice(Math.max(0, headerRow))
+  const width = Math.max(header.length, ...body.map((r) => r.length), 0)
+  const seen = {}
+  const columns = Array.from({ length: width }, (_, i) => {
+    let name = String(header[i] ?? '').trim() || `column_${i + 1}`
+    if (seen[name]) name = `${name}_${++seen[name]}`
+    else seen[name] = 1
+    return { source: name, index: i, guessedType: types[i] || guessColumnType(body.map((r) => r[i])) }
+  })
+  return { columns, rows: body.slice(0, PREVIEW_ROWS) }
+}
+
+// Reads just enough of the file to preview it; options carry delimiter/encoding/sheet/flatten/table overrides.
+// Formats with their own column names report headerRow 1 so the caller does not guess one.
+export async function readPreviewRows(file, options = {}) {
+  const kind = await detectFormat(file)
+  const maxRows = PREVIEW_ROWS + 20
+  if (kind === 'json' || kind === 'ndjson') {
+    const flatten = options.flatten || DEFAULT_FLATTEN
+    try {
+      const parsed = kind === 'json'
+        ? await readJsonPreview(file, { flatten, maxRows })
+        : await readNdjsonPreview(file, { flatten, maxRows, bytes: CSV_PREVIEW_BYTES })
+      return { kind, headerRow: 1, ...parsed }
+    } catch (e) {
+      // a .json file holding one record per line is really NDJSON
+      if (kind !== 'json' || !(e instanceof SyntaxError)) throw e
+      try {
+        return { kind: 'ndjson', headerRow: 1, ...(await readNdjsonPreview(file, { flatten, maxRows, bytes: CSV_PREVIEW_BYTES })) }
+      } catch {
+        throw new Error(`Invalid JSON: ${e.message}`)
+      }
+    }
+  }
+  if (kind === 'parquet') {
+    return { kind, headerRow: 1, ...(await readParquet(file, { maxRows })) }
+  }
+  if (kind === 'sqlite') {
+    if (file.size > SQLITE_PREVIEW_BYTES) {
+      return { kind, rows: [], unsupported: 'This database is too large to open in the browser; its first table will be imported with default options.' }
+    }
+    return { kind, headerRow: 1, ...(await readSqlite(file, { table: options.sqliteTable, maxRows })) }
+  }
+  if (kind === 'xlsx') {
+    const { sheets, sheet, rows } = await readXlsx(await file.arrayBuffer(), { sheet: options.sheet, maxRows })
+    return { kind, sheets, sheet, rows }
+  }
+  if (kind === 'xls') {
+    return { kind, rows: [], unsupported: 'Legacy .xls files cannot be previewed in the browser; they will be imported with default options.' }
+  }
+  const text = decodeText(await file.slice(0, CSV_PREVIEW_BYTES).arrayBuffer(), options.encoding)
+  const delimiter = options.delimiter || detectDelimiter(text)
+  return { kind, delimiter, rows: parseDelimited(text, delimiter, maxRows) }
+}
+
+// format tells the backend which reader to use; flatten/record_path and sqlite_table only apply to their formats
+export function buildUploadOptions({ kind, delimiter, encoding, headerRow, sheet, tableName, columns, flatten = DEFAULT_FLATTEN, recordPath, sqliteTable }) {
+  return {
+    table_name: tableName,
+    format: kind,
+    ...(HEADER_KINDS.includes(kind) ? { header_row: headerRow } : {}),
+    ...(kind === 'csv' ? { delimiter, encoding } : {}),
+    ...(kind === 'xlsx' && sheet ? { sheet } : {}),
+    ...(kind === 'json' || kind === 'ndjson' ? {
+      flatten: { strategy: flatten.strategy, max_depth: flatten.maxDepth },
+      ...(recordPath ? { record_path: recordPath } : {}),
+    } : {}),
+    ...(kind === 'sqlite' && sqliteTable ? { sqlite_table: sqliteTable } : {}),
+    ...(columns.length ? {
+      columns: columns.map((c) => ({
+        source: c.source,
+        name: c.name || c.source,
+        type: !c.type || c.type === 'auto' ? c.guessedType : c.type,
+        skip: !!c.skip,
+      })),
+    } : {}),
+  }
+}
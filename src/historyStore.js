@@ -0,0 +1,159 @@
+// Query history lives in IndexedDB so it can grow past localStorage's few megabytes.
+// Entry: { id, created_at, scope, question, sql, origin, tables: [name], table_ids, status: 'success' | 'error' | 'cancelled',
+//          row_count, execution_time_ms, error, pinned }
+// scope is the connection profile and workspace the run belonged to (historyScope); listing and clearing stay within
+// one scope. Entries written before scopes existed count as the default profile without a workspace.
+// When IndexedDB is unavailable (some private browsing modes) entries are kept in memory for the session.
+
+const DB_NAME = 'query-history'
+const STORE = 'entries'
+const LEGACY_KEY = 'query_history'
+
+export const HISTORY_STATUSES = ['success', 'error', 'cancelled']
+
+let dbPromise = null
+let memory = null
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'))
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' })
+        store.createIndex('created_at', 'created_at')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).then(migrateLegacy, (e) => {
+      memory = memory || []
+      throw e
+    })
+  }
+  return dbPromise
+}
+
+// The old history was a localStorage list of the last ten successful questions
+async function migrateLegacy(db) {
+  let legacy = []
+  try {
+    legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]')
+  } catch {}
+  if (legacy.length) {
+    const tx = db.transaction(STORE, 'readwrite')
+    const now = Date.now()
+    legacy.forEach((question, i) => tx.objectStore(STORE).put(makeEntry({ question, status: 'success', created_at: new Date(now - i * 1000).toISOString() })))
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve
+      tx.onerror = () => reject(tx.error)
+    })
+  }
+  localStorage.removeItem(LEGACY_KEY)
+  return db
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb()
+  return promisify(fn(db.transaction(STORE, mode).objectStore(STORE)))
+}
+
+export function historyScope(profileId, workspaceId) {
+  return `${profileId}:${workspaceId || ''}`
+}
+
+const LEGACY_SCOPE = historyScope('default', null)
+const inScope = (scope) => (e) => (e.scope ?? LEGACY_SCOPE) === scope
+
+export function makeEntry(fields) {
+  return {
+    id: Math.random().toString(36).slice(2, 10),
+    created_at: new Date().toISOString(),
+    scope: LEGACY_SCOPE,
+    question: '',
+    sql: null,
+    origin: 'generated',
+    tables: [],
+    table_ids: [],
+    status: 'success',
+    row_count: null,
+    execution_time_ms: null,
+    error: null,
+    pinned: false,
+    ...fields,
+  }
+}
+
+// Newest first
+export async function listHistory(scope = LEGACY_SCOPE) {
+  try {
+    const entries = await withStore('readonly', (store) => store.getAll())
+    return entries.filter(inScope(scope)).sort((a, b) => b.created_at.localeCompare(a.created_at))
+  } catch {
+    return (memory || []).filter(inScope(scope))
+  }
+}
+
+export async function addHistoryEntry(entry) {
+  try {
+    await withStore('readwrite', (store) => store.put(entry))
+  } catch {
+    memory = [entry, ...(memory || [])]
+  }
+  return entry
+}
+
+export async function updateHistoryEntry(id, patch) {
+  try {
+    const entry = await withStore('readonly', (store) => store.get(id))
+    if (!entry) return null
+    const updated = { ...entry, ...patch }
+    await withStore('readwrite', (store) => store.put(updated))
+    return updated
+  } catch {
+    memory = (memory || []).map((e) => (e.id === id ? { ...e, ...patch } : e))
+    return memory.find((e) => e.id === id) || null
+  }
+}
+
+export async function deleteHistoryEntry(id) {
+  try {
+    await withStore('readwrite', (store) => store.delete(id))
+  } catch {
+    memory = (memory || []).filter((e) => e.id !== id)
+  }
+}
+
+// Clearing keeps pinned entries and other scopes' entries
+export async function clearHistory(scope = LEGACY_SCOPE) {
+  const entries = await listHistory(scope)
+  const drop = new Set(entries.filter((e) => !e.pinned).map((e) => e.id))
+  try {
+    await Promise.all([...drop].map((id) => withStore('readwrite', (store) => store.delete(id))))
+  } catch {
+    memory = (memory || []).filter((e) => !drop.has(e.id))
+  }
+  return entries.filter((e) => e.pinned)
+}
+
+// Filters: text matches question, SQL and error; table is a table name; from/to are yyyy-mm-dd dates (inclusive)
+export function filterHistory(entries, { text = '', table = '', status = '', from = '', to = '' } = {}) {
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean)
+  const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity
+  const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity
+  return entries.filter((e) => {
+    const at = new Date(e.created_at).getTime()
+    if (at < start || at > end) return false
+    if (status && e.status !== status) return false
+    if (table && !(e.tables || []).includes(table)) return false
+    if (!terms.length) return true
+    const haystack = `${e.question || ''} ${e.sql || ''} ${e.error || ''}`.toLowerCase()
+    return terms.every((t) => haystack.includes(t))
+  })
+}
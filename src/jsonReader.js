@@ -0,0 +1,119 @@
+import { cellText } from './utils'
+
+// Turns JSON and NDJSON exports into header-first rows for the upload preview
+
+export const FLATTEN_STRATEGIES = [
+  { id: 'dot', label: 'Dotted paths (a.b)' },
+  { id: 'underscore', label: 'Underscored paths (a_b)' },
+  { id: 'json', label: 'Keep nested values as JSON' },
+]
+
+export const DEFAULT_FLATTEN = { strategy: 'dot', maxDepth: 5 }
+
+// Whole-file parsing is only attempted below this size; larger arrays are previewed from their first bytes
+const JSON_FULL_PARSE_BYTES = 50 * 1024 * 1024
+const JSON_PREFIX_BYTES = 1024 * 1024
+
+// Objects nested deeper than maxDepth, and all arrays, are kept as JSON text in a single column
+export function flattenRecord(record, { strategy, maxDepth } = DEFAULT_FLATTEN) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) return { value: record }
+  const sep = strategy === 'underscore' ? '_' : '.'
+  const limit = strategy === 'json' ? 1 : Math.max(1, maxDepth)
+  const out = {}
+  const walk = (value, path, depth) => {
+    const nested = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+    if (nested && depth < limit && Object.keys(value).length) {
+      Object.entries(value).forEach(([k, v]) => walk(v, path ? `${path}${sep}${k}` : k, depth + 1))
+    } else {
+      out[path] = value
+    }
+  }
+  walk(record, '', 0)
+  return out
+}
+
+export function recordsToRows(records, flatten) {
+  const flat = records.map((r) => flattenRecord(r, flatten))
+  const header = []
+  const seen = new Set()
+  flat.forEach((r) => Object.keys(r).forEach((k) => {
+    if (!seen.has(k)) { seen.add(k); header.push(k) }
+  }))
+  return [header, ...flat.map((r) => header.map((k) => cellText(r[k])))]
+}
+
+// Exports often wrap the records, e.g. { "data": [...] }; the first array of objects is used
+function findRecords(root) {
+  if (Array.isArray(root)) return { records: root, recordPath: null }
+  if (root && typeof root === 'object') {
+    const key = Object.keys(root).find((k) => Array.isArray(root[k]) && root[k].some((v) => v && typeof v === 'object'))
+    if (key) return { records: root[key], recordPath: key }
+  }
+  return { records: [root], recordPath: null }
+}
+
+// Pulls the first complete objects out of a (possibly truncated) top-level JSON array
+function scanArrayPrefix(text, max) {
+  const items = []
+  let depth = 0
+  let start = -1
+  let inString = false
+  let escaped = false
+  for (let i = text.indexOf('[') + 1; i > 0 && i < text.length && items.length < max; i++) {
+    const ch = text[i]
+    if (inString) {
+      if (escaped) escaped = false
+      else if (ch === '\\') escaped = true
+      else if (ch === '"') inString = false
+    } else if (ch === '"') {
+      inString = true
+    } else if (ch === '{' || ch === '[') {
+      if (depth === 0) start = i
+      depth++
+    } else if (ch === '}' || ch === ']') {
+      if (depth === 0) break
+      if (--depth === 0 && text[start] === '{') items.push(JSON.parse(text.slice(start, i + 1)))
+    }
+  }
+  return items
+}
+
+export function looksLikeNdjson(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim())
+  if (lines.length < 2) return false
+  try {
+    JSON.parse(lines[0])
+    return /^[{[]/.test(lines[1].trim())
+  } catch {
+    return false
+  }
+}
+
+export async function readJsonPreview(file, { flatten = DEFAULT_FLATTEN, maxRows }) {
+  if (file.size > JSON_FULL_PARSE_BYTES) {
+    const text = await file.slice(0, JSON_PREFIX_BYTES).text()
+    if (!text.trimStart().startsWith('[')) {
+      return { rows: [], recordPath: null, notice: 'This file is too large to preview in the browser; it will be imported with the options below.' }
+    }
+    return { rows: recordsToRows(scanArrayPrefix(text, maxRows), flatten), recordPath: null, notice: 'Preview built from the start of a large file.' }
+  }
+  const { records, recordPath } = findRecords(JSON.parse(await file.text()))
+  return { rows: recordsToRows(records.slice(0, maxRows), flatten), recordPath, rowCount: records.length, notice: undefined }
+}
+
+export async function readNdjsonPreview(file, { flatten = DEFAULT_FLATTEN, maxRows, bytes }) {
+  const lines = (await file.slice(0, bytes).text()).split(/\r?\n/)
+  // the last line of a partial read is usually cut off mid-record
+  if (file.size > bytes) lines.pop()
+  const records = []
+  for (let i = 0; i < lines.length && records.length < maxRows; i++) {
+    if (!lines[i].trim()) continue
+    try {
+      records.push(JSON.parse(lines[i]))
+    } catch {
+      throw new SyntaxError(`Line ${i + 1} is not valid JSON`)
+    }
+  }
+  if (!records.length) throw new SyntaxError('No JSON records found')
+  return { rows: recordsToRows(records, flatten), recordPath: null, notice: undefined }
+}
@@ -0,0 +1,292 @@
+import { ApiError } from './api'
+import { buildPreview, decodeText, detectDelimiter, guessHeaderRow, parseDelimited } from './fileParsing'
+import { loadEngine } from './sqliteReader'
+import { tokenizeSql } from './sql'
+import { readXlsx } from './xlsxReader'
+
+// In-browser query engine: CSV and Excel uploads can also be loaded into a SQLite database (sql.js, the WASM build
+// the SQLite reader uses) and hand-written SELECTs over them run without the backend.
+// Results have the /api/query shape plus engine: 'local', and fallback: true when the server could not be reached.
+// The database is exported to IndexedDB after every change, so local tables survive reloads and work offline.
+// Local tables are listed as { id: 'local:<name>', name, row_count, columns, source_file, created_at, local: true }.
+// Questions in plain English still need the server to write the SQL.
+
+export const LOCAL_KINDS = ['csv', 'xlsx']
+export const LOCAL_PREFIX = 'local:'
+
+const DB_NAME = 'local-engine'
+const STORE = 'data'
+const CATALOG = '_catalog'
+
+const SQL_TYPES = { integer: 'INTEGER', float: 'REAL', boolean: 'INTEGER', date: 'TEXT', datetime: 'TEXT', text: 'TEXT' }
+const TRUE_RE = /^(true|yes|y|t|1)$/i
+const FALSE_RE = /^(false|no|n|f|0)$/i
+
+let idbPromise = null
+let dbPromise = null
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function openIdb() {
+  if (!idbPromise) {
+    idbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'))
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return idbPromise
+}
+
+async function readStored(key) {
+  try {
+    const idb = await openIdb()
+    return await promisify(idb.transaction(STORE, 'readonly').objectStore(STORE).get(key))
+  } catch {
+    return null
+  }
+}
+
+// Without IndexedDB the tables only last for the session
+async function persist(db) {
+  try {
+    const idb = await openIdb()
+    const store = idb.transaction(STORE, 'readwrite').objectStore(STORE)
+    store.put(db.export(), 'database')
+    await promisify(store.put(tableNames(db), 'tables'))
+  } catch {
+    // keep working from memory
+  }
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = Promise.all([loadEngine(), readStored('database')])
+      .then(([SQL, bytes]) => {
+        const db = new SQL.Database(bytes || undefined)
+        db.run(`CREATE TABLE IF NOT EXISTS ${CATALOG} (name TEXT PRIMARY KEY, source_file TEXT, created_at TEXT)`)
+        return db
+      })
+      .catch((e) => { dbPromise = null; throw e })
+  }
+  return dbPromise
+}
+
+const quote = (name) => `"${String(name).replace(/"/g, '""')}"`
+const unquote = (text) => text.replace(/^["`]|["`]$/g, '')
+
+function select(db, sql, params) {
+  const stmt = db.prepare(sql, params)
+  try {
+    const columns = stmt.getColumnNames()
+    const rows = []
+    while (stmt.step()) rows.push(stmt.getAsObject())
+    return { columns, rows }
+  } finally {
+    stmt.free()
+  }
+}
+
+function tableNames(db) {
+  return select(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name <> '${CATALOG}' ORDER BY name`).rows.map((r) => r.name)
+}
+
+// Names of the local tables, read without starting the engine when it has not been needed yet
+async function localTableNames() {
+  if (dbPromise) return tableNames(await dbPromise)
+  return (await readStored('tables')) || []
+}
+
+export const isLocalTable = (t) => !!t?.local || String(t?.id || '').startsWith(LOCAL_PREFIX)
+
+export async function listLocalTables() {
+  if (!(await localTableNames()).length) return []
+  const db = await openDatabase()
+  const catalog = Object.fromEntries(select(db, `SELECT * FROM ${CATALOG}`).rows.map((r) => [r.name, r]))
+  return tableNames(db).map((name) => ({
+    id: `${LOCAL_PREFIX}${name}`,
+    name,
+    row_count: select(db, `SELECT COUNT(*) AS n FROM ${quote(name)}`).rows[0].n,
+    columns: select(db, `PRAGMA table_info(${quote(name)})`).rows.map((c) => ({ name: c.name, type: c.type.toLowerCase() })),
+    source_file: catalog[name]?.source_file || null,
+    created_at: catalog[name]?.created_at || null,
+    local: true,
+  }))
+}
+
+export async function dropLocalTable(id) {
+  const name = String(id).replace(LOCAL_PREFIX, '')
+  const db = await openDatabase()
+  db.run(`DROP TABLE IF EXISTS ${quote(name)}`)
+  db.run(`DELETE FROM ${CATALOG} WHERE name = ?`, [name])
+  await persist(db)
+}
+
+function convert(value, type) {
+  const v = String(value ?? '').trim()
+  if (v === '') return null
+  if (type === 'integer' || type === 'float') {
+    const n = Number(v)
+    return Number.isFinite(n) ? n : v
+  }
+  if (type === 'boolean') return TRUE_RE.test(v) ? 1 : FALSE_RE.test(v) ? 0 : v
+  return String(value)
+}
+
+async function readAllRows(file, options) {
+  if (options.format === 'xlsx') return (await readXlsx(await file.arrayBuffer(), { sheet: options.sheet, maxRows: Infinity })).rows
+  const text = decodeText(await file.arrayBuffer(), options.encoding)
+  return parseDelimited(text, options.delimiter || detectDelimiter(text))
+}
+
+/**
+ * Loads a whole CSV or Excel file into the local database, honouring the upload options built by buildUploadOptions
+ * (header row, delimiter, encoding, sheet and the column mapping). mode 'append' adds to an existing table by column name.
+ * @returns {Promise<{ id: string, name: string, row_count: number }>}
+ */
+export async function loadLocalTable(file, options) {
+  if (!LOCAL_KINDS.includes(options.format)) throw new Error(`${options.format} files cannot be loaded into the browser`)
+  const rawRows = await readAllRows(file, options)
+  const headerRow = options.header_row ?? guessHeaderRow(rawRows.slice(0, 40))
+  const preview = buildPreview(rawRows, headerRow)
+  const mapped = options.columns?.length
+    ? options.columns.filter((c) => !c.skip).map((c) => ({ ...c, index: preview.columns.find((p) => p.source === c.source)?.index ?? -1 }))
+    : preview.columns.map((p) => ({ source: p.source, name: p.source, type: p.guessedType, index: p.index }))
+  const columns = mapped.filter((c) => c.index >= 0)
+  if (!columns.length) throw new Error('The file has no columns to load')
+
+  const name = options.table_name || file.name
+  const db = await openDatabase()
+  const exists = tableNames(db).includes(name)
+  let targets = columns
+  if (options.mode === 'append' && exists) {
+    const existing = select(db, `PRAGMA table_info(${quote(name)})`).rows.map((c) => c.name)
+    targets = columns.filter((c) => existing.some((e) => e.toLowerCase() === c.name.toLowerCase()))
+    if (!targets.length) throw new Error(`None of the file's columns match a column of ${name}, so there is nothing to append`)
+  }
+
+  db.run('BEGIN')
+  try {
+    if (options.mode !== 'append' || !exists) {
+      db.run(`DROP TABLE IF EXISTS ${quote(name)}`)
+      db.run(`CREATE TABLE ${quote(name)} (${columns.map((c) => `${quote(c.name)} ${SQL_TYPES[c.type] || 'TEXT'}`).join(', ')})`)
+      db.run(`INSERT OR REPLACE INTO ${CATALOG} VALUES (?, ?, ?)`, [name, file.name, new Date().toISOString()])
+    }
+    const stmt = db.prepare(`INSERT INTO ${quote(name)} (${targets.map((c) => quote(c.name)).join(', ')}) VALUES (${targets.map(() => '?').join(', ')})`)
+    try {
+      rawRows.slice(Math.max(0, headerRow)).forEach((row) => {
+        if (row.every((v) => String(v ?? '').trim() === '')) return
+        stmt.run(targets.map((c) => convert(row[c.index], c.type)))
+      })
+    } finally {
+      stmt.free()
+    }
+    db.run('COMMIT')
+  } catch (e) {
+    db.run('ROLLBACK')
+    throw e
+  }
+  await persist(db)
+  return { id: `${LOCAL_PREFIX}${name}`, name, row_count: select(db, `SELECT COUNT(*) AS n FROM ${quote(name)}`).rows[0].n }
+}
+
+// Tables a statement reads (after FROM and JOIN, including comma lists), minus the names its WITH clause defines
+export function referencedTables(sql) {
+  const tokens = tokenizeSql(sql || '').filter((t) => t.type !== 'comment' && t.text.trim())
+  const used = new Set()
+  const defined = new Set()
+  tokens.forEach((t, i) => {
+    const word = t.text.toLowerCase()
+    if (t.type === 'identifier' && tokens[i + 1]?.text.toLowerCase() === 'as' && tokens[i + 2]?.text === '(' && /^(with|recursive|,)$/i.test(tokens[i - 1]?.text || '')) {
+      defined.add(unquote(t.text).toLowerCase())
+    }
+    if (word !== 'from' && word !== 'join') return
+    let j = i + 1
+    while (tokens[j]?.type === 'identifier') {
+      used.add(unquote(tokens[j].text).toLowerCase())
+      j++
+      if (tokens[j]?.text.toLowerCase() === 'as') j++
+      if (tokens[j]?.type === 'identifier') j++
+      if (tokens[j]?.text !== ',') break
+      j++
+    }
+  })
+  return [...used].filter((n) => !defined.has(n))
+}
+
+// True when every table the statement reads exists in the browser
+export async function canRunLocally(sql) {
+  const tables = referencedTables(sql)
+  if (!tables.length) return false
+  const names = new Set((await localTableNames()).map((n) => n.toLowerCase()))
+  return tables.every((t) => names.has(t))
+}
+
+// sql.js errors only carry a message; the offending name is located in the statement so the editor can underline it
+function localError(e, sql) {
+  const m = /no such (?:column|table): ([^\s]+)|near "([^"]+)"/.exec(e.message)
+  const word = m ? m[1] || m[2] : null
+  const offset = word ? sql.toLowerCase().indexOf(word.toLowerCase()) : -1
+  return Object.assign(new ApiError(e.message, {
+    status: 400,
+    code: 'local_sql_error',
+    position: offset >= 0 ? { offset, length: word.length } : null,
+    hint: 'This statement ran in the browser, which uses SQLite syntax.',
+  }), { sql })
+}
+
+/**
+ * Runs a SELECT against the local tables with the same paging contract as /api/query.
+ * @param {import('./api').QueryRequest} body
+ * @returns {Promise<import('./api').QueryResponse & { engine: 'local' }>}
+ */
+export async function runLocalQuery({ sql, offset = 0, limit, sort, full = false }) {
+  const statement = String(sql || '').trim().replace(/;\s*$/, '')
+  if (!/^(select|with)\b/i.test(statement)) {
+    throw Object.assign(new ApiError('Only SELECT statements can run in the browser', { status: 400, code: 'local_read_only' }), { sql })
+  }
+  const db = await openDatabase()
+  const started = performance.now()
+  const order = sort?.length ? ` ORDER BY ${sort.map((s) => `${quote(s.column)} ${s.direction === 'desc' ? 'DESC' : 'ASC'}`).join(', ')}` : ''
+  const windowed = !full && limit != null
+  try {
+    const total = windowed ? select(db, `SELECT COUNT(*) AS n FROM (${statement})`).rows[0].n : null
+    const { columns, rows } = select(db, `SELECT * FROM (${statement})${order}${windowed ? ` LIMIT ${Number(limit)} OFFSET ${Number(offset) || 0}` : ''}`)
+    return {
+      sql: statement,
+      columns,
+      rows,
+      total_rows: total ?? rows.length,
+      execution_time_ms: Math.round(performance.now() - started),
+      engine: 'local',
+    }
+  } catch (e) {
+    throw localError(e, statement)
+  }
+}
+
+// The backend is down or out of reach, as opposed to rejecting the statement
+export function isUnreachable(e) {
+  return e?.name !== 'AbortError' && (e?.code === 'network' || e?.code === 'timeout' || [502, 503, 504].includes(e?.status))
+}
+
+/**
+ * Runs body.sql in the browser when preferLocal is set and every table it reads is local; otherwise calls the server,
+ * and falls back to the browser when the server cannot be reached.
+ */
+export async function withLocalEngine(body, serverCall, { preferLocal = false } = {}) {
+  if (preferLocal && body.sql && await canRunLocally(body.sql)) return runLocalQuery(body)
+  try {
+    return await serverCall()
+  } catch (e) {
+    if (!body.sql || !isUnreachable(e) || !(await canRunLocally(body.sql))) throw e
+    return { ...(await runLocalQuery(body)), fallback: true }
+  }
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest'
+import { ApiError } from './api'
+import { isUnreachable, referencedTables } from './localEngine'
+
+describe('referencedTables', () => {
+  it('finds tables after FROM and JOIN, with aliases and comma lists', () => {
+    expect(referencedTables('SELECT * FROM sales s, customers AS c JOIN "Regions" r ON s.r = r.id')).toEqual(['sales', 'customers', 'regions'])
+  })
+
+  it('leaves out the names a WITH clause defines', () => {
+    expect(referencedTables('WITH totals AS (SELECT region FROM sales), t2 AS (SELECT 1) SELECT * FROM totals JOIN t2')).toEqual(['sales'])
+  })
+
+  it('ignores comments and statements without tables', () => {
+    expect(referencedTables('-- FROM secrets\nSELECT 1')).toEqual([])
+    expect(referencedTables('')).toEqual([])
+  })
+})
+
+describe('isUnreachable', () => {
+  it('is true for network errors, timeouts and gateway statuses', () => {
+    expect(isUnreachable(new ApiError('down', { code: 'network' }))).toBe(true)
+    expect(isUnreachable(new ApiError('slow', { code: 'timeout' }))).toBe(true)
+    expect(isUnreachable(new ApiError('gateway', { status: 503 }))).toBe(true)
+  })
+
+  // a stream cut off after rows arrived keeps those rows instead of being rerun in the browser
+  it('is false for rejected statements, cancels and interrupted streams', () => {
+    expect(isUnreachable(new ApiError('bad sql', { status: 400 }))).toBe(false)
+    expect(isUnreachable(new ApiError('cut off', { code: 'stream_interrupted' }))).toBe(false)
+    expect(isUnreachable(new DOMException('Aborted', 'AbortError'))).toBe(false)
+  })
+})
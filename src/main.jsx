@@ -1,16 +1,31 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { BrowserRouter, Routes, Route } from 'react-router-dom'
+import { BrowserRouter, Navigate, Routes, Route } from 'react-router-dom'
 import App from './App'
-import Test from './Test'
+import Dashboards from './Dashboard'
+import Diagnostics from './Diagnostics'
+import ConnectionSettings from './ConnectionSettings'
+import { AuthProvider } from './Account'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
       <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/test" element={<Test />} />
+        {/* reachable while signed out, so a profile with a broken sign-in can be switched away from */}
+        <Route path="/settings" element={<ConnectionSettings />} />
+        <Route path="*" element={(
+          <AuthProvider>
+            <Routes>
+              <Route path="/" element={<App />} />
+              <Route path="/q/:id" element={<App />} />
+              <Route path="/dashboards" element={<Dashboards />} />
+              <Route path="/dashboards/:id" element={<Dashboards />} />
+              <Route path="/diagnostics" element={<Diagnostics />} />
+              <Route path="/test" element={<Navigate to="/diagnostics" replace />} />
+            </Routes>
+          </AuthProvider>
+        )} />
       </Routes>
     </BrowserRouter>
   </React.StrictMode>,
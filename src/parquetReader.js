@@ -0,0 +1,35 @@
+import { cellText } from './utils'
+
+// Reads the footer and first rows of a Parquet file through ranged File.slice calls,
+// so large warehouse dumps are never loaded into memory whole
+
+function parquetColumnType(el) {
+  const logical = el.logical_type?.type
+  const converted = el.converted_type || ''
+  if (el.num_children) return 'text'
+  if (logical === 'DATE' || converted === 'DATE') return 'date'
+  if (logical === 'TIMESTAMP' || converted.startsWith('TIMESTAMP')) return 'datetime'
+  if (logical === 'DECIMAL' || converted === 'DECIMAL') return 'float'
+  if (el.type === 'BOOLEAN') return 'boolean'
+  if (el.type === 'INT32' || el.type === 'INT64') return 'integer'
+  if (el.type === 'FLOAT' || el.type === 'DOUBLE') return 'float'
+  return 'text'
+}
+
+export async function readParquet(file, { maxRows }) {
+  const { parquetMetadataAsync, parquetReadObjects, parquetSchema } = await import('hyparquet')
+  const asyncBuffer = { byteLength: file.size, slice: (start, end) => file.slice(start, end).arrayBuffer() }
+  const metadata = await parquetMetadataAsync(asyncBuffer)
+  const fields = parquetSchema(metadata).children.map((c) => c.element)
+  const header = fields.map((f) => f.name)
+  let body = []
+  let notice
+  try {
+    const records = await parquetReadObjects({ file: asyncBuffer, metadata, rowEnd: maxRows })
+    body = records.map((r) => header.map((h) => cellText(r[h])))
+  } catch (e) {
+    // e.g. codecs the browser reader lacks; the footer alone still describes the columns
+    notice = `Rows could not be decoded in the browser (${e.message}); columns are read from the file footer.`
+  }
+  return { rows: [header, ...body], types: fields.map(parquetColumnType), rowCount: Number(metadata.num_rows), notice }
+}
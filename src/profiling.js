@@ -0,0 +1,54 @@
+import { extent } from './charts'
+import { compareValues } from './columnTypes'
+
+const HISTOGRAM_BINS = 10
+const TOP_VALUES = 5
+
+function histogram(values, kind) {
+  const nums = values.map((v) => (kind === 'date' ? new Date(v).getTime() : Number(v))).filter(Number.isFinite)
+  if (nums.length < 2) return []
+  const [min, max] = extent(nums)
+  if (min === max) return [{ start: min, end: max, count: nums.length }]
+  const width = (max - min) / HISTOGRAM_BINS
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({ start: min + i * width, end: min + (i + 1) * width, count: 0 }))
+  nums.forEach((n) => { bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((n - min) / width))].count++ })
+  if (kind === 'date') bins.forEach((b) => { b.start = new Date(b.start).toISOString(); b.end = new Date(b.end).toISOString() })
+  return bins
+}
+
+// Client-side profile of the rows at hand; used when the backend has no /profile endpoint,
+// so the numbers describe the preview sample rather than the whole table
+export function profileColumns(cols, rows, kinds = {}) {
+  return cols.map((name) => {
+    const kind = kinds[name] || 'string'
+    const values = rows.map((r) => r[name])
+    const present = values.filter((v) => v != null && v !== '')
+    const counts = new Map()
+    present.forEach((v) => counts.set(String(v), (counts.get(String(v)) || 0) + 1))
+    const sorted = [...present].sort((a, b) => compareValues(a, b, kind))
+    return {
+      name,
+      kind,
+      nullFraction: values.length ? (values.length - present.length) / values.length : 0,
+      distinct: counts.size,
+      min: sorted[0] ?? null,
+      max: sorted[sorted.length - 1] ?? null,
+      top: [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, TOP_VALUES).map(([value, count]) => ({ value, count })),
+      histogram: kind === 'number' || kind === 'date' ? histogram(present, kind) : [],
+    }
+  })
+}
+
+// Backend profiles arrive in snake_case; the view works with the same shape profileColumns returns
+export function normalizeProfile(data) {
+  return (data?.columns || []).map((c) => ({
+    name: c.name,
+    kind: c.kind,
+    nullFraction: c.null_fraction ?? 0,
+    distinct: c.distinct_count ?? null,
+    min: c.min ?? null,
+    max: c.max ?? null,
+    top: (c.top_values || []).map((t) => ({ value: t.value, count: t.count })),
+    histogram: c.histogram || [],
+  }))
+}
@@ -0,0 +1,192 @@
+import { classifyType } from './columnTypes'
+import { isLocalTable, runLocalQuery } from './localEngine'
+import { fetchPreview, fetchProfile } from './tableCatalog'
+import { columnName, columnType, tableId, tableLabel } from './utils'
+
+// Question templates: text with typed placeholders, e.g. "Total {metric} by {period} where {column} is {value}".
+// A placeholder is {name} or {name:type}; the type decides the form control:
+//   column, number_column, date_column, text_column   a column of the active table (of that kind)
+//   value(other)   one of the distinct values of the column picked for {other}, or of a column with that name
+//   period         day, week, month, quarter or year
+//   number, text   typed in freely
+// Without a type the name decides (metric -> number_column, period -> period, value -> value(column), ...), else text.
+// Template: { id, name, text, builtIn? }. User templates live in localStorage; they travel as JSON files
+// ({ templates: [...] }) or as a link carrying one template in ?template=.
+
+const STORAGE_KEY = 'question_templates'
+const PLACEHOLDER_RE = /\{(\w+)(?::(\w+)(?:\((\w+)\))?)?\}/g
+
+export const PERIODS = ['day', 'week', 'month', 'quarter', 'year']
+
+const TYPE_BY_NAME = {
+  metric: 'number_column',
+  measure: 'number_column',
+  period: 'period',
+  column: 'column',
+  date: 'date_column',
+  group: 'text_column',
+  category: 'text_column',
+  dimension: 'text_column',
+  value: 'value(column)',
+  n: 'number',
+  limit: 'number',
+}
+
+export const BUILT_IN_TEMPLATES = [
+  { id: 'builtin-total-by-period', name: 'Total over time', text: 'Total {metric} by {period}' },
+  { id: 'builtin-total-filtered', name: 'Filtered total over time', text: 'Total {metric} by {period} where {column} is {value}' },
+  { id: 'builtin-top-n', name: 'Top N', text: 'Top {n} {group} by {metric}' },
+  { id: 'builtin-average-by', name: 'Average by group', text: 'Average {metric} by {group}' },
+  { id: 'builtin-rows-where', name: 'Matching rows', text: 'Show rows where {column} is {value}' },
+].map((t) => ({ ...t, builtIn: true }))
+
+/** @returns {{ name: string, type: string, of: string | null }[]} placeholders in order of first appearance */
+export function parsePlaceholders(text) {
+  const seen = new Map()
+  for (const [, name, type, of] of String(text || '').matchAll(PLACEHOLDER_RE)) {
+    if (seen.has(name)) continue
+    const [, defType, defOf] = /^(\w+)(?:\((\w+)\))?$/.exec(type ? `${type}${of ? `(${of})` : ''}` : TYPE_BY_NAME[name] || 'text')
+    seen.set(name, { name, type: defType, of: defOf || null })
+  }
+  return [...seen.values()]
+}
+
+// Placeholders without a value stay in the text, so an incomplete question is easy to spot
+export function fillTemplate(text, values) {
+  return String(text).replace(PLACEHOLDER_RE, (m, name) => (values[name] != null && values[name] !== '' ? String(values[name]) : m))
+}
+
+function readTemplates() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+function writeTemplates(list) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list))
+}
+
+export function listTemplates() {
+  return [...BUILT_IN_TEMPLATES, ...readTemplates()]
+}
+
+export function validateTemplate(t) {
+  if (!t || typeof t.name !== 'string' || !t.name.trim()) return 'A template needs a name'
+  if (typeof t.text !== 'string' || !t.text.trim()) return `"${t.name}" has no question text`
+  if (!parsePlaceholders(t.text).length) return `"${t.name}" has no {placeholders}`
+  return null
+}
+
+export function saveTemplate({ id, name, text }) {
+  const template = { id: id || Math.random().toString(36).slice(2, 10), name: name.trim(), text: text.trim() }
+  const list = readTemplates()
+  writeTemplates(list.some((t) => t.id === template.id) ? list.map((t) => (t.id === template.id ? template : t)) : [...list, template])
+  return template
+}
+
+export function deleteTemplate(id) {
+  writeTemplates(readTemplates().filter((t) => t.id !== id))
+}
+
+const stripTemplate = ({ name, text }) => ({ name, text })
+
+export function exportTemplates(templates) {
+  return JSON.stringify({ version: 1, templates: templates.map(stripTemplate) }, null, 2)
+}
+
+/**
+ * Adds the templates in an exported file (or a bare array / single template); a template whose name and text
+ * match an existing one is skipped. Throws on malformed input.
+ * @returns {{ added: number, skipped: number }}
+ */
+export function importTemplates(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json
+  const incoming = Array.isArray(data) ? data : Array.isArray(data?.templates) ? data.templates : [data]
+  const problem = incoming.map(validateTemplate).find(Boolean)
+  if (problem) throw new Error(problem)
+  const existing = listTemplates()
+  let added = 0
+  incoming.forEach((t) => {
+    if (existing.some((e) => e.name === t.name.trim() && e.text === t.text.trim())) return
+    existing.push(saveTemplate(t))
+    added++
+  })
+  return { added, skipped: incoming.length - added }
+}
+
+const toBase64Url = (s) => btoa(String.fromCharCode(...new TextEncoder().encode(s))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+const fromBase64Url = (s) => new TextDecoder().decode(Uint8Array.from(atob(s.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0)))
+
+export function templateLink(template) {
+  return `${window.location.origin}/?template=${toBase64Url(JSON.stringify(stripTemplate(template)))}`
+}
+
+// Reads a template shared through templateLink; null when the parameter is missing or unreadable
+export function templateFromLink(search) {
+  const param = new URLSearchParams(search).get('template')
+  if (!param) return null
+  try {
+    const t = JSON.parse(fromBase64Url(param))
+    return validateTemplate(t) ? null : stripTemplate(t)
+  } catch {
+    return null
+  }
+}
+
+const KIND_BY_TYPE = { number_column: 'number', date_column: 'date', text_column: 'string' }
+
+// Columns of the schema that fit a placeholder type; columns without a declared type count as text
+export function columnsFor(type, columns = []) {
+  return columns.filter((c) => type === 'column' || (classifyType(columnType(c)) || 'string') === KIND_BY_TYPE[type]).map(columnName)
+}
+
+const distinctCache = new Map()
+
+// Up to 100 distinct values of a column: the table profile's top values, a DISTINCT query for tables in the
+// in-browser engine, or the preview rows when the backend cannot profile
+export async function distinctValues(table, column, opts) {
+  const key = `${tableId(table)}:${column}`
+  if (!distinctCache.has(key)) {
+    distinctCache.set(key, loadDistinct(table, column, opts).catch((e) => {
+      distinctCache.delete(key)
+      throw e
+    }))
+  }
+  return distinctCache.get(key)
+}
+
+async function loadDistinct(table, column, opts) {
+  const quoted = (s) => `"${String(s).replace(/"/g, '""')}"`
+  if (isLocalTable(table)) {
+    const { rows } = await runLocalQuery({ sql: `SELECT DISTINCT ${quoted(column)} AS value FROM ${quoted(tableLabel(table))} WHERE ${quoted(column)} IS NOT NULL ORDER BY 1 LIMIT 100` })
+    return rows.map((r) => r.value)
+  }
+  const profile = await fetchProfile(tableId(table), opts).catch(() => null)
+  const top = profile?.columns?.find((c) => c.name === column)?.top_values
+  if (top?.length) return top.map((t) => t.value)
+  const preview = await fetchPreview(table, tableId(table), 200, opts)
+  const rows = preview?.rows || preview?.data || []
+  return [...new Set(rows.map((r) => r[column]).filter((v) => v != null && v !== ''))].slice(0, 100)
+}
+
+// Example questions for one table, built from the kinds of its columns
+export function suggestQuestions(table, columns = []) {
+  const name = tableLabel(table)
+  const pick = (type) => columnsFor(type, columns)
+  const [metric] = pick('number_column')
+  const [date] = pick('date_column')
+  const [group] = pick('text_column')
+  return [
+    `Show me the first 10 rows of ${name}`,
+    metric && `What's the average ${metric}?`,
+    metric && date && `Total ${metric} by month`,
+    metric && group && `Total ${metric} by ${group}`,
+    metric && group && `Top 5 ${group} by ${metric}`,
+    group && `How many rows per ${group}?`,
+    date && `How many rows per month by ${date}?`,
+    `How many rows are in ${name}?`,
+  ].filter(Boolean).slice(0, 6)
+}
@@ -0,0 +1,221 @@
+import { inferKind } from './columnTypes'
+import { tokenizeSql } from './sql'
+import { cellText } from './utils'
+
+// Comparing two query runs. Completed runs are kept in memory as snapshots:
+//   { id, label, question, sql, origin, columns, rows, total_rows, truncated, ran_at }
+// Only the rows a run loaded are compared; total_rows tells when that was a single page of a larger result.
+
+export const MAX_KEPT_RUNS = 10
+
+export function snapshotRun({ question, sql, origin, data }) {
+  const rows = data?.rows || data?.data || []
+  const text = sql || data?.sql || data?.generated_sql || ''
+  return {
+    id: Math.random().toString(36).slice(2, 10),
+    label: question || text.replace(/\s+/g, ' ').slice(0, 60) || 'Query',
+    question: question || '',
+    sql: text,
+    origin: origin || 'generated',
+    columns: data?.columns || (rows[0] ? Object.keys(rows[0]) : []),
+    rows,
+    total_rows: data?.total_rows ?? rows.length,
+    truncated: !!data?.truncated,
+    ran_at: new Date().toISOString(),
+  }
+}
+
+const CLAUSES = new Set(['SELECT', 'FROM', 'WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'UNION', 'WITH', 'JOIN'])
+const JOIN_KINDS = new Set(['LEFT', 'RIGHT', 'INNER', 'OUTER', 'FULL', 'CROSS'])
+
+// One clause per line with whitespace collapsed, so statements written on one line still diff clause by clause.
+// Subqueries stay on the line of the clause they belong to.
+export function layoutSql(sql) {
+  const tokens = tokenizeSql(String(sql || '').trim())
+  const significant = tokens.filter((t) => !(t.type === 'plain' && /^\s+$/.test(t.text)))
+  const word = (t) => (t?.type === 'keyword' ? t.text.toUpperCase() : null)
+  const lines = ['']
+  let depth = 0
+  let space = false
+  let k = -1
+  tokens.forEach((t) => {
+    if (t.type === 'plain' && /^\s+$/.test(t.text)) {
+      space = true
+      return
+    }
+    k++
+    const [prev, w, next] = [word(significant[k - 1]), word(t), word(significant[k + 1])]
+    const breaks = depth === 0 && w && (
+      (CLAUSES.has(w) && !(w === 'JOIN' && JOIN_KINDS.has(prev)) && !(w === 'SELECT' && (prev === 'UNION' || prev === 'ALL'))) ||
+      (JOIN_KINDS.has(w) && !JOIN_KINDS.has(prev) && (next === 'JOIN' || next === 'OUTER'))
+    )
+    if (breaks && lines[lines.length - 1]) lines.push('')
+    else if (space && lines[lines.length - 1]) lines[lines.length - 1] += ' '
+    lines[lines.length - 1] += t.text
+    space = false
+    if (t.text === '(') depth++
+    if (t.text === ')') depth = Math.max(0, depth - 1)
+    if (t.type === 'comment' && t.text.startsWith('--')) lines.push('')
+  })
+  return lines.filter(Boolean)
+}
+
+/**
+ * Line diff by longest common subsequence.
+ * @returns {{ type: 'same' | 'removed' | 'added', text: string }[]}
+ */
+export function diffLines(before, after) {
+  const n = before.length
+  const m = after.length
+  const lcs = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+  const ops = []
+  let i = 0
+  let j = 0
+  while (i < n || j < m) {
+    if (i < n && j < m && before[i] === after[j]) {
+      ops.push({ type: 'same', text: before[i++] })
+      j++
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ type: 'added', text: after[j++] })
+    } else {
+      ops.push({ type: 'removed', text: before[i++] })
+    }
+  }
+  return ops
+}
+
+// Pairs a line diff into rows of { left, right } ({ n, text, type } or null) for a side-by-side view;
+// removed and added lines next to each other share rows
+export function sideBySide(ops) {
+  const rows = []
+  let left = 0
+  let right = 0
+  let removed = []
+  let added = []
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) rows.push({ left: removed[k] || null, right: added[k] || null })
+    removed = []
+    added = []
+  }
+  ops.forEach((op) => {
+    if (op.type === 'removed') removed.push({ n: ++left, text: op.text, type: 'removed' })
+    else if (op.type === 'added') added.push({ n: ++right, text: op.text, type: 'added' })
+    else {
+      flush()
+      rows.push({ left: { n: ++left, text: op.text, type: 'same' }, right: { n: ++right, text: op.text, type: 'same' } })
+    }
+  })
+  flush()
+  return rows
+}
+
+export function diffSql(before, after) {
+  return sideBySide(diffLines(layoutSql(before), layoutSql(after)))
+}
+
+// Values compare by their text, so 3 and "3" are equal and nulls only equal nulls
+const cellKey = (v) => (v == null ? '\u0000' : cellText(v))
+
+const isUnique = (rows, keys) => new Set(rows.map((r) => JSON.stringify(keys.map((k) => cellKey(r[k]))))).size === rows.length
+const hasNulls = (rows, keys) => rows.some((r) => keys.some((k) => r[k] == null))
+
+export function sharedColumns(left, right) {
+  return left.columns.filter((c) => right.columns.includes(c))
+}
+
+export function columnKinds(left, right) {
+  return Object.fromEntries(sharedColumns(left, right).map((c) => [c, inferKind([...left.rows, ...right.rows].map((r) => r[c]))]))
+}
+
+/**
+ * Key columns that identify a row in both runs: an id-like column, else the non-numeric columns together
+ * (the dimensions of an aggregate), else any unique column. Empty when nothing is unique, which compares whole rows.
+ */
+export function suggestKeyColumns(left, right) {
+  const shared = sharedColumns(left, right)
+  const kinds = columnKinds(left, right)
+  const works = (keys) => keys.length && [left.rows, right.rows].every((rows) => isUnique(rows, keys) && !hasNulls(rows, keys))
+  const idLike = shared.find((c) => /(^id$|_id$|^key$|_key$|^code$)/i.test(c) && works([c]))
+  if (idLike) return [idLike]
+  const dimensions = shared.filter((c) => kinds[c] !== 'number')
+  if (works(dimensions)) return dimensions
+  const single = shared.find((c) => works([c]))
+  return single ? [single] : []
+}
+
+/**
+ * Matches rows of two runs on the key columns (every shared column when none are given) and reports what changed.
+ * Rows sharing a key are paired in order; the extra ones count as added or removed.
+ * @returns {{ added: object[], removed: object[], changed: { before: object, after: object, cells: string[] }[],
+ *   unchanged: number, duplicateKeys: number, keys: string[], shared: string[], onlyBefore: string[], onlyAfter: string[] }}
+ */
+export function diffRows(left, right, keys = []) {
+  const shared = sharedColumns(left, right)
+  const keyCols = keys.length ? keys.filter((k) => shared.includes(k)) : shared
+  const compared = shared.filter((c) => !keyCols.includes(c))
+  const keyOf = (r) => JSON.stringify(keyCols.map((k) => cellKey(r[k])))
+
+  const pending = new Map()
+  left.rows.forEach((r) => {
+    const k = keyOf(r)
+    if (!pending.has(k)) pending.set(k, [])
+    pending.get(k).push(r)
+  })
+  const duplicateKeys = [...pending.values()].filter((list) => list.length > 1).length
+
+  const added = []
+  const changed = []
+  let unchanged = 0
+  right.rows.forEach((r) => {
+    const match = pending.get(keyOf(r))?.shift()
+    if (!match) return added.push(r)
+    const cells = compared.filter((c) => cellKey(match[c]) !== cellKey(r[c]))
+    if (cells.length) changed.push({ before: match, after: r, cells })
+    else unchanged++
+  })
+  const removed = [...pending.values()].flat()
+
+  return {
+    added,
+    removed,
+    changed,
+    unchanged,
+    duplicateKeys,
+    keys: keyCols,
+    shared,
+    onlyBefore: left.columns.filter((c) => !shared.includes(c)),
+    onlyAfter: right.columns.filter((c) => !shared.includes(c)),
+  }
+}
+
+function stats(rows, column) {
+  const values = rows.map((r) => r[column]).filter((v) => v != null && v !== '').map(Number).filter((v) => !isNaN(v))
+  if (!values.length) return { count: 0, sum: null, avg: null, min: null, max: null }
+  // one pass without spreading, which overflows the stack on a few hundred thousand values
+  const { sum, min, max } = values.reduce((acc, v) => ({ sum: acc.sum + v, min: Math.min(acc.min, v), max: Math.max(acc.max, v) }), { sum: 0, min: Infinity, max: -Infinity })
+  return { count: values.length, sum, avg: sum / values.length, min, max }
+}
+
+export const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count']
+
+/**
+ * Sum, average, min, max and count of every numeric column present in both runs, before and after.
+ * @returns {{ column: string, before: object, after: object }[]}
+ */
+export function aggregateDeltas(left, right) {
+  const kinds = columnKinds(left, right)
+  return sharedColumns(left, right)
+    .filter((c) => kinds[c] === 'number')
+    .map((column) => ({ column, before: stats(left.rows, column), after: stats(right.rows, column) }))
+}
+
+// { delta, pct } between two numbers; pct is null when there is no base to compare with
+export function delta(before, after) {
+  if (before == null || after == null) return { delta: null, pct: null }
+  return { delta: after - before, pct: before ? ((after - before) / Math.abs(before)) * 100 : null }
+}
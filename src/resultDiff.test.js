@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest'
+import { aggregateDeltas, delta, diffLines, diffRows, diffSql, layoutSql, suggestKeyColumns } from './resultDiff'
+
+const run = (rows, columns = Object.keys(rows[0] || {})) => ({ columns, rows, total_rows: rows.length })
+
+describe('layoutSql', () => {
+  it('puts each clause on its own line and collapses whitespace', () => {
+    expect(layoutSql('select region,  sum(amount) from sales where year = 2024 group by region order by 2 desc limit 5')).toEqual([
+      'select region, sum(amount)',
+      'from sales',
+      'where year = 2024',
+      'group by region',
+      'order by 2 desc',
+      'limit 5',
+    ])
+  })
+
+  it('keeps join kinds with their join and subqueries with their clause', () => {
+    expect(layoutSql('SELECT * FROM a LEFT OUTER JOIN b ON a.id = b.id WHERE a.x IN (SELECT x FROM c WHERE y > 1)')).toEqual([
+      'SELECT *',
+      'FROM a',
+      'LEFT OUTER JOIN b ON a.id = b.id',
+      'WHERE a.x IN (SELECT x FROM c WHERE y > 1)',
+    ])
+  })
+
+  it('leaves the SELECT of a UNION on the UNION line', () => {
+    expect(layoutSql('SELECT 1 UNION ALL SELECT 2')).toEqual(['SELECT 1', 'UNION ALL SELECT 2'])
+  })
+})
+
+describe('diffLines', () => {
+  it('marks the lines only one side has', () => {
+    expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'added', text: 'x' },
+      { type: 'removed', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' },
+    ])
+  })
+
+  it('handles empty sides', () => {
+    expect(diffLines([], ['a'])).toEqual([{ type: 'added', text: 'a' }])
+    expect(diffLines(['a'], [])).toEqual([{ type: 'removed', text: 'a' }])
+  })
+})
+
+describe('diffSql', () => {
+  it('pairs a changed clause side by side and numbers both sides', () => {
+    const rows = diffSql('SELECT a FROM t WHERE x = 1', 'SELECT a FROM t WHERE x = 2')
+    expect(rows).toHaveLength(3)
+    expect(rows[2]).toEqual({ left: { n: 3, text: 'WHERE x = 1', type: 'removed' }, right: { n: 3, text: 'WHERE x = 2', type: 'added' } })
+  })
+})
+
+describe('suggestKeyColumns', () => {
+  it('prefers an id-like column', () => {
+    const before = run([{ order_id: 1, region: 'EU', amount: 5 }, { order_id: 2, region: 'EU', amount: 6 }])
+    expect(suggestKeyColumns(before, before)).toEqual(['order_id'])
+  })
+
+  it('falls back to the dimensions of an aggregate', () => {
+    const before = run([{ region: 'EU', month: 'Jan', total: 5 }, { region: 'EU', month: 'Feb', total: 6 }])
+    expect(suggestKeyColumns(before, before)).toEqual(['region', 'month'])
+  })
+
+  it('returns nothing when no column tells the rows apart', () => {
+    const before = run([{ a: 1 }, { a: 1 }])
+    expect(suggestKeyColumns(before, before)).toEqual([])
+  })
+})
+
+describe('diffRows', () => {
+  const before = run([{ id: 1, v: 'a' }, { id: 2, v: 'b' }, { id: 3, v: 'c' }])
+  const after = run([{ id: 1, v: 'a' }, { id: 2, v: 'B' }, { id: 4, v: 'd' }])
+
+  it('splits rows into added, removed, changed and unchanged by key', () => {
+    const diff = diffRows(before, after, ['id'])
+    expect(diff.added).toEqual([{ id: 4, v: 'd' }])
+    expect(diff.removed).toEqual([{ id: 3, v: 'c' }])
+    expect(diff.changed).toEqual([{ before: { id: 2, v: 'b' }, after: { id: 2, v: 'B' }, cells: ['v'] }])
+    expect(diff.unchanged).toBe(1)
+  })
+
+  it('compares whole rows without a key, so an edit is a removal and an addition', () => {
+    const diff = diffRows(before, after)
+    expect(diff.changed).toEqual([])
+    expect(diff.added).toHaveLength(2)
+    expect(diff.removed).toHaveLength(2)
+  })
+
+  it('treats 3 and "3" as equal and null only as equal to null', () => {
+    const diff = diffRows(run([{ id: 1, v: 3 }, { id: 2, v: null }]), run([{ id: 1, v: '3' }, { id: 2, v: '' }]), ['id'])
+    expect(diff.unchanged).toBe(1)
+    expect(diff.changed.map((c) => c.after.id)).toEqual([2])
+  })
+
+  it('pairs duplicate keys in order and counts them', () => {
+    const diff = diffRows(run([{ k: 'a', v: 1 }, { k: 'a', v: 2 }]), run([{ k: 'a', v: 1 }]), ['k'])
+    expect(diff.duplicateKeys).toBe(1)
+    expect(diff.unchanged).toBe(1)
+    expect(diff.removed).toEqual([{ k: 'a', v: 2 }])
+  })
+
+  it('reports columns only one side has and leaves them out of the comparison', () => {
+    const diff = diffRows(run([{ id: 1, old: 'x' }]), run([{ id: 1, fresh: 'y' }]), ['id'])
+    expect(diff).toMatchObject({ shared: ['id'], onlyBefore: ['old'], onlyAfter: ['fresh'], unchanged: 1 })
+  })
+})
+
+describe('aggregateDeltas', () => {
+  it('summarises the numeric columns of both runs', () => {
+    const [amount] = aggregateDeltas(run([{ r: 'a', amount: 2 }, { r: 'b', amount: 4 }]), run([{ r: 'a', amount: 10 }]))
+    expect(amount).toEqual({
+      column: 'amount',
+      before: { count: 2, sum: 6, avg: 3, min: 2, max: 4 },
+      after: { count: 1, sum: 10, avg: 10, min: 10, max: 10 },
+    })
+  })
+
+  it('copes with a few hundred thousand rows', () => {
+    const rows = Array.from({ length: 300000 }, (_, i) => ({ n: i }))
+    const [n] = aggregateDeltas(run(rows), run(rows))
+    expect(n.after).toMatchObject({ min: 0, max: 299999, count: 300000 })
+  })
+})
+
+describe('delta', () => {
+  it('gives the change and the percentage, with no percentage from zero', () => {
+    expect(delta(200, 150)).toEqual({ delta: -50, pct: -25 })
+    expect(delta(0, 5)).toEqual({ delta: 5, pct: null })
+    expect(delta(null, 5)).toEqual({ delta: null, pct: null })
+  })
+})
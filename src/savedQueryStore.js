@@ -0,0 +1,110 @@
+import { request } from './api'
+
+// Saved query contract:
+//   GET    /api/saved-queries        -> { queries: [SavedQuery] }
+//   GET    /api/saved-queries/:id    -> SavedQuery
+//   POST   /api/saved-queries        SavedQuery without id -> SavedQuery
+//   PATCH  /api/saved-queries/:id    partial SavedQuery -> SavedQuery
+//   DELETE /api/saved-queries/:id
+// SavedQuery: { id, name, folder, question, sql, origin, table_ids, viz: { view, chart, sort }, created_at, updated_at }
+// Folders are slash-separated paths on each query ("Finance/Monthly"); an empty folder is the top level.
+// When the backend has no such endpoint (404) queries are kept in localStorage, and /q/:id links only work in this browser.
+
+const LOCAL_KEY = 'saved_queries'
+
+let localOnly = false
+
+export function isLocalOnly() {
+  return localOnly
+}
+
+function readLocal() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_KEY) || '[]')
+  } catch {
+    return []
+  }
+}
+
+function writeLocal(list) {
+  localStorage.setItem(LOCAL_KEY, JSON.stringify(list))
+}
+
+// A 404 on the collection itself means the backend has no saved-queries endpoint
+async function call(path = '', init) {
+  try {
+    return await request(`/api/saved-queries${path}`, init)
+  } catch (e) {
+    if (e.status !== 404) throw e
+    if (!path) {
+      localOnly = true
+      return null
+    }
+    throw Object.assign(e, { message: 'Saved query not found' })
+  }
+}
+
+export async function listSavedQueries() {
+  if (!localOnly) {
+    const data = await call()
+    if (data) return Array.isArray(data) ? data : data.queries || []
+  }
+  return readLocal()
+}
+
+export async function getSavedQuery(id) {
+  const local = readLocal().find((q) => q.id === id)
+  if (localOnly || local) {
+    if (!local) throw new Error('Saved query not found')
+    return local
+  }
+  return call(`/${encodeURIComponent(id)}`)
+}
+
+export async function createSavedQuery(query) {
+  const now = new Date().toISOString()
+  if (!localOnly) {
+    const created = await call('', { method: 'POST', body: query })
+    if (created) return created
+  }
+  const saved = { ...query, id: Math.random().toString(36).slice(2, 10), created_at: now, updated_at: now }
+  writeLocal([...readLocal(), saved])
+  return saved
+}
+
+export async function updateSavedQuery(id, patch) {
+  if (localOnly || readLocal().some((q) => q.id === id)) {
+    let updated = null
+    writeLocal(readLocal().map((q) => (q.id === id ? (updated = { ...q, ...patch, updated_at: new Date().toISOString() }) : q)))
+    if (!updated) throw new Error('Saved query not found')
+    return updated
+  }
+  return call(`/${encodeURIComponent(id)}`, { method: 'PATCH', body: patch })
+}
+
+export async function deleteSavedQuery(id) {
+  if (localOnly || readLocal().some((q) => q.id === id)) {
+    writeLocal(readLocal().filter((q) => q.id !== id))
+    return
+  }
+  await call(`/${encodeURIComponent(id)}`, { method: 'DELETE' })
+}
+
+export function savedQueryLink(id) {
+  return `${window.location.origin}/q/${encodeURIComponent(id)}`
+}
+
+export function normalizeFolder(folder) {
+  return String(folder || '').split('/').map((p) => p.trim()).filter(Boolean).join('/')
+}
+
+// Groups queries by folder path, sorted so parents come before their subfolders
+export function groupByFolder(queries) {
+  const groups = {}
+  queries.forEach((q) => {
+    const folder = normalizeFolder(q.folder)
+    if (!groups[folder]) groups[folder] = []
+    groups[folder].push(q)
+  })
+  return Object.keys(groups).sort().map((folder) => ({ folder, queries: groups[folder].sort((a, b) => a.name.localeCompare(b.name)) }))
+}
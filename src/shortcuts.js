@@ -0,0 +1,128 @@
+import { useEffect, useRef } from 'react'
+
+// Keyboard shortcuts: a map of action id -> key combo, e.g. { palette: 'Mod+K', help: '?' }.
+// A combo is modifiers in the order Mod, Ctrl, Alt, Shift followed by one key, joined with '+'; Mod is Cmd on macOS
+// and Ctrl elsewhere. Letters and digits are matched by physical key, so Alt+T works on keyboards where Alt
+// changes the character. The user's changes are stored in localStorage on top of DEFAULT_SHORTCUTS; an action set
+// to '' has no shortcut.
+
+const STORAGE_KEY = 'keyboard_shortcuts'
+
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent)
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'palette', label: 'Open the command palette', combo: 'Mod+K' },
+  { id: 'run', label: 'Run the question', combo: 'Mod+Enter' },
+  { id: 'focus_question', label: 'Focus the question box', combo: '/' },
+  { id: 'focus_tables', label: 'Move to the tables list', combo: 'Alt+T' },
+  { id: 'focus_results', label: 'Move to the result grid', combo: 'Alt+R' },
+  { id: 'export', label: 'Export the results as CSV', combo: 'Mod+Shift+E' },
+  { id: 'dark_mode', label: 'Toggle dark mode', combo: 'Mod+Shift+L' },
+  { id: 'clear_history', label: 'Clear the query history', combo: '' },
+  { id: 'help', label: 'Show keyboard shortcuts', combo: '?' },
+]
+
+export const DEFAULT_SHORTCUTS = Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, a.combo]))
+
+export function loadShortcuts() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    return { ...DEFAULT_SHORTCUTS, ...(stored && typeof stored === 'object' ? stored : {}) }
+  } catch {
+    return { ...DEFAULT_SHORTCUTS }
+  }
+}
+
+// Only the differences from the defaults are stored, so new defaults reach users who never changed them
+export function saveShortcuts(map) {
+  const changed = Object.fromEntries(Object.entries(map).filter(([id, combo]) => DEFAULT_SHORTCUTS[id] !== combo))
+  if (Object.keys(changed).length) localStorage.setItem(STORAGE_KEY, JSON.stringify(changed))
+  else localStorage.removeItem(STORAGE_KEY)
+}
+
+const MODIFIER_KEYS = ['Meta', 'Control', 'Alt', 'Shift']
+
+// The combo an event stands for, or null while only modifiers are held
+export function comboFromEvent(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return null
+  const physical = /^(Key|Digit)(\w)$/.exec(e.code || '')
+  const mod = IS_MAC ? e.metaKey : e.ctrlKey
+  // Shift is part of printable symbols such as ? and is only kept for letters, digits and named keys
+  const printable = !physical && e.key.length === 1
+  const key = physical ? physical[2].toUpperCase() : e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key
+  return [
+    mod && 'Mod',
+    IS_MAC && e.ctrlKey && 'Ctrl',
+    e.altKey && 'Alt',
+    e.shiftKey && !printable && 'Shift',
+    key,
+  ].filter(Boolean).join('+')
+}
+
+const SYMBOLS = { Mod: IS_MAC ? '⌘' : 'Ctrl', Ctrl: IS_MAC ? '⌃' : 'Ctrl', Alt: IS_MAC ? '⌥' : 'Alt', Shift: IS_MAC ? '⇧' : 'Shift', Enter: '↵', Escape: 'Esc', ArrowUp: '↑', ArrowDown: '↓' }
+
+export function formatCombo(combo) {
+  if (!combo) return ''
+  return combo.split('+').map((part) => SYMBOLS[part] || part).join(IS_MAC ? '' : '+')
+}
+
+export const isTyping = (target) => !!target && (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable)
+
+// Calls handlers[action] for the shortcut pressed anywhere on the page. While a text field has focus, only combos
+// with Mod, Ctrl or Alt count, so typing "/" or "?" still types.
+export function useShortcuts(shortcuts, handlers) {
+  const latest = useRef(handlers)
+  latest.current = handlers
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.isComposing) return
+      const combo = comboFromEvent(e)
+      if (!combo) return
+      if (isTyping(e.target) && !/(^|\+)(Mod|Ctrl|Alt)\+/.test(combo)) return
+      const action = Object.keys(shortcuts).find((id) => shortcuts[id] === combo)
+      if (!action || !latest.current[action]) return
+      e.preventDefault()
+      latest.current[action]()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [shortcuts])
+}
+
+/**
+ * Scores text against a query whose characters must appear in order; consecutive characters and matches at word
+ * starts score higher. Returns null when the text does not match.
+ * @returns {{ score: number, indices: number[] } | null}
+ */
+export function fuzzyMatch(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, '')
+  const t = String(text || '')
+  const lower = t.toLowerCase()
+  if (!q) return { score: 0, indices: [] }
+  const indices = []
+  let score = 0
+  let from = 0
+  for (const ch of q) {
+    const i = lower.indexOf(ch, from)
+    if (i < 0) return null
+    const prev = indices[indices.length - 1]
+    score += 1
+    if (prev === i - 1) score += 4
+    if (i === 0 || /[\s_\-./]/.test(t[i - 1]) || (t[i] !== lower[i] && t[i - 1] === lower[i - 1])) score += 3
+    indices.push(i)
+    from = i + 1
+  }
+  // shorter texts win ties, so "sales" beats "sales_archive_2019"
+  return { score: score - t.length / 100, indices }
+}
+
+// Items sorted by how well text(item) matches the query, best first; an empty query keeps the order
+export function fuzzyFilter(items, query, text) {
+  if (!String(query || '').trim()) return items
+  return items
+    .map((item) => ({ item, match: fuzzyMatch(query, text(item)) }))
+    .filter((x) => x.match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map((x) => x.item)
+}
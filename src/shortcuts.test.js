@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest'
+import { comboFromEvent, fuzzyFilter, fuzzyMatch } from './shortcuts'
+
+// navigator.platform is not a Mac under Node, so Mod is Ctrl here
+const key = (fields) => ({ ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, code: '', ...fields })
+
+describe('comboFromEvent', () => {
+  it('orders modifiers and names letters by physical key', () => {
+    expect(comboFromEvent(key({ key: 'k', code: 'KeyK', ctrlKey: true }))).toBe('Mod+K')
+    expect(comboFromEvent(key({ key: 'E', code: 'KeyE', ctrlKey: true, shiftKey: true }))).toBe('Mod+Shift+E')
+    // Alt+T types † on a Mac keyboard layout
+    expect(comboFromEvent(key({ key: '†', code: 'KeyT', altKey: true }))).toBe('Alt+T')
+  })
+
+  it('drops Shift from printable symbols and names special keys', () => {
+    expect(comboFromEvent(key({ key: '?', code: 'Slash', shiftKey: true }))).toBe('?')
+    expect(comboFromEvent(key({ key: 'Enter', code: 'Enter', ctrlKey: true }))).toBe('Mod+Enter')
+    expect(comboFromEvent(key({ key: ' ', code: 'Space' }))).toBe('Space')
+  })
+
+  it('is null while only modifiers are held', () => {
+    expect(comboFromEvent(key({ key: 'Control', code: 'ControlLeft', ctrlKey: true }))).toBeNull()
+  })
+})
+
+describe('fuzzyMatch', () => {
+  it('needs the characters in order and reports where they matched', () => {
+    expect(fuzzyMatch('sls', 'sales')).toMatchObject({ indices: [0, 2, 4] })
+    expect(fuzzyMatch('sx', 'sales')).toBeNull()
+  })
+
+  it('ignores case and spaces in the query', () => {
+    expect(fuzzyMatch('Run Q', 'run query')).not.toBeNull()
+  })
+
+  it('scores word starts and runs of characters higher', () => {
+    expect(fuzzyMatch('oc', 'order_count').score).toBeGreaterThan(fuzzyMatch('oc', 'protocol').score)
+    expect(fuzzyMatch('sal', 'sales').score).toBeGreaterThan(fuzzyMatch('sal', 'seasonal').score)
+  })
+})
+
+describe('fuzzyFilter', () => {
+  const items = ['sales_archive_2019', 'customers', 'sales']
+
+  it('keeps the order for an empty query', () => {
+    expect(fuzzyFilter(items, '  ', (x) => x)).toBe(items)
+  })
+
+  it('drops non-matches and puts the best match first', () => {
+    expect(fuzzyFilter(items, 'sales', (x) => x)).toEqual(['sales', 'sales_archive_2019'])
+  })
+})
@@ -0,0 +1,61 @@
+export const SQL_KEYWORDS = [
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'ORDER', 'HAVING', 'LIMIT', 'OFFSET', 'JOIN', 'LEFT', 'RIGHT',
+  'INNER', 'OUTER', 'FULL', 'CROSS', 'ON', 'AS', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'ILIKE',
+  'BETWEEN', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'DISTINCT', 'UNION', 'ALL', 'WITH', 'ASC', 'DESC',
+  'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'CAST', 'COALESCE', 'EXISTS', 'TRUE', 'FALSE', 'OVER', 'PARTITION',
+]
+
+const KEYWORD_SET = new Set(SQL_KEYWORDS)
+
+const TOKEN_RE = /(--[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^']|'')*'?)|("(?:[^"]|"")*"?|`[^`]*`?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][A-Za-z0-9_]*)|(\s+)|([\s\S])/g
+
+// Splits SQL into { type, text } tokens; concatenating every text gives back the input
+export function tokenizeSql(sql) {
+  const tokens = []
+  let m
+  TOKEN_RE.lastIndex = 0
+  while ((m = TOKEN_RE.exec(sql)) !== null) {
+    const [text, comment, string, quoted, number, word] = m
+    let type = 'plain'
+    if (comment) type = 'comment'
+    else if (string) type = 'string'
+    else if (quoted) type = 'identifier'
+    else if (number) type = 'number'
+    else if (word) type = KEYWORD_SET.has(word.toUpperCase()) ? 'keyword' : 'identifier'
+    tokens.push({ type, text })
+  }
+  return tokens
+}
+
+// Returns the identifier being typed at `pos`, plus the qualifier before a dot (e.g. "orders" in "orders.to")
+export function wordAt(sql, pos) {
+  const before = sql.slice(0, pos)
+  const m = before.match(/(?:([A-Za-z_][A-Za-z0-9_]*)\.)?([A-Za-z_][A-Za-z0-9_]*)?$/)
+  const prefix = m?.[2] || ''
+  return { prefix, qualifier: m?.[1] || null, start: pos - prefix.length }
+}
+
+// Turns an error position ({ offset, length } or 1-based { line, column }) into a character range of `sql`.
+// Without a length the range covers the word at that spot, or a single character.
+export function errorRange(sql, position) {
+  if (!sql || !position) return null
+  let start = position.offset
+  if (start == null && position.line != null) {
+    const lines = sql.split('\n')
+    if (position.line < 1 || position.line > lines.length) return null
+    start = lines.slice(0, position.line - 1).reduce((n, l) => n + l.length + 1, 0) + Math.max(0, (position.column || 1) - 1)
+  }
+  if (start == null || start < 0 || start > sql.length) return null
+  const word = /^[A-Za-z0-9_."]+/.exec(sql.slice(start))
+  const length = position.length || (word ? word[0].length : 1)
+  return { start: Math.min(start, Math.max(0, sql.length - 1)), end: Math.min(sql.length, start + length) }
+}
+
+// "line 2, column 14" for an error position, counting from 1
+export function describePosition(sql, position) {
+  if (!position) return null
+  if (position.line != null) return `line ${position.line}${position.column != null ? `, column ${position.column}` : ''}`
+  if (position.offset == null || !sql) return null
+  const before = sql.slice(0, position.offset).split('\n')
+  return `line ${before.length}, column ${before[before.length - 1].length + 1}`
+}
@@ -0,0 +1,55 @@
+import wasmUrl from 'sql.js/dist/sql-wasm-browser.wasm?url'
+import { cellText } from './utils'
+
+// SQLite files are opened with sql.js, which needs the whole database in memory
+export const SQLITE_PREVIEW_BYTES = 200 * 1024 * 1024
+
+let engine = null
+
+// Shared with the in-browser query engine (localEngine.js), so the WASM module is fetched once
+export function loadEngine() {
+  if (!engine) {
+    engine = import('sql.js')
+      .then(({ default: initSqlJs }) => initSqlJs({ locateFile: () => wasmUrl }))
+      .catch((e) => { engine = null; throw e })
+  }
+  return engine
+}
+
+// Declared types follow SQLite's affinity rules; anything unusual is left for the preview to guess
+function sqliteColumnType(declared) {
+  const t = String(declared || '').toUpperCase()
+  if (!t) return undefined
+  if (t.includes('BOOL')) return 'boolean'
+  if (t.includes('DATETIME') || t.includes('TIMESTAMP')) return 'datetime'
+  if (t.includes('DATE')) return 'date'
+  if (t.includes('INT')) return 'integer'
+  if (/CHAR|CLOB|TEXT/.test(t)) return 'text'
+  if (/REAL|FLOA|DOUB|NUM|DEC/.test(t)) return 'float'
+  return undefined
+}
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`
+
+export async function readSqlite(file, { table, maxRows }) {
+  const SQL = await loadEngine()
+  const db = new SQL.Database(new Uint8Array(await file.arrayBuffer()))
+  try {
+    const listed = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")[0]
+    const tables = listed ? listed.values.map(([name]) => name) : []
+    if (!tables.length) throw new Error('The database has no tables')
+    const target = tables.includes(table) ? table : tables[0]
+    const info = db.exec(`PRAGMA table_info(${quoteIdent(target)})`)[0]?.values || []
+    const data = db.exec(`SELECT * FROM ${quoteIdent(target)} LIMIT ${Number(maxRows)}`)[0]
+    const [[rowCount]] = db.exec(`SELECT COUNT(*) FROM ${quoteIdent(target)}`)[0].values
+    return {
+      sqliteTables: tables,
+      sqliteTable: target,
+      rows: [info.map((c) => c[1]), ...(data?.values || []).map((r) => r.map(cellText))],
+      types: info.map((c) => sqliteColumnType(c[2])),
+      rowCount,
+    }
+  } finally {
+    db.close()
+  }
+}
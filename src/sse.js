@@ -0,0 +1,43 @@
+// EventSource only supports GET, so POSTed streams are read off fetch and parsed here
+export async function* readEventStream(response) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  const parse = (block) => {
+    let event = 'message'
+    const data = []
+    block.split(/\r?\n/).forEach((line) => {
+      if (!line || line.startsWith(':')) return
+      const idx = line.indexOf(':')
+      const field = idx === -1 ? line : line.slice(0, idx)
+      const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '')
+      if (field === 'event') event = value
+      else if (field === 'data') data.push(value)
+    })
+    if (!data.length) return null
+    const raw = data.join('\n')
+    try {
+      return { event, data: JSON.parse(raw) }
+    } catch {
+      return { event, data: raw }
+    }
+  }
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    const blocks = buffer.split(/\r?\n\r?\n/)
+    buffer = blocks.pop()
+    for (const block of blocks) {
+      const ev = parse(block)
+      if (ev) yield ev
+    }
+  }
+  const tail = parse(buffer + decoder.decode())
+  if (tail) yield tail
+}
+
+export function isEventStream(response) {
+  return (response.headers.get('content-type') || '').includes('text/event-stream')
+}
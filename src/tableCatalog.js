@@ -0,0 +1,61 @@
+import { getTablePreview, getTableProfile, runQuery, upload } from './api'
+import { DEFAULT_CHUNK_SIZE, uploadInChunks } from './chunkedUpload'
+import { detectFormat, suggestTableName } from './fileParsing'
+import { tableLabel } from './utils'
+
+// Table catalog contract, on top of GET/DELETE /api/tables[/:id]:
+//   table objects may carry created_at, source_file, size_bytes, row_count (or rows), description and tags
+//   PATCH /api/tables/:id            { name?, description?, tags? }   -> the updated table
+//   GET   /api/tables/:id/preview?limit=n                             -> { columns, rows }
+//   GET   /api/tables/:id/profile                                     -> { row_count, columns: [{ name, null_fraction, distinct_count,
+//                                                                          min, max, top_values: [{ value, count }], histogram: [{ start, end, count }] }] }
+// Re-uploading goes through the normal upload endpoints with options { mode: 'replace', target_table_id }.
+// A 404 from preview falls back to a LIMIT query; a 404 from profile means the view profiles the preview itself.
+
+export function tableMeta(t) {
+  return {
+    rows: t?.row_count ?? t?.rows ?? null,
+    uploadedAt: t?.created_at || t?.uploaded_at || null,
+    sourceFile: t?.source_file || t?.filename || null,
+    sizeBytes: t?.size_bytes ?? t?.size ?? null,
+    description: t?.description || '',
+    tags: Array.isArray(t?.tags) ? t.tags : [],
+  }
+}
+
+export { updateTable } from './api'
+
+export async function fetchPreview(table, id, limit = 50, opts) {
+  try {
+    return await getTablePreview(id, limit, opts)
+  } catch (e) {
+    if (e.status !== 404) throw e
+  }
+  const name = String(tableLabel(table)).replace(/"/g, '""')
+  return runQuery({ sql: `SELECT * FROM "${name}" LIMIT ${limit}`, offset: 0, limit }, opts)
+}
+
+// Resolves to null when the backend cannot profile tables
+export async function fetchProfile(id, opts) {
+  try {
+    return await getTableProfile(id, opts)
+  } catch (e) {
+    if (e.status === 404) return null
+    throw e
+  }
+}
+
+export async function replaceTableData(table, id, file, { onProgress } = {}) {
+  const options = { table_name: tableLabel(table) || suggestTableName(file.name), format: await detectFormat(file), mode: 'replace', target_table_id: id }
+  if (file.size > DEFAULT_CHUNK_SIZE) {
+    try {
+      return await uploadInChunks(file, options, { onProgress })
+    } catch (e) {
+      if (e.name !== 'UnsupportedError') throw e
+    }
+  }
+  const form = new FormData()
+  form.append('file', file)
+  form.append('options', JSON.stringify(options))
+  return upload('/api/upload', form, { onProgress })
+}
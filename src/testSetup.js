@@ -0,0 +1,25 @@
+// Node has no localStorage, and src/config.js reads the connection profile from it on import,
+// so every test file gets a fresh in-memory one
+class MemoryStorage {
+  constructor() {
+    this.items = new Map()
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value))
+  }
+
+  removeItem(key) {
+    this.items.delete(key)
+  }
+
+  clear() {
+    this.items.clear()
+  }
+}
+
+globalThis.localStorage = new MemoryStorage()
@@ -0,0 +1,49 @@
+export function classNames(...classes) {
+  return classes.filter(Boolean).join(' ')
+}
+
+export function tableId(t) {
+  return t?.id || t?._id || t?.name
+}
+
+export function tableLabel(t) {
+  return t?.name || t?.table_name || t?.id
+}
+
+// Schema columns arrive either as { name, type } objects or [name, type] tuples
+export function columnName(c) {
+  return c?.name || c?.[0] || ''
+}
+
+export function columnType(c) {
+  return c?.type || c?.[1] || ''
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`
+  if (n < 1024 * 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`
+  return `${(n / 1024 / 1024 / 1024).toFixed(1)} GB`
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+
+// Plain-text form of a decoded value for upload previews; nested values become JSON
+export function cellText(v) {
+  if (v == null) return ''
+  if (v instanceof Date) {
+    const iso = v.toISOString()
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ')
+  }
+  if (ArrayBuffer.isView(v)) return `<${v.byteLength} bytes>`
+  if (typeof v === 'object') return JSON.stringify(v, (k, x) => (typeof x === 'bigint' ? String(x) : x))
+  return String(v)
+}
\ No newline at end of file
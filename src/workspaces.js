@@ -0,0 +1,67 @@
+import { request } from './api'
+
+// Workspace contract (requests carry X-Workspace-Id, see src/auth.js):
+//   GET    /api/me                                  -> { user: { id, name, email }, workspaces: [{ id, name, role }] }
+//   POST   /api/workspaces                          { name } -> { id, name, role: 'owner' }
+//   GET    /api/workspaces/:id/members              -> { members: [{ user_id, name, email, role }] }
+//   POST   /api/workspaces/:id/members              { email, role } -> member
+//   PATCH  /api/workspaces/:id/members/:user_id     { role } -> member
+//   DELETE /api/workspaces/:id/members/:user_id
+// Tables are listed per workspace and carry owner_id, the user who uploaded them. The backend enforces the roles
+// (403 otherwise); the checks here only decide which controls to offer.
+// A backend without /api/me (404) has no workspaces, and every signed-in user can do everything.
+
+export const ROLES = [
+  ['owner', 'Owner', 'Manages members and every table'],
+  ['editor', 'Editor', 'Uploads tables and changes the ones they uploaded'],
+  ['viewer', 'Viewer', 'Browses and queries tables'],
+]
+
+export async function fetchMe() {
+  try {
+    return await request('/api/me')
+  } catch (e) {
+    if (e.status === 404) return null
+    throw e
+  }
+}
+
+export function createWorkspace(name) {
+  return request('/api/workspaces', { method: 'POST', body: { name } })
+}
+
+const membersPath = (workspaceId) => `/api/workspaces/${encodeURIComponent(workspaceId)}/members`
+
+export async function listMembers(workspaceId) {
+  const data = await request(membersPath(workspaceId))
+  return Array.isArray(data) ? data : data?.members || []
+}
+
+export function addMember(workspaceId, email, role) {
+  return request(membersPath(workspaceId), { method: 'POST', body: { email, role } })
+}
+
+export function updateMember(workspaceId, userId, role) {
+  return request(`${membersPath(workspaceId)}/${encodeURIComponent(userId)}`, { method: 'PATCH', body: { role } })
+}
+
+export function removeMember(workspaceId, userId) {
+  return request(`${membersPath(workspaceId)}/${encodeURIComponent(userId)}`, { method: 'DELETE' })
+}
+
+// role is null when sign-in is off or the backend has no workspaces; nothing is restricted then
+export function can(role, action, { table, userId } = {}) {
+  if (!role) return true
+  const ownTable = !table?.owner_id || table.owner_id === userId
+  switch (action) {
+    case 'upload':
+      return role === 'owner' || role === 'editor'
+    case 'edit_table':
+    case 'delete_table':
+      return role === 'owner' || (role === 'editor' && ownTable)
+    case 'manage_members':
+      return role === 'owner'
+    default:
+      return false
+  }
+}
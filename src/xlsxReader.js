@@ -0,0 +1,130 @@
+// Just enough of the zip + SpreadsheetML formats to preview the first rows of each sheet in the browser
+
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47])
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+export async function readZipEntries(buffer) {
+  const view = new DataView(buffer)
+  let eocd = -1
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break }
+  }
+  if (eocd === -1) throw new Error('Not a valid zip archive')
+  const count = view.getUint16(eocd + 10, true)
+  let ptr = view.getUint32(eocd + 16, true)
+  const decoder = new TextDecoder()
+  const entries = {}
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error('Corrupt zip directory')
+    const method = view.getUint16(ptr + 10, true)
+    const size = view.getUint32(ptr + 20, true)
+    const nameLen = view.getUint16(ptr + 28, true)
+    const extraLen = view.getUint16(ptr + 30, true)
+    const commentLen = view.getUint16(ptr + 32, true)
+    const offset = view.getUint32(ptr + 42, true)
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen))
+    entries[name] = { method, size, offset }
+    ptr += 46 + nameLen + extraLen + commentLen
+  }
+  const read = async (name) => {
+    const e = entries[name]
+    if (!e) return null
+    const start = e.offset + 30 + view.getUint16(e.offset + 26, true) + view.getUint16(e.offset + 28, true)
+    const raw = new Uint8Array(buffer, start, e.size)
+    const bytes = e.method === 0 ? raw : await inflateRaw(raw)
+    return decoder.decode(bytes)
+  }
+  return { names: Object.keys(entries), read }
+}
+
+function parseXml(text) {
+  return new DOMParser().parseFromString(text, 'application/xml')
+}
+
+function byTag(node, tag) {
+  return Array.from(node.getElementsByTagNameNS('*', tag))
+}
+
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '')
+  let n = 0
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64)
+  return n - 1
+}
+
+function excelSerialToIso(serial) {
+  const ms = Math.round((serial - 25569) * 86400 * 1000)
+  const d = new Date(ms)
+  if (isNaN(d)) return String(serial)
+  const iso = d.toISOString()
+  return ms % 86400000 === 0 ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ')
+}
+
+async function readDateStyles(zip) {
+  const xml = await zip.read('xl/styles.xml')
+  if (!xml) return new Set()
+  const doc = parseXml(xml)
+  const custom = new Set(byTag(doc, 'numFmt')
+    .filter((f) => /[dmyh]/i.test((f.getAttribute('formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '')))
+    .map((f) => Number(f.getAttribute('numFmtId'))))
+  const cellXfs = byTag(doc, 'cellXfs')[0]
+  const dateStyles = new Set()
+  if (!cellXfs) return dateStyles
+  Array.from(cellXfs.children).forEach((xf, i) => {
+    const id = Number(xf.getAttribute('numFmtId'))
+    if (BUILTIN_DATE_FORMATS.has(id) || custom.has(id)) dateStyles.add(i)
+  })
+  return dateStyles
+}
+
+export async function listSheets(zip) {
+  const workbook = parseXml(await zip.read('xl/workbook.xml'))
+  const rels = parseXml((await zip.read('xl/_rels/workbook.xml.rels')) || '<Relationships/>')
+  const targets = {}
+  byTag(rels, 'Relationship').forEach((r) => { targets[r.getAttribute('Id')] = r.getAttribute('Target') })
+  return byTag(workbook, 'sheet').map((s) => {
+    const rid = s.getAttribute('r:id') || s.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')
+    const target = (targets[rid] || '').replace(/^\//, '')
+    return { name: s.getAttribute('name'), path: target.startsWith('xl/') ? target : `xl/${target}` }
+  })
+}
+
+// Returns { sheets: [names], rows: string[][] } for the requested sheet (first sheet by default)
+export async function readXlsx(buffer, { sheet, maxRows = 200 } = {}) {
+  const zip = await readZipEntries(buffer)
+  const sheets = await listSheets(zip)
+  if (!sheets.length) throw new Error('Workbook has no sheets')
+  const target = sheets.find((s) => s.name === sheet) || sheets[0]
+
+  const sharedXml = await zip.read('xl/sharedStrings.xml')
+  const shared = sharedXml ? byTag(parseXml(sharedXml), 'si').map((si) => byTag(si, 't').map((t) => t.textContent).join('')) : []
+  const dateStyles = await readDateStyles(zip)
+
+  const doc = parseXml(await zip.read(target.path))
+  const rows = []
+  for (const row of byTag(doc, 'row')) {
+    // empty rows are omitted from the XML, but header-row numbers should still line up with Excel's
+    const r = Number(row.getAttribute('r'))
+    while (r && rows.length < Math.min(r - 1, maxRows)) rows.push([])
+    if (rows.length >= maxRows) break
+    const out = []
+    byTag(row, 'c').forEach((c, i) => {
+      const ref = c.getAttribute('r')
+      const idx = ref ? columnIndex(ref) : i
+      const type = c.getAttribute('t')
+      const v = byTag(c, 'v')[0]?.textContent
+      let value = ''
+      if (type === 's') value = shared[Number(v)] ?? ''
+      else if (type === 'inlineStr') value = byTag(c, 't').map((t) => t.textContent).join('')
+      else if (type === 'b') value = v === '1' ? 'true' : 'false'
+      else if (v != null) value = !type && dateStyles.has(Number(c.getAttribute('s'))) ? excelSerialToIso(Number(v)) : v
+      out[idx] = value
+    })
+    rows.push(Array.from(out, (v) => v ?? ''))
+  }
+  return { sheets: sheets.map((s) => s.name), sheet: target.name, rows }
+}
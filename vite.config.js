@@ -11,6 +11,11 @@ export default defineConfig({
     // Hold the first optimizeDeps run until all dependencies are discovered
     holdUntilCrawlEnd: true
   },
+  test: {
+    // unit tests for the pure modules; they run in Node, see src/testSetup.js
+    include: ['src/**/*.test.js'],
+    setupFiles: ['src/testSetup.js']
+  },
   server: {
     port: 3000,
     host: '0.0.0.0',